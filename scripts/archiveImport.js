@@ -0,0 +1,102 @@
+// scripts/archiveImport.js
+// One-off recovery of brief data from published archive pages
+// (public/archive/YYYY-MM-DD.html), so days generated before the item store
+// existed can be re-rendered with `generate.js render`.
+//
+// Understands both layouts we have shipped:
+//   - tabbed pages: one <section class="brief-panel" data-tab="..."> per tab
+//   - early single-card pages (UK only): one <section class="card">
+// The markup is our own generator's output, so targeted regexes are enough.
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeOnce(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1].toLowerCase() === "x" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+// Some pages escaped feed text that was already escaped ("&amp;#8217;",
+// "?a=1&amp;amp;b=2"), so decode until nothing changes
+export function decodeEntities(s = "") {
+  let text = String(s);
+  for (let i = 0; i < 5; i++) {
+    const next = decodeOnce(text);
+    if (next === text) break;
+    text = next;
+  }
+  return text;
+}
+
+function stripTags(s = "") {
+  return decodeEntities(String(s).replace(/<[^>]*>/g, "")).replace(/\s+/g, " ").trim();
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`, "i"));
+  return m ? decodeEntities(m[1]) : null;
+}
+
+function inner(html, re) {
+  const m = html.match(re);
+  return m ? m[1] : "";
+}
+
+// Early explainers were plain text with markdown-ish "_(Note: ...)_" lines
+function explainerHtmlFrom(raw = "") {
+  const text = String(raw).trim();
+  if (/<(p|ul|ol)\b/i.test(text)) return text;
+  return text
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => `<p>${p.replace(/^_(.+)_$/s, "<em>$1</em>")}</p>`)
+    .join("\n");
+}
+
+function parseCard(html) {
+  const tldr = stripTags(inner(html, /<p class="tldr">([\s\S]*?)<\/p>/i))
+    .replace(/^(In brief|TL;DR)\s*[—-]\s*/i, "");
+  const bullets = [...inner(html, /<h2>Why it matters<\/h2>\s*<ul>([\s\S]*?)<\/ul>/i).matchAll(/<li>([\s\S]*?)<\/li>/gi)]
+    .map(m => stripTags(m[1]))
+    .filter(Boolean);
+  const explainerHtml = explainerHtmlFrom(inner(html, /<div class="explainer">([\s\S]*?)<\/div>/i));
+  const sources = [...inner(html, /<p class="sources">([\s\S]*?)<\/p>/i).matchAll(/<a\s[^>]*>[\s\S]*?<\/a>/gi)]
+    .map(m => {
+      const tag = m[0].match(/<a\s[^>]*>/i)[0];
+      return { link: attr(tag, "href"), title: attr(tag, "title") || stripTags(m[0]) };
+    })
+    .filter(s => s.link);
+  const tags = [...inner(html, /<div class="tags"[^>]*>([\s\S]*?)<\/div>/i).matchAll(/<span class="tag">([\s\S]*?)<\/span>/gi)]
+    .map(m => stripTags(m[1]));
+  return { oneLiner: tldr, bullets, explainerHtml, sources, tags };
+}
+
+/**
+ * Parse one archive page.
+ * Returns { generatedAt: ISO|null, tabs: [{ key, noteText, oneLiner, bullets,
+ * explainerHtml, sources: [{ link, title }], tags }] }.
+ */
+export function parseArchiveHtml(html, { legacyTab = "uk" } = {}) {
+  const dateTag = html.match(/<p class="date"[^>]*>/i)?.[0] || "";
+  const generatedAt = attr(dateTag, "title");
+
+  const tabs = [];
+  const panelRe = /<section class="brief-panel"([^>]*)>([\s\S]*?)<\/section>\s*<\/section>/gi;
+  for (const m of html.matchAll(panelRe)) {
+    const key = attr(m[1], "data-tab");
+    if (!key) continue;
+    tabs.push({ key, noteText: attr(m[1], "data-note") || "", ...parseCard(m[2]) });
+  }
+
+  if (!tabs.length) {
+    const card = inner(html, /<section class="card">([\s\S]*?)<\/section>/i);
+    if (card) tabs.push({ key: legacyTab, noteText: "", ...parseCard(card) });
+  }
+
+  return { generatedAt: generatedAt && !isNaN(Date.parse(generatedAt)) ? generatedAt : null, tabs };
+}
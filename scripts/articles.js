@@ -0,0 +1,260 @@
+// scripts/articles.js
+// Optional full-text enrichment (config "enrich"): for picked items whose feed
+// snippet is thin, fetch the linked article, strip the boilerplate and hand
+// the prompt a bounded excerpt next to the snippet.
+//
+// - Only hosts on enrich.allow are fetched (a listed host covers its
+//   subdomains), and only paths robots.txt allows for our user agent; both
+//   are checked again on every redirect hop.
+// - Extracted text is cached on disk, one JSON file per canonical URL
+//   (data/articles/<hash>.json), for enrich.cacheDays.
+// - extractArticleText() is a small readability-style pass: drop scripts,
+//   navigation, headers/footers and asides, take the <article> (else <main>,
+//   else <body>), keep paragraphs that read like prose.
+// - Recordings keep each article's text; replays use it and fetch nothing.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { now } from "./clock.js";
+import { FETCH_OPTIONS, HTML_ENTITIES, fetchFeedBody } from "./feedFetch.js";
+import { jlog } from "./log.js";
+import { canonicalUrl } from "./urls.js";
+import { writeFileAtomic } from "./util.js";
+
+export const DEFAULT_ENRICH = {
+  enabled: false,
+  allow: [],
+  thinSnippetChars: 280,
+  excerptChars: 1200,
+  cacheDays: 30,
+};
+
+const USER_AGENT_TOKEN = "newsbriefai";
+const HTML_ACCEPT = "text/html,application/xhtml+xml;q=0.9,*/*;q=0.5";
+const DAY_MS = 24 * 3600 * 1000;
+
+// --- Extraction ----------------------------------------------------------------
+
+export function decodeHtmlEntities(text = "") {
+  return text.replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi, (match, dec, hex, name) => {
+    if (dec || hex) {
+      const code = dec ? Number(dec) : parseInt(hex, 16);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const basic = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[name.toLowerCase()];
+    if (basic) return basic;
+    return HTML_ENTITIES[name] ? String.fromCodePoint(HTML_ENTITIES[name]) : match;
+  });
+}
+
+function textOf(html) {
+  return decodeHtmlEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+// Elements that are never the article
+const BOILERPLATE = ["script", "style", "noscript", "template", "svg", "iframe", "nav", "header", "footer", "aside", "form", "button", "figure"];
+
+// Inner HTML of the longest <tag>…</tag>, or null
+function largest(html, tag) {
+  const re = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, "gi");
+  let best = null;
+  for (const m of html.matchAll(re)) if (!best || m[1].length > best.length) best = m[1];
+  return best;
+}
+
+/**
+ * Main readable text of an article page: paragraphs of the <article> (else
+ * <main>, else <body>) that look like prose (long enough, mostly not links),
+ * joined by blank lines. Falls back to the meta description; "" if none.
+ */
+export function extractArticleText(html = "") {
+  let doc = html.replace(/<!--[\s\S]*?-->/g, " ");
+  for (const tag of BOILERPLATE) doc = doc.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?</${tag}>`, "gi"), " ");
+  // Class/id hints for the boilerplate that isn't marked up as such
+  doc = doc.replace(/<(div|section|ul)\b[^>]*(?:class|id)="[^"]*\b(?:share|social|related|newsletter|comments?|cookie|promo|subscribe|advert)\b[^"]*"[^>]*>[\s\S]*?<\/\1>/gi, " ");
+
+  const root = largest(doc, "article") || largest(doc, "main") || largest(doc, "body") || doc;
+
+  const paragraphs = [];
+  for (const [, inner] of root.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)) {
+    const text = textOf(inner);
+    if (text.length < 40 || text.split(" ").length < 6) continue;
+    const linkText = [...inner.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)].map(m => textOf(m[1])).join(" ");
+    if (linkText.length > text.length / 2) continue;
+    paragraphs.push(text);
+  }
+  if (paragraphs.length) return paragraphs.join("\n\n");
+
+  const meta = /<meta\b[^>]*(?:name|property)=["'](?:og:)?description["'][^>]*content=["']([^"']*)["']/i.exec(html)
+    || /<meta\b[^>]*content=["']([^"']*)["'][^>]*(?:name|property)=["'](?:og:)?description["']/i.exec(html);
+  return meta ? decodeHtmlEntities(meta[1]).replace(/\s+/g, " ").trim() : "";
+}
+
+// Article text cut to about n characters, at a sentence end where one is near
+export function excerptOf(text = "", n = DEFAULT_ENRICH.excerptChars) {
+  if (text.length <= n) return text;
+  const cut = text.slice(0, n);
+  const end = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf(".\n"));
+  return end > n * 0.6 ? cut.slice(0, end + 1) : `${cut.trimEnd()}…`;
+}
+
+// --- robots.txt -------------------------------------------------------------------
+
+/**
+ * The rules in a robots.txt that apply to `agent` (its own group if it has
+ * one, else "*"): [{ allow, path }].
+ */
+export function parseRobots(text = "", agent = USER_AGENT_TOKEN) {
+  const groups = []; // { agents: [], rules: [] }
+  let group = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, "").trim();
+    const m = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+    if (field === "user-agent") {
+      if (!group || group.rules.length) groups.push(group = { agents: [], rules: [] });
+      group.agents.push(value.toLowerCase());
+    } else if ((field === "allow" || field === "disallow") && group) {
+      group.rules.push({ allow: field === "allow", path: value });
+    }
+  }
+  const own = groups.filter(g => g.agents.some(a => a !== "*" && agent.toLowerCase().includes(a)));
+  const chosen = own.length ? own : groups.filter(g => g.agents.includes("*"));
+  // An empty Disallow allows everything, same as no rule
+  return chosen.flatMap(g => g.rules).filter(r => r.path);
+}
+
+function ruleMatches(rulePath, target) {
+  const anchored = rulePath.endsWith("$");
+  const pattern = rulePath.replace(/\$$/, "").split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${pattern}${anchored ? "$" : ""}`).test(target);
+}
+
+// Longest matching rule wins; Allow wins a tie; no match allows
+export function robotsAllows(rules, target) {
+  let best = null;
+  for (const r of rules) {
+    if (!ruleMatches(r.path, target)) continue;
+    if (!best || r.path.length > best.path.length || (r.path.length === best.path.length && r.allow)) best = r;
+  }
+  return best ? best.allow : true;
+}
+
+// --- Enricher ----------------------------------------------------------------------
+
+export function hostAllowed(url, allow = []) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return allow.some(a => {
+    const h = a.toLowerCase().replace(/^www\./, "");
+    return host === h || host.endsWith(`.${h}`);
+  });
+}
+
+/**
+ * options: { settings (config.enrich), cacheDir, limiter?, recorder?, replay?,
+ *            dryRun?, fetchOptions? }
+ * Returns { enrich(items) → Promise<count>, textFor(url) → Promise<string|null> }.
+ * enrich() sets item.excerpt on thin-snippet items it could fetch.
+ */
+export function createArticleEnricher({ settings = DEFAULT_ENRICH, cacheDir, limiter = null, recorder = null, replay = null, dryRun = false, fetchOptions = {} }) {
+  const s = { ...DEFAULT_ENRICH, ...settings };
+  const robots = new Map(); // origin -> Promise<rules | null (disallow all)>
+  const texts = new Map(); // canonical url -> Promise<string | null>
+  const options = { ...fetchOptions, headers: { ...FETCH_OPTIONS.headers, ...fetchOptions.headers, accept: HTML_ACCEPT } };
+  const get = (url, extra = {}) => {
+    const fetch = () => fetchFeedBody(url, null, { ...options, ...extra });
+    return limiter ? limiter.run(url, fetch) : fetch();
+  };
+
+  const cacheFile = (url) => path.join(cacheDir, `${crypto.createHash("sha256").update(url).digest("hex").slice(0, 24)}.json`);
+
+  // 4xx → no rules (allowed); anything else failing → disallow, to be safe
+  function robotsFor(origin) {
+    if (!robots.has(origin)) {
+      robots.set(origin, get(`${origin}/robots.txt`)
+        .then(res => parseRobots(res.body))
+        .catch(e => (/Status code 4\d\d/.test(e.message) ? [] : null)));
+    }
+    return robots.get(origin);
+  }
+
+  async function readCache(url) {
+    try {
+      const entry = JSON.parse(await fs.readFile(cacheFile(url), "utf8"));
+      if (entry.url === url && now() - Date.parse(entry.fetchedAt) < s.cacheDays * DAY_MS) return entry.text;
+    } catch {
+      // not cached
+    }
+    return null;
+  }
+
+  // Why `url` may not be fetched, or null if it may
+  async function refusal(url) {
+    if (!hostAllowed(url, s.allow)) return "host not on enrich.allow";
+    const { origin, pathname, search } = new URL(url);
+    const rules = await robotsFor(origin);
+    return rules && robotsAllows(rules, `${pathname}${search}`) ? null : "disallowed by robots.txt";
+  }
+
+  async function fetchText(url) {
+    const cached = await readCache(url);
+    if (cached != null) return cached;
+
+    if (await refusal(url)) {
+      jlog("info", "article_robots_disallowed", { url });
+      return null;
+    }
+
+    // A redirect off the allow-list or into a disallowed path fails the fetch
+    const res = await get(url, { checkRedirect: refusal });
+    const text = extractArticleText(res.body);
+    if (!dryRun && text) {
+      await writeFileAtomic(cacheFile(url), JSON.stringify({ url, fetchedAt: new Date(now()).toISOString(), text }, null, 2));
+    }
+    return text || null;
+  }
+
+  function textFor(rawUrl) {
+    const url = canonicalUrl(rawUrl) || rawUrl;
+    if (!texts.has(url)) {
+      let pending;
+      if (replay) pending = Promise.resolve(replay.articleText(url));
+      else if (!hostAllowed(url, s.allow)) pending = Promise.resolve(null);
+      else {
+        pending = fetchText(url).catch((e) => {
+          jlog("warn", "article_error", { url, message: e?.message || String(e) });
+          return null;
+        });
+      }
+      texts.set(url, pending.then((text) => {
+        if (!replay && hostAllowed(url, s.allow)) recorder?.recordArticle(url, text);
+        return text;
+      }));
+    }
+    return texts.get(url);
+  }
+
+  return {
+    textFor,
+
+    async enrich(items) {
+      const thin = items.filter(it => (it.snippet || "").length < s.thinSnippetChars);
+      const found = await Promise.all(thin.map(async (it) => {
+        const text = await textFor(it.link);
+        if (text) it.excerpt = excerptOf(text, s.excerptChars);
+        return !!text;
+      }));
+      const count = found.filter(Boolean).length;
+      if (thin.length) jlog("debug", "articles_enriched", { thin: thin.length, enriched: count });
+      return count;
+    },
+  };
+}
@@ -0,0 +1,150 @@
+// scripts/cli.js
+// Command-line parsing for scripts/generate.js.
+//
+//   node scripts/generate.js <command> [flags]
+//
+// Exit codes (EXIT): 0 ok, 1 total failure, 2 partial failure (some tabs or
+// feeds failed, the rest succeeded), 64 usage error.
+
+import { parseArgs } from "util";
+
+export const EXIT = { OK: 0, FAILURE: 1, PARTIAL: 2, USAGE: 64 };
+
+export const USAGE = `Usage: node scripts/generate.js <command> [flags]
+
+Commands:
+  generate         fetch feeds, write briefs, render the site (default)
+  render           rebuild pages from stored briefs (no network, no model)
+  fetch            fetch feeds into the item store and report candidates per tab
+  preview          generate without touching the store or seen caches and serve
+                   each tab's candidates (score, flags, age, window, outcome)
+                   next to its panel on 127.0.0.1:--port, with per-tab re-runs;
+                   with --out, write a preview page there instead
+  review           serve the day's drafts (generate --stage) for editing and
+                   approval on 127.0.0.1:--port
+  publish          publish the day's approved drafts: store them, mark what they
+                   kept as seen, render the site
+  feeds check      fetch every configured feed and report on it (ignores
+                   quarantine, records nothing)
+  feeds status     feed health from past runs: failures, quarantine, item counts
+  seen prune       expire + compact the seen caches
+  import-archive   recover briefs from public/archive/*.html (--force re-imports)
+
+Flags:
+  --tab <key>      only these tabs (repeat or comma-separate)
+  --date <ymd>     day to generate/render (YYYY-MM-DD; default today)
+  --dry-run        no writes at all (store, seen caches, pages, metrics)
+  --stage          generate: write drafts to drafts/<ymd>/ for review instead of
+                   publishing (nothing stored, seen caches untouched)
+  --port <n>       review/preview: port to listen on (default 8787/8788)
+  --out <dir>      write pages here instead of public/
+  --no-llm         use the extractive summariser instead of the model
+  --record <dir>   generate/preview/fetch: save raw feeds, model calls and seen
+                   state to a fixture dir (clock frozen at the start)
+  --replay <dir>   generate/preview/fetch: run from a recorded fixture dir with
+                   the recorded clock; pages go to a temp dir unless --out
+  --force          import-archive: re-import days already stored
+  -h, --help       show this help
+
+Exit codes: 0 ok, 1 total failure, 2 partial failure, 64 usage error.`;
+
+// "feeds check" / "feeds status" / "seen prune" are two words on the command line
+const COMMANDS = ["generate", "render", "fetch", "preview", "review", "publish", "feeds check", "feeds status", "seen prune", "import-archive"];
+
+// Commands that fetch feeds (and so can record or replay them)
+const FIXTURE_COMMANDS = ["generate", "preview", "fetch"];
+
+// Commands that serve a local page until interrupted
+const SERVER_COMMANDS = ["review", "preview"];
+
+export class UsageError extends Error {}
+
+/**
+ * Parse argv (without node + script). Returns { command, opts } or
+ * { command: "help" }; throws UsageError on bad input.
+ */
+export function parseCli(argv, { tabKeys = [] } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      strict: true,
+      options: {
+        tab: { type: "string", multiple: true },
+        date: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        out: { type: "string" },
+        "no-llm": { type: "boolean", default: false },
+        record: { type: "string" },
+        replay: { type: "string" },
+        force: { type: "boolean", default: false },
+        stage: { type: "boolean", default: false },
+        port: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help || positionals[0] === "help") return { command: "help" };
+
+  let command = positionals[0] || "generate";
+  let rest = positionals.slice(1);
+  if (command === "feeds" || command === "seen") {
+    command = `${command} ${rest[0] || ""}`.trim();
+    rest = rest.slice(1);
+  }
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command "${command}" (expected one of: ${COMMANDS.join(", ")})`);
+  }
+  if (rest.length) throw new UsageError(`Unexpected argument(s): ${rest.join(" ")}`);
+
+  const tabs = (values.tab || []).flatMap(t => t.split(",")).map(t => t.trim()).filter(Boolean);
+  const unknown = tabs.filter(t => !tabKeys.includes(t));
+  if (unknown.length) {
+    throw new UsageError(`Unknown tab(s): ${unknown.join(", ")} (expected: ${tabKeys.join(", ")})`);
+  }
+
+  if (values.date != null) {
+    const ok = /^\d{4}-\d{2}-\d{2}$/.test(values.date) && !isNaN(Date.parse(`${values.date}T00:00:00Z`));
+    if (!ok) throw new UsageError(`--date must be YYYY-MM-DD, got "${values.date}"`);
+  }
+
+  if (values.record || values.replay) {
+    if (values.record && values.replay) throw new UsageError("--record and --replay can't be combined");
+    if (!FIXTURE_COMMANDS.includes(command)) {
+      throw new UsageError(`--${values.record ? "record" : "replay"} only works with: ${FIXTURE_COMMANDS.join(", ")}`);
+    }
+  }
+
+  if (values.stage) {
+    if (command !== "generate") throw new UsageError("--stage only works with: generate");
+    if (values.record || values.replay) throw new UsageError("--stage can't be combined with --record or --replay");
+  }
+
+  let port = null;
+  if (values.port != null) {
+    if (!SERVER_COMMANDS.includes(command)) throw new UsageError(`--port only works with: ${SERVER_COMMANDS.join(", ")}`);
+    port = Number(values.port);
+    if (!/^\d+$/.test(values.port) || port > 65535) throw new UsageError(`--port must be a port number, got "${values.port}"`);
+  }
+
+  return {
+    command,
+    opts: {
+      tabs: tabs.length ? Array.from(new Set(tabs)) : null,
+      date: values.date || null,
+      dryRun: values["dry-run"],
+      out: values.out || null,
+      noLlm: values["no-llm"],
+      force: values.force,
+      stage: values.stage,
+      port,
+      record: values.record || null,
+      replay: values.replay || null,
+    },
+  };
+}
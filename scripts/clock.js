@@ -0,0 +1,17 @@
+// scripts/clock.js
+// The generator's idea of "now": freshness windows, item ages, seen-cache
+// expiry and the page date all read it. Real time unless frozen; replay runs
+// (scripts/fixtures.js) freeze it at the recorded run's start so the same
+// items fall inside the same windows.
+
+let frozenAt = null;
+
+export function now() {
+  return frozenAt ?? Date.now();
+}
+
+export function freezeClock(at) {
+  const t = at instanceof Date ? at.getTime() : Date.parse(at);
+  if (!Number.isFinite(t)) throw new Error(`Cannot freeze clock at "${at}"`);
+  frozenAt = t;
+}
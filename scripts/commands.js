@@ -0,0 +1,639 @@
+// scripts/commands.js
+// The CLI's commands (scripts/cli.js), each `(ctx, opts) → Promise<exit code>`.
+//
+// ctx is built once by scripts/generate.js:
+//   config    loaded tabs config
+//   paths     { root, stateDir, dbPath, template, changelog, drafts }
+//   out       output paths (scripts/site.js outPaths)
+//   dryRun    nothing is written (store, seen caches, pages, tabs.json, metrics)
+//   llmByTab  Map tabKey → provider (already wrapped for --no-llm/--record/--replay)
+//   recorder / replay  fixtures (scripts/fixtures.js), or null
+//   fetchOptions       feed fetch overrides (optional; scripts/feedFetch.js FETCH_OPTIONS)
+//
+// Each command opens its own store, feed loader, embedder and generator, so
+// importing this module has no side effects.
+
+import fs from "fs/promises";
+import path from "path";
+import { createRequire } from "module";
+import { now } from "./clock.js";
+import { EXIT } from "./cli.js";
+import { log, jlog, LOG_LEVEL, MODEL_OUTPUT_LOGGING } from "./log.js";
+import { createEmbedder } from "./similarity.js";
+import { createFeedLoader } from "./feeds.js";
+import { createFeedHealth, healthReport } from "./feedHealth.js";
+import { createHostLimiter } from "./scheduler.js";
+import { createArticleEnricher } from "./articles.js";
+import { createGenerator } from "./generator.js";
+import { openStore } from "./store.js";
+import { parseArchiveHtml } from "./archiveImport.js";
+import { canonicalUrl, publisherHost } from "./urls.js";
+import { FRESH_HOURS_PRIMARY, FRESH_HOURS_FALLBACKS, MAX_ITEMS } from "./selection.js";
+import { SITE_TITLE, loadIndexTemplate, renderDayHtml } from "./render.js";
+import { dayBriefs, renderSite } from "./site.js";
+import { markSeen } from "./seen.js";
+import {
+  MAX_CANDIDATES, candidateOf, createDraft, draftDir, draftResult, loadDraft, loadDrafts, publishedEntries, saveDraft,
+  setStatus, writePreview,
+} from "./drafts.js";
+import { createReviewServer } from "./reviewServer.js";
+import { createPreviewServer, createPreviewSession } from "./previewServer.js";
+import { ageHours, isoAndHumanDate, normalizeTitle, sanitizeExplainer, todayYMD, writeFileAtomic } from "./util.js";
+
+// ---- MetricsCollector (CommonJS .cjs) ---------------------------------------
+const require = createRequire(import.meta.url);
+const { MetricsCollector } = require("./metricsCollector.cjs");
+
+export const DEFAULT_REVIEW_PORT = 8787;
+export const DEFAULT_PREVIEW_PORT = 8788;
+
+// --- Run wiring --------------------------------------------------------------
+
+// Listen on 127.0.0.1:port; resolves once SIGINT/SIGTERM has closed the server
+async function serveUntilInterrupted(server, port, what) {
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", resolve);
+  });
+  log(`${what} at http://127.0.0.1:${server.address().port}/ (Ctrl-C to stop)`);
+  await new Promise((resolve) => {
+    const stop = () => server.close(resolve);
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+}
+
+// 0 if nothing failed, 1 if everything did, 2 for anything in between
+export function exitCodeFor(failed, total) {
+  if (!failed) return EXIT.OK;
+  return failed >= total ? EXIT.FAILURE : EXIT.PARTIAL;
+}
+
+export function selectedTabs(ctx, keys) {
+  const tabs = ctx.config.tabsByPriority;
+  return keys ? tabs.filter(t => keys.includes(t.key)) : tabs;
+}
+
+export function seenPathsFor(ctx) {
+  return Object.fromEntries(ctx.config.tabsByPriority.map(t => [t.key, path.join(ctx.paths.stateDir, t.seenFile)]));
+}
+
+function feedLimiter(ctx) {
+  const { feeds, perHost } = ctx.config.concurrency;
+  return createHostLimiter({ total: feeds, perHost });
+}
+
+/**
+ * Store + feed loader + embedder + generator for one command;
+ * generatorWith(overrides) makes another generator over the same feeds and
+ * store (createGenerator options, e.g. a tweaked config).
+ * Replays use a throwaway in-memory store: the real one never sees replayed runs,
+ * and quarantine never skips a recorded feed.
+ */
+export function openRun(ctx, { readonly = false, store = null } = {}) {
+  const runStore = store || openStore(ctx.replay ? ":memory:" : ctx.paths.dbPath, { readonly });
+  // Offline similarity (near-duplicate stories + topic relevance); run-scoped corpus
+  const embedder = createEmbedder(ctx.config.similarity.provider);
+  const health = ctx.replay ? null : createFeedHealth({ store: runStore, settings: ctx.config.feedHealth });
+  const limiter = feedLimiter(ctx);
+  const feeds = createFeedLoader({
+    embedder, store: runStore, recorder: ctx.recorder, replay: ctx.replay, health, limiter, fetchOptions: ctx.fetchOptions,
+  });
+  const enricher = ctx.config.enrich.enabled ? createArticleEnricher({
+    settings: ctx.config.enrich,
+    cacheDir: path.join(ctx.paths.stateDir, "articles"),
+    limiter,
+    recorder: ctx.recorder,
+    replay: ctx.replay,
+    dryRun: ctx.dryRun,
+    fetchOptions: ctx.fetchOptions,
+  }) : null;
+  const generatorWith = (overrides) => createGenerator({
+    config: ctx.config,
+    llmByTab: ctx.llmByTab,
+    embedder,
+    feeds,
+    enricher,
+    store: runStore,
+    seenPaths: seenPathsFor(ctx),
+    dryRun: ctx.dryRun,
+    recorder: ctx.recorder,
+    replay: ctx.replay,
+    ...overrides,
+  });
+  return { store: runStore, embedder, feeds, generator: generatorWith({}), generatorWith };
+}
+
+export function logTabSummaries(results, { errors: feedErrors = new Map(), skipped = new Set() } = {}) {
+  for (const t of results) {
+    const hosts = Array.from(new Set((t.items || []).map(i => i.source)));
+    log(
+      `[${t.tabKey}] freshness<=${t.freshnessUsed ?? "n/a"}h; hosts: ${hosts.length ? hosts.join(", ") : "none"}${t.failed ? " (FAILED)" : ""}`
+    );
+  }
+
+  if (feedErrors.size) {
+    log("Feed errors summary:");
+    for (const [url, meta] of feedErrors.entries()) {
+      log(` - ${url} (${meta.count}x) last: ${meta.lastMessage}`);
+    }
+  }
+  if (skipped.size) log(`Skipped ${skipped.size} quarantined feed(s); see \`feeds status\``);
+}
+
+// --- Generate ----------------------------------------------------------------
+
+// Pages for `ymd` + tabs.json from the stored briefs, exactly as `render`
+// rebuilds them (generate and publish)
+async function writeSite(ctx, store, { tpl, ymd }) {
+  const { config, out } = ctx;
+  await fs.mkdir(out.dir, { recursive: true });
+  await fs.mkdir(out.archiveDir, { recursive: true });
+  await fs.mkdir(out.dataDir, { recursive: true });
+
+  const { iso, human } = isoAndHumanDate();
+  const { latest } = await renderSite({ store, config, out, tpl, changelogPath: ctx.paths.changelog, days: [ymd] });
+
+  // tabs.json mirrors index.html (the latest stored day)
+  const tabsJson = {
+    generated_at_iso: iso,
+    generated_at_human: human,
+    title: SITE_TITLE,
+    tabs: dayBriefs(store, latest || ymd, config).map(b => b.payload),
+  };
+  await writeFileAtomic(out.tabsJson, JSON.stringify(tabsJson, null, 2));
+}
+
+export async function generateCommand(ctx, { tabs = null, date = null, stage = false } = {}) {
+  if (stage) return stageCommand(ctx, { tabs, date });
+  const { out, dryRun, recorder, replay } = ctx;
+  const ymd = date || replay?.ymd || todayYMD();
+  const selected = selectedTabs(ctx, tabs);
+
+  log("Start generate");
+  jlog("info", "run_start", {
+    ymd,
+    tabs: selected.map(t => t.key),
+    dry_run: dryRun,
+    out: out.dir,
+    record: recorder?.dir,
+    replay: replay?.dir,
+    log_level: LOG_LEVEL,
+    model_output_logging: MODEL_OUTPUT_LOGGING,
+  });
+  for (const tab of selected) {
+    const llm = ctx.llmByTab.get(tab.key);
+    if (llm.degradedReason) jlog("warn", "llm_degraded", { tab: tab.key, provider: llm.name, reason: llm.degradedReason });
+  }
+
+  // Metrics collector (writes to <out>/data/metrics/*)
+  const metrics = new MetricsCollector({ repoRoot: ctx.paths.root, outDir: out.dataDir });
+  metrics.startRun({ ymd, generator: "scripts/generate.js" });
+
+  const { store, feeds, generator } = openRun(ctx, { readonly: dryRun });
+  const runId = store.startRun({ ymd, startedAt: new Date(now()).toISOString() });
+
+  try {
+    const tpl = await loadIndexTemplate(ctx.paths.template);
+    const results = await generator.generateTabs({ ymd, runId, tabs: selected, metrics });
+    const failedTabs = results.filter(t => t.failed).map(t => t.tabKey);
+
+    if (dryRun) {
+      for (const t of results) {
+        jlog("info", "dry_run_result", {
+          tab: t.tabKey,
+          failed: !!t.failed,
+          freshnessUsed: t.freshnessUsed ?? null,
+          oneLiner: t.oneLiner,
+          sources: (t.items || []).map(it => it.link),
+        });
+      }
+      logTabSummaries(results, feeds);
+      log("Dry run: nothing written");
+      jlog("info", "run_end", { ymd, dry_run: true });
+      return exitCodeFor(failedTabs.length, results.length);
+    }
+
+    await writeSite(ctx, store, { tpl, ymd });
+
+    // Run summaries
+    log(`Generated index + archive (${ymd}) + about + changelog`);
+    logTabSummaries(results, feeds);
+
+    jlog("info", "run_end", { ymd });
+
+    // Write metrics at the end of a successful run
+    metrics.finalizeAndWrite({ runSuccess: true });
+
+    const code = exitCodeFor(failedTabs.length, results.length);
+    store.finishRun(runId, {
+      status: code === EXIT.OK ? "ok" : code === EXIT.PARTIAL ? "partial" : "failed",
+      summary: { tabs: results.map(t => t.tabKey), failedTabs, feedErrors: feeds.errors.size, feedsQuarantined: feeds.skipped.size },
+    });
+
+    return code;
+  } catch (err) {
+    // Ensure metrics still get written even on failure
+    if (!dryRun) {
+      try {
+        metrics.finalizeAndWrite({ runSuccess: false });
+      } catch (e) {
+        log("Failed to write metrics on error:", e?.message || String(e));
+      }
+    }
+    store.finishRun(runId, { status: "error", summary: { message: err?.message || String(err) } });
+    throw err;
+  } finally {
+    store.close();
+  }
+}
+
+// --- Review queue ------------------------------------------------------------
+
+// generate --stage: generate the chosen tabs as drafts (drafts/<ymd>/, see
+// scripts/drafts.js) instead of publishing them. The item store is opened
+// read-only (no items, feed cache or feed health written) and the seen caches
+// are left alone; only the draft files are written. `publish` records what
+// gets approved.
+async function stageCommand(ctx, { tabs = null, date = null }) {
+  const { config, dryRun, replay } = ctx;
+  const ymd = date || replay?.ymd || todayYMD();
+  const selected = selectedTabs(ctx, tabs);
+  const widest = Math.max(FRESH_HOURS_PRIMARY, ...FRESH_HOURS_FALLBACKS);
+
+  log("Start generate (staging drafts)");
+  jlog("info", "stage_start", { ymd, tabs: selected.map(t => t.key), dry_run: dryRun, drafts: ctx.paths.drafts });
+
+  const { store, feeds, generator } = openRun({ ...ctx, dryRun: true }, { readonly: true });
+  try {
+    const tpl = await loadIndexTemplate(ctx.paths.template);
+    const results = await generator.generateTabs({ ymd, runId: null, tabs: selected, metrics: null });
+    logTabSummaries(results, feeds);
+
+    // Anything a staged tab picked isn't offered as a candidate to any of them
+    const picked = new Set(results.flatMap(t => [...(t.items || []), ...(t.stories || []).flatMap(s => s.members || [])]).map(it => it.link));
+
+    const staged = [];
+    for (const t of results) {
+      const existing = await loadDraft(ctx.paths.drafts, ymd, t.tabKey);
+      if (existing?.status === "published") {
+        log(`[${t.tabKey}] Already published for ${ymd}; draft left as it is`);
+        continue;
+      }
+      const tab = selected.find(x => x.key === t.tabKey);
+      const seen = await generator.loadSeenFrom(seenPathsFor(ctx)[tab.key], tab.key);
+      const candidates = await generator.collectCandidates({
+        feeds: [...tab.primary, ...tab.secondary],
+        primaryFeeds: tab.primary,
+        seen,
+        maxHours: widest,
+        tabKey: tab.key,
+      });
+      staged.push(createDraft({
+        ymd,
+        payload: generator.tabJsonEntry(t),
+        explainerHtml: t.explainerHtml || "",
+        candidates: candidates.filter(it => !picked.has(it.link)).slice(0, MAX_CANDIDATES).map(candidateOf),
+      }));
+    }
+
+    if (dryRun) {
+      log(`Dry run: ${staged.length} draft(s) not written`);
+    } else {
+      for (const draft of staged) await saveDraft(ctx.paths.drafts, draft);
+      const file = await writePreview(ctx.paths.drafts, ymd, { tpl, config, stored: dayBriefs(store, ymd, config) });
+      log(`Staged ${staged.length} draft(s) in ${draftDir(ctx.paths.drafts, ymd)}; preview: ${file}`);
+    }
+    jlog("info", "stage_end", { ymd, staged: staged.map(d => d.tab) });
+    return exitCodeFor(results.filter(t => t.failed).length, results.length);
+  } finally {
+    store.close();
+  }
+}
+
+// Serve the day's drafts for review on 127.0.0.1:<port> until interrupted
+export async function reviewCommand(ctx, { date = null, port = null } = {}) {
+  const { config } = ctx;
+  const ymd = date || todayYMD();
+  const drafts = await loadDrafts(ctx.paths.drafts, ymd);
+  if (!drafts.length) {
+    log(`No drafts for ${ymd} (run \`generate --stage\` first)`);
+    return EXIT.FAILURE;
+  }
+
+  const store = openStore(ctx.paths.dbPath, { readonly: true });
+  let stored;
+  try {
+    stored = dayBriefs(store, ymd, config);
+  } finally {
+    store.close();
+  }
+  const tpl = await loadIndexTemplate(ctx.paths.template);
+  await writePreview(ctx.paths.drafts, ymd, { tpl, config, stored });
+
+  const server = createReviewServer({ root: ctx.paths.drafts, ymd, config, tpl, stored });
+  await serveUntilInterrupted(server, port ?? DEFAULT_REVIEW_PORT, `Reviewing ${drafts.length} draft(s) for ${ymd}`);
+  return EXIT.OK;
+}
+
+// Publish the day's approved drafts (--tab: only these): record them as a run,
+// mark only what they kept as seen, and render the pages + tabs.json
+export async function publishCommand(ctx, { tabs = null, date = null } = {}) {
+  const { config, dryRun } = ctx;
+  const ymd = date || todayYMD();
+  const order = config.tabsByPriority.map(t => t.key);
+  const drafts = (await loadDrafts(ctx.paths.drafts, ymd, order)).filter(d => !tabs || tabs.includes(d.tab));
+  const approved = drafts.filter(d => d.status === "approved");
+  const waiting = drafts.filter(d => d.status === "pending").map(d => d.tab);
+  if (waiting.length) log(`Not approved yet (left as drafts): ${waiting.join(", ")}`);
+  if (!approved.length) {
+    log(`No approved drafts for ${ymd}`);
+    return EXIT.FAILURE;
+  }
+  if (dryRun) {
+    log(`Dry run: would publish ${approved.map(d => d.tab).join(", ")}`);
+    return EXIT.OK;
+  }
+
+  const { store, generator } = openRun(ctx);
+  const runId = store.startRun({ ymd, startedAt: new Date(now()).toISOString() });
+  try {
+    for (const draft of approved) {
+      store.recordTab({ runId, ymd, tab: draft.tab, result: draftResult(draft), payload: draft.payload });
+
+      const seenPath = seenPathsFor(ctx)[draft.tab];
+      const seen = await generator.loadSeenFrom(seenPath, draft.tab);
+      for (const e of publishedEntries(draft)) {
+        markSeen(seen, { link: e.link, title: e.title ? normalizeTitle(e.title) : null }, { tab: draft.tab, story: e.story, now: now(), settings: ctx.config.seen });
+      }
+      await generator.saveSeenTo(seenPath, seen, draft.tab);
+    }
+
+    await writeSite(ctx, store, { tpl: await loadIndexTemplate(ctx.paths.template), ymd });
+
+    for (const draft of approved) await saveDraft(ctx.paths.drafts, { ...setStatus(draft, "published"), publishedRunId: runId });
+    const failedTabs = approved.filter(d => d.payload.failed).map(d => d.tab);
+    store.finishRun(runId, { status: failedTabs.length ? "partial" : "ok", summary: { tabs: approved.map(d => d.tab), failedTabs, published: true } });
+    log(`Published ${approved.map(d => d.tab).join(", ")} for ${ymd}`);
+    jlog("info", "publish_done", { ymd, tabs: approved.map(d => d.tab), run_id: runId });
+    return EXIT.OK;
+  } catch (err) {
+    store.finishRun(runId, { status: "error", summary: { message: err?.message || String(err) } });
+    throw err;
+  } finally {
+    store.close();
+  }
+}
+
+// --- Other commands ----------------------------------------------------------
+
+// Rebuild pages from the item store: no feeds, no model.
+// --date renders just that day's archive page (index/archive index/about as usual).
+export async function renderCommand(ctx, { date = null } = {}) {
+  const { config, out, dryRun } = ctx;
+  const store = openStore(ctx.paths.dbPath, { readonly: dryRun });
+  try {
+    if (date && !store.days().some(d => d.ymd === date)) {
+      log(`Nothing stored for ${date}`);
+      return EXIT.FAILURE;
+    }
+    if (!dryRun) await fs.mkdir(out.archiveDir, { recursive: true });
+    const tpl = await loadIndexTemplate(ctx.paths.template);
+    const { rendered, latest, notStored } = await renderSite({
+      store, config, out, tpl, changelogPath: ctx.paths.changelog, days: date ? [date] : null, dryRun,
+    });
+    jlog("info", "render_done", { days: rendered.length, latest, notStored: notStored.length, out: out.dir, dry_run: dryRun });
+    if (notStored.length) {
+      log(`Archive pages with no stored data (left as they are; see import-archive): ${notStored.join(", ")}`);
+    }
+    return EXIT.OK;
+  } finally {
+    store.close();
+  }
+}
+
+// Fetch the chosen tabs' feeds into the item store and report what each tab
+// would have to pick from (widest window, seen items removed). No model calls.
+export async function fetchCommand(ctx, { tabs = null } = {}) {
+  const selected = selectedTabs(ctx, tabs);
+  const urls = Array.from(new Set(selected.flatMap(t => [...t.primary, ...t.secondary])));
+  const widest = Math.max(FRESH_HOURS_PRIMARY, ...FRESH_HOURS_FALLBACKS);
+
+  const { store, feeds, generator } = openRun(ctx, { readonly: ctx.dryRun });
+  try {
+    await Promise.all(urls.map(url => feeds.load(url)));
+
+    for (const tab of selected) {
+      const seen = await generator.loadSeenFrom(seenPathsFor(ctx)[tab.key], tab.key);
+      const candidates = await generator.collectCandidates({
+        feeds: [...tab.primary, ...tab.secondary],
+        primaryFeeds: tab.primary,
+        seen,
+        maxHours: widest,
+        tabKey: tab.key,
+      });
+      const stories = generator.storiesFrom(tab.key, candidates);
+      jlog("info", "fetch_tab", {
+        tab: tab.key,
+        candidates: candidates.length,
+        stories: stories.length,
+        top: stories.slice(0, MAX_ITEMS).map(s => ({ title: s.leader.title, outlets: s.outlets, score: s.score })),
+      });
+      log(`[${tab.key}] ${candidates.length} unseen candidates within ${widest}h → ${stories.length} stories`);
+    }
+
+    const failed = urls.filter(u => feeds.errors.has(u));
+    log(`Fetched ${urls.length} feeds (${failed.length} failed)${ctx.dryRun ? "; dry run, nothing stored" : ""}`);
+    return exitCodeFor(failed.length, urls.length);
+  } finally {
+    store.close();
+  }
+}
+
+// Generate the chosen tabs without touching the store or seen caches (always a
+// dry run). With --out, write one page there (fresh panels plus the day's
+// stored ones) and exit; otherwise serve the candidate inspector
+// (scripts/previewServer.js) on 127.0.0.1:<port> until interrupted.
+export async function previewCommand(ctx, { tabs = null, date = null, out = null, port = null } = {}) {
+  const { config, replay } = ctx;
+  const ymd = date || replay?.ymd || todayYMD();
+  const selected = selectedTabs(ctx, tabs);
+
+  const run = openRun({ ...ctx, dryRun: true }, { readonly: true });
+  const { store, feeds, generator } = run;
+  try {
+    const tpl = await loadIndexTemplate(ctx.paths.template);
+    const stored = replay ? replay.stored : dayBriefs(store, ymd, config);
+
+    if (!out) {
+      const session = await createPreviewSession({
+        config, tabs: selected, ymd, run, llmByTab: ctx.llmByTab, seenPaths: seenPathsFor(ctx), stored,
+      });
+      logTabSummaries([...session.entries.values()].map(e => e.result), feeds);
+      const server = createPreviewServer(session, { tpl, config });
+      await serveUntilInterrupted(server, port ?? DEFAULT_PREVIEW_PORT, `Previewing ${selected.length} tab(s) for ${ymd}`);
+      return EXIT.OK;
+    }
+
+    const results = await generator.generateTabs({ ymd, runId: null, tabs: selected, metrics: null, stored });
+    logTabSummaries(results, feeds);
+
+    const fresh = results.map(t => ({ tab: t.tabKey, payload: generator.tabJsonEntry(t), explainerHtml: t.explainerHtml || "" }));
+    const briefs = [...fresh, ...stored.filter(b => !selected.some(t => t.key === b.tab))];
+    const order = new Map(config.tabsByPriority.map((t, i) => [t.key, i]));
+    briefs.sort((a, b) => order.get(a.tab) - order.get(b.tab));
+
+    const file = path.join(path.resolve(out), "index.html");
+    await writeFileAtomic(file, renderDayHtml(tpl, { generatedAt: new Date(now()).toISOString(), briefs }, config));
+    log(`Preview written to ${file}`);
+
+    return exitCodeFor(results.filter(t => t.failed).length, results.length);
+  } finally {
+    store.close();
+  }
+}
+
+// Fetch every feed of the chosen tabs once and report on it; writes nothing
+// (quarantined feeds are fetched too, and their health records left alone)
+export async function feedsCheckCommand(ctx, { tabs = null } = {}) {
+  const selected = selectedTabs(ctx, tabs);
+  const urls = Array.from(new Set(selected.flatMap(t => [...t.primary, ...t.secondary])));
+  const feeds = createFeedLoader({ recorder: ctx.recorder, replay: ctx.replay, limiter: feedLimiter(ctx), fetchOptions: ctx.fetchOptions });
+
+  // ms includes time queued behind the concurrency limits
+  const rows = await Promise.all(urls.map(async (url) => {
+    const started = Date.now();
+    const { items, error } = await feeds.load(url);
+    const newest = Math.max(0, ...items.map(it => it.publishedAt?.getTime?.() || 0));
+    const row = {
+      url,
+      tabs: selected.filter(t => t.primary.includes(url) || t.secondary.includes(url)).map(t => t.key),
+      ok: !error,
+      items: items.length,
+      newestAgeHours: newest ? ageHours(new Date(newest)) : null,
+      ms: Date.now() - started,
+      error,
+    };
+    jlog(error ? "warn" : "info", "feed_check", row);
+    return row;
+  }));
+
+  for (const r of rows) {
+    const status = r.error ? `FAILED: ${r.error}` : `${r.items} items, newest ${r.newestAgeHours ?? "n/a"}h old`;
+    log(`${r.ok && r.items ? "ok  " : "FAIL"} ${r.url} (${r.tabs.join(", ")}) ${status}`);
+  }
+
+  const failed = rows.filter(r => !r.ok).length;
+  log(`${rows.length - failed}/${rows.length} feeds ok`);
+  return exitCodeFor(failed, rows.length);
+}
+
+// Feed health as recorded by past runs (worst first); reads only
+export async function feedsStatusCommand(ctx, { tabs = null } = {}) {
+  const store = openStore(ctx.paths.dbPath, { readonly: true });
+  try {
+    const keys = selectedTabs(ctx, tabs).map(t => t.key);
+    const rows = healthReport(store.feedHealth(), ctx.config).filter(r => !tabs || r.tabs.some(k => keys.includes(k)));
+    const age = (h) => (h == null ? "never" : `${h}h ago`);
+
+    for (const r of rows) {
+      jlog("debug", "feed_status", r);
+      const detail = r.state === "ok"
+        ? `median ${r.medianItems ?? "n/a"} items, newest item ${r.newestItemAgeHours ?? "n/a"}h old`
+        : `${r.consecutiveFailures} failure(s) in a row [${r.errorClass || "n/a"}] ${r.lastError || ""}`.trim();
+      const reprobe = r.state === "quarantined" ? `; re-probe after ${r.reprobeAt}` : "";
+      log(`${r.state.padEnd(11)} ${r.url} (${r.tabs.join(", ") || "not configured"}) last ok ${age(r.lastSuccessAgeHours)}; ${detail}${reprobe}`);
+    }
+
+    const count = (state) => rows.filter(r => r.state === state).length;
+    log(`${rows.length} feeds: ${count("ok")} ok, ${count("failing")} failing, ${count("quarantined")} quarantined, ${count("unknown")} never fetched`);
+    return EXIT.OK;
+  } finally {
+    store.close();
+  }
+}
+
+// Expire + compact the chosen tabs' seen caches (store and JSON export)
+export async function seenPruneCommand(ctx, { tabs = null } = {}) {
+  const store = openStore(ctx.paths.dbPath, { readonly: ctx.dryRun });
+  const { generator } = openRun(ctx, { store });
+  const seenPaths = seenPathsFor(ctx);
+  try {
+    for (const tab of selectedTabs(ctx, tabs)) {
+      const seen = await generator.loadSeenFrom(seenPaths[tab.key], tab.key);
+      const kept = await generator.saveSeenTo(seenPaths[tab.key], seen, tab.key);
+      jlog("info", "seen_pruned", { tab: tab.key, before: seen.entries.length, after: kept.entries.length, dry_run: ctx.dryRun });
+    }
+    return EXIT.OK;
+  } finally {
+    store.close();
+  }
+}
+
+// One-off: recover brief data from public/archive/*.html into the item store.
+// Days already stored are skipped unless --force (which adds a newer run).
+export async function importArchiveCommand(ctx, { force = false } = {}) {
+  const { config, out, dryRun } = ctx;
+  const store = openStore(ctx.paths.dbPath, { readonly: dryRun });
+  const { generator } = openRun(ctx, { store });
+  const labels = new Map(config.tabsByPriority.map(t => [t.key, t.label]));
+  try {
+    const stored = new Set(store.days().map(d => d.ymd));
+    const files = await fs.readdir(out.archiveDir).catch(() => []);
+    const dated = files.filter(f => /^\d{4}-\d{2}-\d{2}\.html$/.test(f)).sort();
+    let imported = 0;
+
+    for (const f of dated) {
+      const ymd = f.replace(".html", "");
+      if (stored.has(ymd) && !force) continue;
+
+      const page = parseArchiveHtml(await fs.readFile(path.join(out.archiveDir, f), "utf8"));
+      if (!page.tabs.length) {
+        jlog("warn", "import_skipped", { file: f, reason: "no brief panels found" });
+        continue;
+      }
+
+      const runId = store.startRun({ ymd, startedAt: page.generatedAt || `${ymd}T12:00:00.000Z` });
+      for (const t of page.tabs) {
+        const items = t.sources.map(src => {
+          const link = canonicalUrl(src.link);
+          return { title: src.title, link, source: publisherHost(link), snippet: null, publishedAt: null };
+        });
+        const result = {
+          tabKey: t.key,
+          label: labels.get(t.key) || t.key,
+          items,
+          stories: [],
+          oneLiner: t.oneLiner,
+          bullets: t.bullets,
+          tags: t.tags,
+          explainerHtml: sanitizeExplainer(t.explainerHtml),
+          noteText: t.noteText,
+          // Fallback panels were tagged "no-update"
+          failed: t.tags.includes("no-update"),
+        };
+        store.recordTab({ runId, ymd, tab: t.key, result, payload: { ...generator.tabJsonEntry(result), imported: true } });
+      }
+      store.finishRun(runId, { status: "imported", summary: { file: f, tabs: page.tabs.length } });
+      imported += 1;
+    }
+
+    jlog("info", "import_done", { files: dated.length, imported, dry_run: dryRun });
+    return EXIT.OK;
+  } finally {
+    store.close();
+  }
+}
+
+export const COMMANDS = {
+  generate: generateCommand,
+  render: renderCommand,
+  fetch: fetchCommand,
+  preview: previewCommand,
+  review: reviewCommand,
+  publish: publishCommand,
+  "feeds check": feedsCheckCommand,
+  "feeds status": feedsStatusCommand,
+  "seen prune": seenPruneCommand,
+  "import-archive": importArchiveCommand,
+};
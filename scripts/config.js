@@ -0,0 +1,287 @@
+// scripts/config.js
+// Loads + validates the declarative tab config (config/tabs.json).
+//
+// The config is the single place that defines tabs: label, description, feed
+// pools, relevance keywords, prompt intent and cross-tab dedupe priority.
+// "scoring" holds the site-wide relevance weights (see scripts/relevance.js);
+// "similarity" picks the offline embedder and near-duplicate threshold
+// (scripts/similarity.js). A tab's "topic" text defaults to its description +
+// intent + keywords. "seen" sets how long published links/titles stay blocked
+// (scripts/seen.js); "feedHealth" when a failing feed is quarantined and how
+// often it is re-probed (scripts/feedHealth.js); "concurrency" how many feed
+// fetches (overall / per host) and model calls run at once (scripts/scheduler.js);
+// "enrich" turns on full-text excerpts for thin snippets (scripts/articles.js);
+// "syndication" sets the site URL feed links are made absolute with and how
+// many days the RSS/Atom/JSON feeds carry (scripts/syndication.js); without a
+// siteUrl no feeds are written.
+// Array order in "tabs" is the display order; "dedupePriority" (1 = first) is
+// the generation order used for cross-tab de-dupe. "llm" at the top level sets
+// the default provider/model/temperature; a tab-level "llm" overrides it.
+// "grounding" works the same way (action: off | warn | strip | regenerate), and
+// so does "format": "brief" (one merged brief) or "digest" (a headline and
+// two-sentence summary per story, plus an optional overview).
+//
+// Validation uses the small JSON-Schema-like subset in scripts/schema.js so we
+// don't need a validator dependency. All problems are reported at once.
+
+import fs from "fs/promises";
+import { PROVIDERS } from "./llm.js";
+import { GROUNDING_ACTIONS } from "./grounding.js";
+import { TAB_FORMATS } from "./modelOutput.js";
+import { compileRelevance } from "./relevance.js";
+import { EMBEDDERS } from "./similarity.js";
+import { DEFAULT_SEEN } from "./seen.js";
+import { DEFAULT_FEED_HEALTH } from "./feedHealth.js";
+import { DEFAULT_CONCURRENCY } from "./scheduler.js";
+import { DEFAULT_ENRICH } from "./articles.js";
+import { DEFAULT_SYNDICATION } from "./syndication.js";
+import { validateAgainstSchema } from "./schema.js";
+
+const URL_LIST = {
+  type: "array",
+  items: { type: "string", pattern: "^https?://\\S+$" },
+};
+
+const LLM_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    provider: { type: "string", enum: PROVIDERS },
+    model: { type: "string", minLength: 1 },
+    temperature: { type: "number", minimum: 0, maximum: 2 },
+    baseURL: { type: "string", pattern: "^https?://\\S+$" },
+    apiKeyEnv: { type: "string", pattern: "^[A-Z_][A-Z0-9_]*$" },
+  },
+};
+
+const GROUNDING_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    action: { type: "string", enum: GROUNDING_ACTIONS },
+    allow: { type: "array", items: { type: "string", minLength: 1 } },
+  },
+};
+
+const FORMAT = { type: "string", enum: TAB_FORMATS };
+
+const KEYWORDS = { type: "array", items: { type: "string", minLength: 1 } };
+
+const SCORING_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    titleWeight: { type: "number", minimum: 0 },
+    snippetWeight: { type: "number", minimum: 0 },
+    sourceWeight: { type: "number", minimum: 0 },
+    maxSignals: { type: "integer", minimum: 1 },
+    negativeWeight: { type: "number", minimum: 0 },
+    primaryBoost: { type: "number", minimum: 0 },
+    halfLifeHours: { type: "number", minimum: 1 },
+    topicWeight: { type: "number", minimum: 0 },
+    coverageBoost: { type: "number", minimum: 0 },
+    negative: KEYWORDS,
+  },
+};
+
+const SIMILARITY_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    provider: { type: "string", enum: Object.keys(EMBEDDERS) },
+    duplicateThreshold: { type: "number", minimum: 0, maximum: 1 },
+  },
+};
+
+const SEEN_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    horizonDays: { type: "number", minimum: 1 },
+    titleHorizonDays: { type: "number", minimum: 0 },
+    maxEntries: { type: "integer", minimum: 1 },
+  },
+};
+
+const FEED_HEALTH_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    quarantineAfter: { type: "integer", minimum: 1 },
+    reprobeHours: { type: "number", minimum: 1 },
+    maxReprobeHours: { type: "number", minimum: 1 },
+  },
+};
+
+const CONCURRENCY_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    feeds: { type: "integer", minimum: 1 },
+    perHost: { type: "integer", minimum: 1 },
+    models: { type: "integer", minimum: 1 },
+  },
+};
+
+const ENRICH_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    enabled: { type: "boolean" },
+    allow: { type: "array", items: { type: "string", pattern: "^[a-z0-9.-]+$" } },
+    thinSnippetChars: { type: "integer", minimum: 0 },
+    excerptChars: { type: "integer", minimum: 100 },
+    cacheDays: { type: "number", minimum: 0 },
+  },
+};
+
+const SYNDICATION_SETTINGS = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    siteUrl: { type: "string", pattern: "^https?://\\S+$" },
+    days: { type: "integer", minimum: 1 },
+  },
+};
+
+export const TABS_CONFIG_SCHEMA = {
+  type: "object",
+  required: ["tabs"],
+  additionalProperties: false,
+  properties: {
+    defaultTab: { type: "string" },
+    llm: LLM_SETTINGS,
+    grounding: GROUNDING_SETTINGS,
+    format: FORMAT,
+    scoring: SCORING_SETTINGS,
+    similarity: SIMILARITY_SETTINGS,
+    seen: SEEN_SETTINGS,
+    feedHealth: FEED_HEALTH_SETTINGS,
+    concurrency: CONCURRENCY_SETTINGS,
+    enrich: ENRICH_SETTINGS,
+    syndication: SYNDICATION_SETTINGS,
+    tabs: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["key", "label", "description", "intent", "dedupePriority", "feeds"],
+        additionalProperties: false,
+        properties: {
+          key: { type: "string", pattern: "^[a-z][a-z0-9-]*$" },
+          label: { type: "string", minLength: 1 },
+          description: { type: "string", minLength: 1 },
+          intent: { type: "string", minLength: 1 },
+          topic: { type: "string", minLength: 1 },
+          dedupePriority: { type: "integer", minimum: 1 },
+          seenFile: { type: "string", pattern: "^[\\w.-]+\\.json$" },
+          llm: LLM_SETTINGS,
+          grounding: GROUNDING_SETTINGS,
+          format: FORMAT,
+          feeds: {
+            type: "object",
+            required: ["primary"],
+            additionalProperties: false,
+            properties: {
+              primary: { ...URL_LIST, minItems: 1 },
+              secondary: URL_LIST,
+            },
+          },
+          relevance: {
+            type: "object",
+            required: ["keywords"],
+            additionalProperties: false,
+            properties: {
+              weight: { type: "number", minimum: 0 },
+              wholeWord: { type: "boolean" },
+              keywords: KEYWORDS,
+              negative: KEYWORDS,
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Cross-field checks the schema subset can't express.
+ */
+function semanticErrors(cfg) {
+  const errors = [];
+  const keys = new Map();
+  const priorities = new Map();
+
+  cfg.tabs.forEach((t, i) => {
+    if (keys.has(t.key)) errors.push(`config.tabs[${i}].key: duplicate key "${t.key}" (also tabs[${keys.get(t.key)}])`);
+    else keys.set(t.key, i);
+
+    if (priorities.has(t.dedupePriority)) {
+      errors.push(`config.tabs[${i}].dedupePriority: ${t.dedupePriority} already used by tabs[${priorities.get(t.dedupePriority)}]`);
+    } else {
+      priorities.set(t.dedupePriority, i);
+    }
+  });
+
+  if (cfg.defaultTab != null && !keys.has(cfg.defaultTab)) {
+    errors.push(`config.defaultTab: "${cfg.defaultTab}" is not a tab key`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse + validate + normalise a tabs config object.
+ * Throws one Error listing every problem found.
+ */
+export function parseTabsConfig(raw, sourceName = "config") {
+  const errors = validateAgainstSchema(raw, TABS_CONFIG_SCHEMA, "config");
+  if (!errors.length) errors.push(...semanticErrors(raw));
+  if (errors.length) {
+    throw new Error(`Invalid tab config (${sourceName}):\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const tabs = raw.tabs.map(t => ({
+    key: t.key,
+    label: t.label,
+    description: t.description,
+    intent: t.intent,
+    topic: t.topic || [t.description, t.intent, ...(t.relevance?.keywords || [])].join(" "),
+    dedupePriority: t.dedupePriority,
+    seenFile: t.seenFile || `seen.${t.key}.json`,
+    primary: [...t.feeds.primary],
+    secondary: [...(t.feeds.secondary || [])],
+    relevance: compileRelevance(t.relevance, raw.scoring),
+    llm: { ...(raw.llm || {}), ...(t.llm || {}) },
+    grounding: {
+      ...(raw.grounding || {}),
+      ...(t.grounding || {}),
+      // allow-lists add up rather than replace
+      allow: [...(raw.grounding?.allow || []), ...(t.grounding?.allow || [])],
+    },
+    format: t.format || raw.format || "brief",
+  }));
+
+  return {
+    defaultTab: raw.defaultTab || tabs[0].key,
+    llm: { ...(raw.llm || {}) },
+    similarity: { provider: "tfidf", duplicateThreshold: 0.4, ...(raw.similarity || {}) },
+    seen: { ...DEFAULT_SEEN, ...(raw.seen || {}) },
+    feedHealth: { ...DEFAULT_FEED_HEALTH, ...(raw.feedHealth || {}) },
+    concurrency: { ...DEFAULT_CONCURRENCY, ...(raw.concurrency || {}) },
+    enrich: { ...DEFAULT_ENRICH, ...(raw.enrich || {}) },
+    syndication: { ...DEFAULT_SYNDICATION, ...(raw.syndication || {}) },
+    tabs, // display order
+    tabsByPriority: [...tabs].sort((a, b) => a.dedupePriority - b.dedupePriority),
+  };
+}
+
+export async function loadTabsConfig(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read tab config ${filePath}: ${e?.message || String(e)}`);
+  }
+  return parseTabsConfig(raw, filePath);
+}
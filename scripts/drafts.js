@@ -0,0 +1,352 @@
+// scripts/drafts.js
+// Review queue: `generate --stage` writes each tab's result as a draft instead
+// of publishing it; `review` (scripts/reviewServer.js) edits and approves the
+// drafts; `publish` renders the approved ones and marks only what they kept as
+// seen.
+//
+// Layout (drafts/ at the repo root):
+//   drafts/<ymd>/<tab>.json   one draft per tab
+//   drafts/<ymd>/preview.html the day as it would be published (drafts that
+//                             aren't rejected, stored panels for the rest)
+//
+// A draft is { version, ymd, tab, status, createdAt, updatedAt, payload,
+// explainerHtml, candidates }: payload is the tab's tabs.json entry
+// (generator.tabJsonEntry) as it will be published, candidates the tab's
+// unpicked items (same shape as payload.sources, plus snippet) that can be
+// added or swapped in. status: pending | approved | rejected | published.
+//
+// Edits are applied to the payload directly: edited text keeps the source
+// numbers of the text it replaces, and source changes renumber every claim.
+
+import fs from "fs/promises";
+import path from "path";
+import { now } from "./clock.js";
+import { explainerHtmlFor } from "./generator.js";
+import { renderDayHtml } from "./render.js";
+import { makeCrossTabKey, writeFileAtomic } from "./util.js";
+
+export const DRAFT_VERSION = 1;
+export const DRAFT_STATUSES = ["pending", "approved", "rejected", "published"];
+
+// Unpicked candidates kept per draft for swapping in
+export const MAX_CANDIDATES = 12;
+
+// Bad edit from the review form (reported back, draft left unchanged)
+export class EditError extends Error {}
+
+// --- Files -------------------------------------------------------------------
+
+export function draftDir(root, ymd) {
+  return path.join(root, ymd);
+}
+
+export function previewFile(root, ymd) {
+  return path.join(root, ymd, "preview.html");
+}
+
+function draftFile(root, ymd, tab) {
+  return path.join(root, ymd, `${tab}.json`);
+}
+
+export async function saveDraft(root, draft) {
+  await writeFileAtomic(draftFile(root, draft.ymd, draft.tab), JSON.stringify(draft, null, 2));
+}
+
+export async function loadDraft(root, ymd, tab) {
+  try {
+    return JSON.parse(await fs.readFile(draftFile(root, ymd, tab), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw new Error(`Cannot read draft ${draftFile(root, ymd, tab)}: ${e.message}`);
+  }
+}
+
+// Every draft for the day, in `order` (tab keys) where given
+export async function loadDrafts(root, ymd, order = []) {
+  const files = await fs.readdir(draftDir(root, ymd)).catch(() => []);
+  const tabs = files.filter(f => f.endsWith(".json")).map(f => f.replace(/\.json$/, ""));
+  const rank = (t) => (order.includes(t) ? order.indexOf(t) : order.length);
+  tabs.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  return (await Promise.all(tabs.map(t => loadDraft(root, ymd, t)))).filter(Boolean);
+}
+
+/**
+ * Rewrite the day's preview.html: every draft that isn't rejected, and the
+ * stored panels (store.briefsForDay) of tabs without one, in tab order.
+ */
+export async function writePreview(root, ymd, { tpl, config, stored = [] }) {
+  const order = config.tabsByPriority.map(t => t.key);
+  const drafts = (await loadDrafts(root, ymd, order)).filter(d => d.status !== "rejected");
+  const briefs = [...drafts.map(draftBrief), ...stored.filter(b => !drafts.some(d => d.tab === b.tab))];
+  briefs.sort((a, b) => order.indexOf(a.tab) - order.indexOf(b.tab));
+  const file = previewFile(root, ymd);
+  await writeFileAtomic(file, renderDayHtml(tpl, { generatedAt: new Date(now()).toISOString(), briefs }, config));
+  return file;
+}
+
+// --- Drafts ------------------------------------------------------------------
+
+// A generator item → candidate entry (payload.sources shape + snippet)
+export function candidateOf(it) {
+  return {
+    title: it.title,
+    link: it.link,
+    source: it.source,
+    publishedAt: it.publishedAt ? (it.publishedAt.toISOString?.() || it.publishedAt) : null,
+    snippet: it.snippet || "",
+    aiLoose: !!it._aiLoose,
+    aiStrict: !!it._aiStrict,
+    offTopic: !!it._offTopic,
+    score: it._score || 0,
+    scoreBreakdown: it._scoreBreakdown || null,
+  };
+}
+
+export function createDraft({ ymd, payload, explainerHtml = "", candidates = [] }) {
+  const at = new Date(now()).toISOString();
+  return {
+    version: DRAFT_VERSION,
+    ymd,
+    tab: payload.key,
+    status: "pending",
+    createdAt: at,
+    updatedAt: at,
+    payload,
+    explainerHtml,
+    candidates: candidates.slice(0, MAX_CANDIDATES),
+  };
+}
+
+export function setStatus(draft, status) {
+  if (!DRAFT_STATUSES.includes(status)) throw new EditError(`Unknown status "${status}"`);
+  if (draft.status === "published") throw new EditError(`${draft.tab} is already published`);
+  return { ...draft, status, updatedAt: new Date(now()).toISOString() };
+}
+
+// A draft in the shape store.recordTab / renderDayHtml take
+export function draftBrief(draft) {
+  return { tab: draft.tab, payload: draft.payload, explainerHtml: draft.explainerHtml || "" };
+}
+
+// --- Text edits ----------------------------------------------------------------
+
+const clean = (s) => String(s ?? "").replace(/\s+/g, " ").trim();
+const union = (claims) => Array.from(new Set(claims.flatMap(c => c.sources))).sort((a, b) => a - b);
+
+// New text for a claim keeps its sources; unchanged text keeps the claim itself
+function editClaim(claim, text) {
+  const t = clean(text);
+  if (!t) return null;
+  return t === claim.text ? claim : { text: t, sources: claim.sources };
+}
+
+// Paragraphs are edited as a whole: a changed paragraph becomes one claim
+// citing everything the old one did
+function editParagraph(paragraph, text) {
+  const t = clean(text);
+  if (!t) return null;
+  if (t === paragraph.map(c => c.text).join(" ")) return paragraph;
+  return [{ text: t, sources: union(paragraph) }];
+}
+
+// Summary lines (one sentence each) keep the sources of the line they replace,
+// or the story's when there was none
+function editSummary(summary, lines, storySources) {
+  return String(lines ?? "").split(/\r?\n/).map(clean).filter(Boolean)
+    .map((t, j) => (summary[j]?.text === t ? summary[j] : { text: t, sources: summary[j]?.sources || storySources }));
+}
+
+/**
+ * edits (all optional; arrays are in display order):
+ *   brief:  oneLiner, bullets[], explainer[] (paragraph text)
+ *   digest: overview, headlines[], summaries[] (one sentence per line)
+ * Empty text drops a bullet, paragraph or overview; the one-liner and
+ * headlines can't be emptied.
+ */
+function applyTextEdits(payload, edits) {
+  const next = { ...payload };
+  if (payload.format === "digest") {
+    if (edits.overview != null) {
+      const prev = payload.overview || { text: "", sources: union(payload.stories.map(s => ({ sources: s.sources }))) };
+      next.overview = editClaim(prev, edits.overview);
+    }
+    next.stories = payload.stories.map((s, i) => {
+      const story = { ...s };
+      if (edits.headlines?.[i] != null) {
+        const headline = editClaim(s.headline || { text: s.title, sources: s.sources }, edits.headlines[i]);
+        if (!headline) throw new EditError(`Story ${i + 1} needs a headline`);
+        story.headline = headline;
+      }
+      if (edits.summaries?.[i] != null) story.summary = editSummary(s.summary || [], edits.summaries[i], s.sources);
+      return story;
+    });
+    next.oneLiner = (next.overview || next.stories[0]?.headline)?.text || payload.oneLiner;
+    return next;
+  }
+
+  if (!payload.claims) return next;
+  const claims = { ...payload.claims };
+  if (edits.oneLiner != null) {
+    const oneLiner = editClaim(claims.oneLiner, edits.oneLiner);
+    if (!oneLiner) throw new EditError("The one-liner can't be empty");
+    claims.oneLiner = oneLiner;
+  }
+  if (edits.bullets) claims.bullets = claims.bullets.map((b, i) => editClaim(b, edits.bullets[i] ?? b.text)).filter(Boolean);
+  if (edits.explainer) {
+    claims.explainer = claims.explainer.map((p, i) => editParagraph(p, edits.explainer[i] ?? p.map(c => c.text).join(" "))).filter(Boolean);
+  }
+  next.claims = claims;
+  next.oneLiner = claims.oneLiner.text;
+  next.bullets = claims.bullets.map(b => b.text);
+  return next;
+}
+
+// --- Source edits --------------------------------------------------------------
+
+// Strip the candidate-only fields off an entry going into payload.sources
+function asSource(candidate) {
+  const entry = { ...candidate };
+  delete entry.snippet;
+  return entry;
+}
+
+/**
+ * sources: { [n]: "keep" | "drop" | "replace:<candidate index>" } for the
+ * 1-based source numbers; add: candidate indexes to append, each as a story of
+ * its own. Dropped and replaced sources become candidates.
+ */
+function applySourceEdits(draft, payload, { sources: actions = {}, add = [] }) {
+  const candidates = [...draft.candidates];
+  const used = new Set();
+  const takeCandidate = (i) => {
+    const c = candidates[Number(i)];
+    if (!c || used.has(Number(i))) throw new EditError(`No candidate ${i}`);
+    used.add(Number(i));
+    return c;
+  };
+
+  const items = [];
+  const renumber = new Map(); // old number → new number
+  const replaced = new Map(); // old link → new entry
+  const returned = [];
+  payload.sources.forEach((src, i) => {
+    const action = actions[i + 1] || "keep";
+    if (action === "drop") {
+      returned.push({ snippet: "", ...src });
+      return;
+    }
+    let entry = src;
+    if (action.startsWith("replace:")) {
+      entry = asSource(takeCandidate(action.slice("replace:".length)));
+      replaced.set(src.link, entry);
+      returned.push({ snippet: "", ...src });
+    } else if (action !== "keep") {
+      throw new EditError(`Unknown action "${action}" for source ${i + 1}`);
+    }
+    items.push(entry);
+    renumber.set(i + 1, items.length);
+  });
+
+  const mapSources = (nums) => nums.map(n => renumber.get(n)).filter(Boolean);
+  const mapClaim = (c) => (c ? { ...c, sources: mapSources(c.sources) } : c);
+
+  const stories = payload.stories.map(s => {
+    const sources = mapSources(s.sources);
+    if (!sources.length) return null;
+    const lead = replaced.get(s.link) || (sources.some(n => items[n - 1].link === s.link) ? null : items[sources[0] - 1]);
+    return {
+      ...s,
+      ...(lead ? { key: makeCrossTabKey(lead), title: lead.title, link: lead.link } : {}),
+      sources,
+      ...(s.headline ? { headline: mapClaim(s.headline), summary: s.summary.map(mapClaim) } : {}),
+    };
+  }).filter(Boolean);
+
+  for (const i of add) {
+    const entry = asSource(takeCandidate(i));
+    items.push(entry);
+    const story = { key: makeCrossTabKey(entry), title: entry.title, link: entry.link, outlets: 1, size: 1, score: entry.score, sources: [items.length], otherLinks: [] };
+    if (payload.format === "digest") Object.assign(story, { headline: { text: entry.title, sources: [items.length] }, summary: [] });
+    stories.push(story);
+  }
+  if (!items.length) throw new EditError("A tab needs at least one source");
+
+  const next = { ...payload, sources: items, stories };
+  if (payload.format === "digest") {
+    next.overview = mapClaim(payload.overview);
+  } else if (payload.claims) {
+    next.claims = {
+      oneLiner: mapClaim(payload.claims.oneLiner),
+      bullets: payload.claims.bullets.map(mapClaim),
+      explainer: payload.claims.explainer.map(p => p.map(mapClaim)),
+    };
+  }
+  return {
+    payload: next,
+    candidates: [...candidates.filter((_, i) => !used.has(i)), ...returned].slice(0, MAX_CANDIDATES),
+  };
+}
+
+/**
+ * Apply review edits (text first, against the numbering the editor saw, then
+ * source changes). Returns the updated draft; throws EditError on a bad edit.
+ */
+export function applyEdits(draft, edits = {}) {
+  if (draft.status === "published") throw new EditError(`${draft.tab} is already published`);
+  if (draft.payload.failed) throw new EditError(`${draft.tab} has no brief to edit (the tab failed)`);
+
+  let payload = applyTextEdits(draft.payload, edits);
+  let { candidates } = draft;
+  if (Object.keys(edits.sources || {}).length || edits.add?.length) {
+    ({ payload, candidates } = applySourceEdits(draft, payload, edits));
+  }
+  const explainerHtml = payload.format === "digest" || !payload.claims
+    ? draft.explainerHtml
+    : explainerHtmlFor(payload.claims.explainer, payload.sources, payload.freshnessUsed);
+
+  const edited = draft.payload.edited || JSON.stringify(payload) !== JSON.stringify(draft.payload);
+  return { ...draft, payload: { ...payload, edited }, explainerHtml, candidates, updatedAt: new Date(now()).toISOString() };
+}
+
+// --- Publishing ----------------------------------------------------------------
+
+/**
+ * The draft as a generator result, for store.recordTab (brief column, picks).
+ */
+export function draftResult(draft) {
+  const p = draft.payload;
+  const brief = p.format === "digest"
+    ? { format: "digest", overview: p.overview, stories: p.stories.map(s => ({ headline: s.headline, summary: s.summary })), tags: p.tags }
+    : (p.claims ? { ...p.claims, tags: p.tags } : null);
+  return {
+    tabKey: draft.tab,
+    failed: !!p.failed,
+    llm: p.llm,
+    oneLiner: p.oneLiner,
+    brief,
+    explainerHtml: draft.explainerHtml,
+    stories: p.stories,
+    items: p.sources.map(s => ({
+      title: s.title,
+      link: s.link,
+      source: s.source,
+      publishedAt: s.publishedAt,
+      _score: s.score,
+      _scoreBreakdown: s.scoreBreakdown,
+      _aiLoose: s.aiLoose,
+      _aiStrict: s.aiStrict,
+      _offTopic: s.offTopic,
+    })),
+  };
+}
+
+// What publishing the draft marks seen: every kept source plus the stories'
+// other outlets → [{ link, title, story }]
+export function publishedEntries(draft) {
+  const p = draft.payload;
+  if (p.failed) return [];
+  return p.stories.flatMap(s => [
+    ...s.sources.map(n => p.sources[n - 1]).filter(Boolean).map(src => ({ link: src.link, title: src.title, story: s.key })),
+    ...(s.otherLinks || []).map(link => ({ link, title: null, story: s.key })),
+  ]);
+}
@@ -0,0 +1,284 @@
+// scripts/feedFetch.js
+// Fetch layer for feeds, in front of RSSParser.parseString (scripts/feeds.js).
+//
+// - Redirects are followed by hand (up to maxRedirects), across protocols: each
+//   hop gets the agent for its own scheme, so http → https works. An optional
+//   checkRedirect(url) vets every hop before it is fetched (article fetches
+//   re-check their allow-list and robots.txt there).
+// - Conditional GET: pass the last { etag, lastModified } and a 304 comes back
+//   as { notModified: true } (the caller keeps the body).
+// - Transient failures (network errors, timeouts, 429, 5xx) are retried with
+//   exponential backoff; Retry-After is honoured up to MAX_BACKOFF_MS.
+// - Bodies over maxBytes (after gzip/deflate/br) are refused; a request that
+//   runs past `deadline` (a slow trickle the idle timeout never fires on) or a
+//   body cut off mid-transfer fails as transient.
+// - repairFeedXml() fixes the malformed-entity problems real feeds ship with
+//   (bare "&", HTML named entities, control characters); feeds.js runs it only
+//   after a strict parse fails.
+//
+// Error messages keep rss-parser's wording ("Status code 404", "Too many
+// redirects") so scripts/feedHealth.js classifies them the same way.
+
+import http from "http";
+import https from "https";
+import { pipeline } from "stream";
+import zlib from "zlib";
+import { jlog } from "./log.js";
+
+export const FETCH_OPTIONS = {
+  timeout: 15000, // idle socket
+  deadline: 60000, // whole request (per attempt)
+  headers: { "user-agent": "newsbriefai/1.5" },
+  retries: 2,
+  backoffMs: 1000,
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 5,
+};
+
+const MAX_BACKOFF_MS = 30000;
+
+// No keep-alive; IPv4 (one agent per scheme)
+const AGENTS = {
+  "http:": new http.Agent({ keepAlive: false, family: 4 }),
+  "https:": new https.Agent({ keepAlive: false, family: 4 }),
+};
+
+const ACCEPT = "application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.5";
+
+const TRANSIENT_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "EHOSTUNREACH", "ENETUNREACH", "ECONNABORTED"]);
+
+// --- One request ---------------------------------------------------------------
+
+class FetchError extends Error {
+  constructor(message, { status = null, transient = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.status = status;
+    this.transient = transient;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function retryAfterMs(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+function decoderFor(contentType = "") {
+  const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8");
+  } catch {
+    return new TextDecoder("utf-8");
+  }
+}
+
+const DECOMPRESSORS = {
+  gzip: () => zlib.createGunzip(),
+  "x-gzip": () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress(),
+};
+
+// The body stream; errors on either side (a cut-off or aborted response, a
+// corrupt gzip/br body) go to onError
+function decompress(res, onError) {
+  const make = DECOMPRESSORS[String(res.headers["content-encoding"] || "").toLowerCase()];
+  if (!make) {
+    res.on("error", onError);
+    res.on("aborted", () => onError(new Error("Response aborted")));
+    return res;
+  }
+  return pipeline(res, make(), (e) => {
+    if (e) onError(e);
+  });
+}
+
+// GET `url` once, without following redirects → { status, headers, body? }.
+// `timeout` is per idle socket; `deadline` caps the whole request, so a body
+// that keeps trickling in is still cut off.
+function request(url, { headers, timeout, deadline, maxBytes }) {
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return reject(new FetchError(`Invalid feed URL: ${url}`));
+    }
+    const agent = AGENTS[parsed.protocol];
+    if (!agent) return reject(new FetchError(`Protocol "${parsed.protocol}" not supported`));
+
+    let req;
+    let settled = false;
+    const timer = setTimeout(() => fail(new FetchError(`Request took longer than ${deadline}ms`, { transient: true })), deadline);
+    const done = (value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(value);
+    };
+    function fail(e) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      req.destroy();
+      reject(e);
+    }
+
+    const lib = parsed.protocol === "https:" ? https : http;
+    req = lib.get(parsed, { agent, headers }, (res) => {
+      const status = res.statusCode;
+      if (status === 304 || (status >= 300 && status < 400) || status >= 400) {
+        res.resume();
+        return done({ status, headers: res.headers });
+      }
+
+      const declared = Number(res.headers["content-length"]);
+      if (declared > maxBytes) {
+        fail(new FetchError(`Feed larger than ${maxBytes} bytes (content-length ${declared})`));
+        return res.destroy();
+      }
+
+      const chunks = [];
+      let size = 0;
+      const stream = decompress(res, (e) => fail(new FetchError(e.message, { transient: true })));
+      stream.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          fail(new FetchError(`Feed larger than ${maxBytes} bytes`));
+          res.destroy();
+          stream.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on("end", () => {
+        if (!res.complete) return fail(new FetchError("Response ended before the whole body arrived", { transient: true }));
+        const body = decoderFor(res.headers["content-type"]).decode(Buffer.concat(chunks));
+        done({ status, headers: res.headers, body });
+      });
+    });
+
+    req.setTimeout(timeout, () => req.destroy(new FetchError(`Request timed out after ${timeout}ms`, { transient: true })));
+    req.on("error", (e) => {
+      if (e instanceof FetchError) return fail(e);
+      fail(new FetchError(e.message, { transient: TRANSIENT_CODES.has(e.code) || /socket hang up/i.test(e.message) }));
+    });
+  });
+}
+
+// --- Redirects + retries ---------------------------------------------------------
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function followRedirects(url, validators, opts) {
+  const headers = {
+    accept: ACCEPT,
+    "accept-encoding": "gzip, deflate, br",
+    ...opts.headers,
+    ...(validators?.etag ? { "if-none-match": validators.etag } : {}),
+    ...(validators?.lastModified ? { "if-modified-since": validators.lastModified } : {}),
+  };
+
+  let current = url;
+  for (let hop = 0; hop <= opts.maxRedirects; hop++) {
+    const res = await request(current, { ...opts, headers });
+    if (res.status >= 300 && res.status < 400 && res.status !== 304) {
+      const location = res.headers.location;
+      if (!location) throw new FetchError(`Status code ${res.status} without a Location header`, { status: res.status });
+      const next = new URL(location, current).toString();
+      const refused = opts.checkRedirect ? await opts.checkRedirect(next) : null;
+      if (refused) throw new FetchError(`Redirect to ${next} refused: ${refused}`, { status: res.status });
+      if (res.status === 301 || res.status === 308) jlog("info", "feed_redirected", { url, from: current, to: next, status: res.status });
+      current = next;
+      continue;
+    }
+    if (res.status >= 400) {
+      throw new FetchError(`Status code ${res.status}`, {
+        status: res.status,
+        transient: res.status === 429 || res.status >= 500,
+        retryAfterMs: retryAfterMs(res.headers["retry-after"]),
+      });
+    }
+    return { ...res, url: current };
+  }
+  throw new FetchError(`Too many redirects (over ${opts.maxRedirects})`);
+}
+
+/**
+ * Fetch a feed body. validators: { etag, lastModified } from the last success.
+ * options: FETCH_OPTIONS overrides, plus checkRedirect(url) → Promise<reason |
+ * null> to refuse a redirect hop (non-transient).
+ * Resolves { notModified: true } on a 304, otherwise
+ * { body, etag, lastModified, url (after redirects) }; rejects after retries.
+ */
+export async function fetchFeedBody(url, validators = null, options = {}) {
+  const opts = { ...FETCH_OPTIONS, ...options, headers: { ...FETCH_OPTIONS.headers, ...options.headers } };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await followRedirects(url, validators, opts);
+      if (res.status === 304) return { notModified: true, url: res.url };
+      return {
+        body: res.body,
+        etag: res.headers.etag || null,
+        lastModified: res.headers["last-modified"] || null,
+        url: res.url,
+      };
+    } catch (e) {
+      if (!e.transient || attempt >= opts.retries) throw e;
+      const wait = Math.min(Math.max(opts.backoffMs * 2 ** attempt, e.retryAfterMs || 0), MAX_BACKOFF_MS);
+      jlog("info", "feed_retry", { url, attempt: attempt + 1, waitMs: wait, message: e.message });
+      await sleep(wait);
+    }
+  }
+}
+
+// --- Lenient XML repair ----------------------------------------------------------
+
+// HTML entities feeds use without declaring them (XML only knows the five
+// below); also used to decode article HTML (scripts/articles.js)
+const XML_ENTITIES = new Set(["amp", "lt", "gt", "quot", "apos"]);
+export const HTML_ENTITIES = {
+  nbsp: 160, iexcl: 161, cent: 162, pound: 163, curren: 164, yen: 165, sect: 167, copy: 169, laquo: 171,
+  not: 172, shy: 173, reg: 174, deg: 176, plusmn: 177, sup2: 178, sup3: 179, acute: 180, micro: 181,
+  para: 182, middot: 183, sup1: 185, raquo: 187, frac14: 188, frac12: 189, frac34: 190, iquest: 191,
+  Agrave: 192, Aacute: 193, Acirc: 194, Atilde: 195, Auml: 196, Aring: 197, AElig: 198, Ccedil: 199,
+  Egrave: 200, Eacute: 201, Ecirc: 202, Euml: 203, Igrave: 204, Iacute: 205, Icirc: 206, Iuml: 207,
+  Ntilde: 209, Ograve: 210, Oacute: 211, Ocirc: 212, Otilde: 213, Ouml: 214, times: 215, Oslash: 216,
+  Ugrave: 217, Uacute: 218, Ucirc: 219, Uuml: 220, Yacute: 221, szlig: 223, agrave: 224, aacute: 225,
+  acirc: 226, atilde: 227, auml: 228, aring: 229, aelig: 230, ccedil: 231, egrave: 232, eacute: 233,
+  ecirc: 234, euml: 235, igrave: 236, iacute: 237, icirc: 238, iuml: 239, ntilde: 241, ograve: 242,
+  oacute: 243, ocirc: 244, otilde: 245, ouml: 246, divide: 247, oslash: 248, ugrave: 249, uacute: 250,
+  ucirc: 251, uuml: 252, yacute: 253, yuml: 255, OElig: 338, oelig: 339, Scaron: 352, scaron: 353,
+  Yuml: 376, fnof: 402, circ: 710, tilde: 732, ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204,
+  zwj: 8205, lrm: 8206, rlm: 8207, ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218,
+  ldquo: 8220, rdquo: 8221, bdquo: 8222, dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230,
+  permil: 8240, prime: 8242, Prime: 8243, lsaquo: 8249, rsaquo: 8250, euro: 8364, trade: 8482,
+  larr: 8592, rarr: 8594, minus: 8722,
+};
+
+// Split into CDATA sections (left alone) and the rest
+function mapOutsideCdata(xml, fn) {
+  return xml.split(/(<!\[CDATA\[[\s\S]*?\]\]>)/).map((part, i) => (i % 2 ? part : fn(part))).join("");
+}
+
+/**
+ * Best-effort fix of malformed XML: leading junk before the prolog, control
+ * characters, HTML named entities and bare "&" (outside CDATA). Returns the
+ * input unchanged when there is nothing to fix.
+ */
+export function repairFeedXml(xml = "") {
+  let out = xml.replace(/^[\s\uFEFF]+(?=<)/, "");
+  // XML 1.0 forbids C0 controls other than tab/newline/CR
+  out = out.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+  out = mapOutsideCdata(out, (text) => text.replace(/&(?:([A-Za-z][A-Za-z0-9]*);|(#\d+;|#x[0-9A-Fa-f]+;))?/g, (match, name, numeric) => {
+    if (numeric) return match;
+    if (name && XML_ENTITIES.has(name)) return match;
+    if (name && HTML_ENTITIES[name]) return `&#${HTML_ENTITIES[name]};`;
+    return `&amp;${match.slice(1)}`;
+  }));
+  return out;
+}
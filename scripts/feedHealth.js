@@ -0,0 +1,174 @@
+// scripts/feedHealth.js
+// Per-feed health across runs: last success, consecutive failures, recent item
+// counts (→ median), newest item date and the class of the last error.
+//
+// A feed that fails `quarantineAfter` runs in a row is quarantined: runs skip
+// it until its re-probe time, then fetch it once. A success lifts the
+// quarantine; another failure pushes the next re-probe out (doubling from
+// `reprobeHours` up to `maxReprobeHours`). Records live in the item store
+// (scripts/store.js feed_health table); `feeds status` and public/feed-health.html
+// report them (healthReport()).
+
+import { now } from "./clock.js";
+import { publisherHost } from "./urls.js";
+
+export const DEFAULT_FEED_HEALTH = {
+  quarantineAfter: 5,
+  reprobeHours: 24,
+  maxReprobeHours: 168,
+};
+
+// Item counts kept per feed for the median
+const COUNT_WINDOW = 14;
+
+const HOUR_MS = 3600 * 1000;
+
+// Error message (rss-parser / node / fetch) → coarse class for reports
+const ERROR_CLASSES = [
+  ["protocol", /protocol "?https?:"? not supported/i],
+  ["http-4xx", /status code 4\d\d/i],
+  ["http-5xx", /status code 5\d\d/i],
+  ["redirect", /redirect/i],
+  ["too-large", /larger than \d+ bytes/i],
+  ["timeout", /timed? ?out|ETIMEDOUT|ESOCKETTIMEDOUT/i],
+  ["dns", /ENOTFOUND|EAI_AGAIN/],
+  ["network", /ECONNREFUSED|ECONNRESET|EHOSTUNREACH|ENETUNREACH|socket hang up|certificate|SSL|TLS/i],
+  ["parse", /entity|invalid character|unexpected close tag|unclosed root tag|non-whitespace before first tag|feed not recognized|attribute without value|unencoded|text data outside of root node/i],
+];
+
+export function classifyFeedError(message = "") {
+  for (const [name, re] of ERROR_CLASSES) if (re.test(message)) return name;
+  return "other";
+}
+
+export function emptyFeedHealth(url) {
+  return {
+    url,
+    lastAttemptAt: null,
+    lastSuccessAt: null,
+    consecutiveFailures: 0,
+    itemCounts: [],
+    newestItemAt: null,
+    errorClass: null,
+    lastError: null,
+    quarantinedAt: null,
+    reprobeAt: null,
+  };
+}
+
+export function medianOf(values = []) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ok | failing | quarantined | unknown (never fetched)
+export function feedState(health) {
+  if (!health?.lastAttemptAt) return "unknown";
+  if (health.quarantinedAt) return "quarantined";
+  return health.consecutiveFailures ? "failing" : "ok";
+}
+
+// Should a run fetch this feed at `at`? Quarantined feeds only once their re-probe is due.
+export function isDue(health, at = now()) {
+  if (!health?.quarantinedAt) return true;
+  return !health.reprobeAt || Date.parse(health.reprobeAt) <= at;
+}
+
+/**
+ * Fold one fetch outcome into a feed's record.
+ * outcome: { ok, itemCount, newestAt (Date|null), error (message) }
+ * Returns { health, event } where event is "quarantined", "recovered" or null.
+ */
+export function applyFetch(health, outcome, settings = DEFAULT_FEED_HEALTH, at = now()) {
+  const s = { ...DEFAULT_FEED_HEALTH, ...settings };
+  const stamp = new Date(at).toISOString();
+  const next = { ...health, lastAttemptAt: stamp };
+
+  if (outcome.ok) {
+    const newest = outcome.newestAt?.getTime?.() || 0;
+    const event = health.quarantinedAt ? "recovered" : null;
+    return {
+      health: {
+        ...next,
+        lastSuccessAt: stamp,
+        consecutiveFailures: 0,
+        itemCounts: [...health.itemCounts, outcome.itemCount || 0].slice(-COUNT_WINDOW),
+        newestItemAt: newest && newest > (Date.parse(health.newestItemAt) || 0) ? new Date(newest).toISOString() : health.newestItemAt,
+        errorClass: null,
+        lastError: null,
+        quarantinedAt: null,
+        reprobeAt: null,
+      },
+      event,
+    };
+  }
+
+  next.consecutiveFailures = health.consecutiveFailures + 1;
+  next.errorClass = classifyFeedError(outcome.error);
+  next.lastError = outcome.error || null;
+  if (next.consecutiveFailures < s.quarantineAfter) return { health: next, event: null };
+
+  // Each failed re-probe doubles the wait
+  const reprobes = next.consecutiveFailures - s.quarantineAfter;
+  const waitHours = Math.min(s.reprobeHours * 2 ** reprobes, s.maxReprobeHours);
+  next.reprobeAt = new Date(at + waitHours * HOUR_MS).toISOString();
+  const event = health.quarantinedAt ? null : "quarantined";
+  next.quarantinedAt = health.quarantinedAt || stamp;
+  return { health: next, event };
+}
+
+/**
+ * Run-scoped registry over the store's records (read once, written per fetch;
+ * a read-only store makes the writes no-ops).
+ * Returns { isDue(url), record(url, outcome) → event, get(url) }.
+ */
+export function createFeedHealth({ store, settings = DEFAULT_FEED_HEALTH }) {
+  const records = new Map(store.feedHealth().map(h => [h.url, h]));
+  const get = (url) => records.get(url) || emptyFeedHealth(url);
+
+  return {
+    get,
+
+    isDue(url) {
+      return isDue(get(url));
+    },
+
+    record(url, outcome) {
+      const { health, event } = applyFetch(get(url), outcome, settings);
+      records.set(url, health);
+      store.saveFeedHealth(health);
+      return event;
+    },
+  };
+}
+
+/**
+ * One row per configured feed (plus any stored feed no longer configured),
+ * worst first: quarantined, failing, unknown, ok.
+ */
+export function healthReport(records, config, at = now()) {
+  const byUrl = new Map(records.map(h => [h.url, h]));
+  const urls = new Set([...config.tabsByPriority.flatMap(t => [...t.primary, ...t.secondary]), ...byUrl.keys()]);
+  const hoursSince = (t) => (t ? Math.round(((at - Date.parse(t)) / HOUR_MS) * 10) / 10 : null);
+  const order = { quarantined: 0, failing: 1, unknown: 2, ok: 3 };
+
+  return [...urls].map(url => {
+    const h = byUrl.get(url) || emptyFeedHealth(url);
+    return {
+      url,
+      host: publisherHost(url),
+      tabs: config.tabsByPriority.filter(t => t.primary.includes(url) || t.secondary.includes(url)).map(t => t.key),
+      state: feedState(h),
+      lastSuccessAt: h.lastSuccessAt,
+      lastSuccessAgeHours: hoursSince(h.lastSuccessAt),
+      consecutiveFailures: h.consecutiveFailures,
+      medianItems: medianOf(h.itemCounts),
+      newestItemAgeHours: hoursSince(h.newestItemAt),
+      errorClass: h.errorClass,
+      lastError: h.lastError,
+      reprobeAt: h.reprobeAt,
+    };
+  }).sort((a, b) => (order[a.state] - order[b.state]) || (b.consecutiveFailures - a.consecutiveFailures) || a.url.localeCompare(b.url));
+}
@@ -0,0 +1,144 @@
+// scripts/feeds.js
+// Feed fetching for one run.
+//
+// createFeedLoader() returns a run-scoped loader: each URL is fetched + parsed
+// once, then every tab and freshness window reads from that one parse.
+// Failures are cached too, so a broken feed is only counted (and logged) once
+// per run. Parsed items are canonicalised (scripts/urls.js), fed to the
+// similarity corpus and upserted into the item store.
+//
+// Bodies come from scripts/feedFetch.js (redirects, conditional GET against the
+// store's feed_cache, retries, size cap). XML that fails to parse gets one more
+// try after repairFeedXml(). With a host limiter (scripts/scheduler.js) fetches
+// run in parallel within its global and per-host caps.
+//
+// With a recorder / replay (scripts/fixtures.js) the raw XML is recorded, or
+// read back instead of fetching. With a feed-health registry
+// (scripts/feedHealth.js) every outcome is recorded and quarantined feeds are
+// skipped until their re-probe is due.
+
+import RSSParser from "rss-parser";
+import { canonicalUrl, publisherHost } from "./urls.js";
+import { itemText } from "./similarity.js";
+import { fetchFeedBody, repairFeedXml } from "./feedFetch.js";
+import { jlog } from "./log.js";
+
+export function feedItemFromEntry(it) {
+  // Canonical from here on: every key, display link and host count uses it
+  const link = canonicalUrl(it.link || it.guid);
+  if (!link) return null;
+
+  const dateStr = it.isoDate || it.pubDate || it.pubdate || null;
+  const publishedAt = dateStr ? new Date(dateStr) : null;
+  const title = (it.title || "").trim();
+  const source = publisherHost(link);
+  const snippet = (it.contentSnippet || it.summary || it.content || "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return { title, link, source, snippet, publishedAt };
+}
+
+/**
+ * options: { embedder, store?, recorder?, replay?, health?, limiter?, fetchOptions? }
+ * (limiter: scripts/scheduler.js createHostLimiter(); fetchOptions:
+ * scripts/feedFetch.js FETCH_OPTIONS overrides)
+ * Returns { load(url, { tabKey, metrics }) → Promise<{ items, error, skipped }>,
+ *           errors: Map url → { count, lastMessage }, skipped: Set of quarantined urls }.
+ */
+export function createFeedLoader({ embedder, store = null, recorder = null, replay = null, health = null, limiter = null, fetchOptions = {} } = {}) {
+  const rss = new RSSParser();
+  const cache = new Map(); // url -> Promise<{ items, error }>
+  const errors = new Map(); // url -> { count, lastMessage }
+  const skipped = new Set(); // quarantined, not due for a re-probe
+
+  function noteFeedError(url, message) {
+    const cur = errors.get(url) || { count: 0, lastMessage: "" };
+    cur.count += 1;
+    cur.lastMessage = message || cur.lastMessage;
+    errors.set(url, cur);
+  }
+
+  // Strict parse first; on failure parse the repaired XML, else give up with the original error
+  async function parseXml(url, xml) {
+    try {
+      return await rss.parseString(xml);
+    } catch (e) {
+      const repaired = repairFeedXml(xml);
+      if (repaired === xml) throw e;
+      const feed = await rss.parseString(repaired).catch(() => { throw e; });
+      jlog("info", "feed_repaired", { url, message: e?.message || String(e) });
+      return feed;
+    }
+  }
+
+  // A 304 answers with the body the validators came from
+  async function fetchXml(url) {
+    const cached = store?.feedCache(url);
+    const res = await fetchFeedBody(url, cached, fetchOptions);
+    if (res.notModified) {
+      jlog("debug", "feed_not_modified", { url });
+      return cached.body;
+    }
+    if (res.etag || res.lastModified) store?.saveFeedCache({ url, etag: res.etag, lastModified: res.lastModified, body: res.body });
+    return res.body;
+  }
+
+  // One feed → parsed feed. Recording keeps the raw body; replay parses the
+  // recorded body (or throws the recorded error).
+  async function fetchFeed(url) {
+    if (replay) return parseXml(url, replay.feedXml(url));
+    let xml = null;
+    try {
+      xml = await fetchXml(url);
+      const feed = await parseXml(url, xml);
+      recorder?.recordFeed(url, { xml });
+      return feed;
+    } catch (e) {
+      recorder?.recordFeed(url, { xml, error: e?.message || String(e) });
+      throw e;
+    }
+  }
+
+  function noteHealth(url, outcome) {
+    const event = health?.record(url, outcome);
+    if (event === "quarantined") {
+      const h = health.get(url);
+      jlog("warn", "feed_quarantined", { url, failures: h.consecutiveFailures, errorClass: h.errorClass, reprobeAt: h.reprobeAt });
+    } else if (event === "recovered") {
+      jlog("info", "feed_recovered", { url, items: outcome.itemCount });
+    }
+  }
+
+  function load(url, { tabKey, metrics } = {}) {
+    if (!cache.has(url) && health && !health.isDue(url)) {
+      skipped.add(url);
+      jlog("info", "feed_skipped", { tab: tabKey, url, reason: "quarantined", reprobeAt: health.get(url).reprobeAt });
+      recorder?.recordFeed(url, { error: "skipped: feed quarantined" });
+      cache.set(url, Promise.resolve({ items: [], error: null, skipped: true }));
+    }
+    if (!cache.has(url)) {
+      const pending = (limiter ? limiter.run(url, () => fetchFeed(url)) : fetchFeed(url))
+        .then((feed) => {
+          const items = (feed.items || []).map(feedItemFromEntry).filter(Boolean);
+          embedder?.observe(items.map(itemText));
+          store?.upsertItems(items, { feedUrl: url });
+          const newest = Math.max(0, ...items.map(it => it.publishedAt?.getTime?.() || 0));
+          noteHealth(url, { ok: true, itemCount: items.length, newestAt: newest ? new Date(newest) : null });
+          return { items, error: null, skipped: false };
+        })
+        .catch((e) => {
+          const msg = e?.message || String(e);
+          jlog("warn", "rss_error", { tab: tabKey, url, message: msg });
+          noteFeedError(url, msg);
+          noteHealth(url, { ok: false, error: msg });
+          metrics?.recordRssError?.(); // important: count for scoring
+          return { items: [], error: msg, skipped: false };
+        });
+      cache.set(url, pending);
+    }
+    return cache.get(url);
+  }
+
+  return { load, errors, skipped };
+}
@@ -0,0 +1,238 @@
+// scripts/fixtures.js
+// Record a run's inputs, then replay them deterministically.
+//
+//   node scripts/generate.js generate --record fixtures/2025-12-30
+//   node scripts/generate.js generate --replay fixtures/2025-12-30 --out /tmp/replay
+//
+// A fixture directory holds everything a run read from outside:
+//   manifest.json    { version, recordedAt (clock start), ymd, tabs, feeds, model }
+//   feeds/*.xml      raw body of every feed fetched (or its fetch error)
+//   articles/*.txt   extracted text of every article fetched for enrichment
+//                    (scripts/articles.js; a failed or disallowed one has none)
+//   model/*.json     every model request (system + prompt) and its response/error
+//   seen/<tab>.json  each tab's seen-cache entries as loaded at the start
+//   stored.json      the day's stored briefs of tabs the run didn't generate
+//                    (they seed cross-tab de-dupe; see generateTabs)
+//
+// Replay freezes the clock at recordedAt (scripts/clock.js), parses the
+// recorded XML instead of fetching, and answers model calls from the
+// recordings, matched by a hash of system + prompt. A prompt with no recording
+// throws, so a change in selection or prompt wording shows up as a failed tab
+// rather than a silent live call.
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const FIXTURE_VERSION = 1;
+
+function sha(text, n = 16) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, n);
+}
+
+export function modelKey({ system = "", prompt = "" }) {
+  return sha(`${system}\u0000${prompt}`);
+}
+
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(data, null, 2) + "\n", "utf8");
+}
+
+/**
+ * Collects a run's inputs in memory; save() writes the fixture directory
+ * (replacing any previous recording there).
+ */
+export function createRecorder(dir, { recordedAt, ymd }) {
+  const feeds = new Map(); // url -> { xml, error }
+  const articles = new Map(); // url -> text | null
+  const model = []; // { tab, key, provider, model, system, prompt, response, error }
+  const seen = new Map(); // tab -> entries
+  let stored = [];
+
+  return {
+    dir,
+
+    recordFeed(url, { xml = null, error = null }) {
+      feeds.set(url, { xml, error });
+    },
+
+    recordArticle(url, text) {
+      articles.set(url, text ?? null);
+    },
+
+    recordModel(call) {
+      model.push({ ...call, key: modelKey(call) });
+    },
+
+    recordSeen(tab, entries) {
+      if (!seen.has(tab)) seen.set(tab, entries.map(e => ({ ...e })));
+    },
+
+    recordStored(briefs) {
+      stored = briefs;
+    },
+
+    async save({ tabs = [] } = {}) {
+      await fs.rm(dir, { recursive: true, force: true });
+
+      const feedIndex = {};
+      for (const [url, { xml, error }] of feeds) {
+        const file = xml != null ? `feeds/${sha(url, 12)}.xml` : null;
+        if (file) {
+          await fs.mkdir(path.join(dir, "feeds"), { recursive: true });
+          await fs.writeFile(path.join(dir, file), xml, "utf8");
+        }
+        feedIndex[url] = { file, error };
+      }
+
+      const articleIndex = {};
+      for (const [url, text] of articles) {
+        const file = text != null ? `articles/${sha(url, 12)}.txt` : null;
+        if (file) {
+          await fs.mkdir(path.join(dir, "articles"), { recursive: true });
+          await fs.writeFile(path.join(dir, file), text, "utf8");
+        }
+        articleIndex[url] = { file };
+      }
+
+      const modelIndex = [];
+      for (const [i, call] of model.entries()) {
+        const file = `model/${String(i + 1).padStart(3, "0")}-${call.tab || "none"}.json`;
+        await writeJson(path.join(dir, file), call);
+        modelIndex.push({ file, tab: call.tab, key: call.key });
+      }
+
+      for (const [tab, entries] of seen) await writeJson(path.join(dir, "seen", `${tab}.json`), entries);
+      await writeJson(path.join(dir, "stored.json"), stored);
+
+      await writeJson(path.join(dir, "manifest.json"), {
+        version: FIXTURE_VERSION,
+        recordedAt,
+        ymd,
+        tabs,
+        feeds: feedIndex,
+        articles: articleIndex,
+        model: modelIndex,
+      });
+      return { feeds: feeds.size, articles: articles.size, model: model.length };
+    },
+  };
+}
+
+/**
+ * Load a fixture directory for replay. Returns
+ * { dir, recordedAt, ymd, tabs, stored, feedXml(url), articleText(url),
+ * modelResponse(call), providerFor(tab), seen(tab) }.
+ */
+export async function openReplay(dir) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(dir, "manifest.json"), "utf8"));
+  } catch (e) {
+    throw new Error(`No fixture at ${dir}: ${e.message}`);
+  }
+  if (manifest.version !== FIXTURE_VERSION) {
+    throw new Error(`Fixture ${dir} is version ${manifest.version}; expected ${FIXTURE_VERSION}`);
+  }
+
+  const feeds = new Map();
+  for (const [url, { file, error }] of Object.entries(manifest.feeds || {})) {
+    feeds.set(url, { xml: file ? await fs.readFile(path.join(dir, file), "utf8") : null, error });
+  }
+
+  const articles = new Map();
+  for (const [url, { file }] of Object.entries(manifest.articles || {})) {
+    articles.set(url, file ? await fs.readFile(path.join(dir, file), "utf8") : null);
+  }
+
+  // key -> queue of recorded answers (a repeated prompt replays in order)
+  const model = new Map();
+  const providers = new Map(); // tab -> { name, model } of its first recorded call
+  for (const { file, key } of manifest.model || []) {
+    const call = JSON.parse(await fs.readFile(path.join(dir, file), "utf8"));
+    if (!model.has(key)) model.set(key, []);
+    model.get(key).push(call);
+    if (!providers.has(call.tab)) providers.set(call.tab, { name: call.provider, model: call.model });
+  }
+
+  const seen = new Map();
+  const seenFiles = await fs.readdir(path.join(dir, "seen")).catch(() => []);
+  for (const f of seenFiles.filter(f => f.endsWith(".json"))) {
+    seen.set(f.replace(/\.json$/, ""), JSON.parse(await fs.readFile(path.join(dir, "seen", f), "utf8")));
+  }
+
+  const stored = JSON.parse(await fs.readFile(path.join(dir, "stored.json"), "utf8").catch(() => "[]"));
+
+  return {
+    dir,
+    recordedAt: manifest.recordedAt,
+    ymd: manifest.ymd,
+    tabs: manifest.tabs || [],
+    stored,
+
+    // Recorded body (a recorded fetch error is thrown again)
+    feedXml(url) {
+      const rec = feeds.get(url);
+      if (!rec) throw new Error(`Feed not in fixture: ${url}`);
+      if (rec.xml == null) throw new Error(rec.error || "recorded fetch failed");
+      return rec.xml;
+    },
+
+    // Recorded article text; null if none was recorded (nothing is fetched)
+    articleText(url) {
+      return articles.get(url) ?? null;
+    },
+
+    modelResponse({ tabKey, system, prompt }) {
+      const queue = model.get(modelKey({ system, prompt }));
+      const call = queue?.length > 1 ? queue.shift() : queue?.[0];
+      if (!call) throw new Error(`[${tabKey}] No recorded model response for this prompt (selection or prompt changed since recording?)`);
+      if (call.error) throw new Error(call.error);
+      return call.response;
+    },
+
+    providerFor(tab) {
+      return providers.get(tab) || null;
+    },
+
+    seen(tab) {
+      return seen.get(tab) || [];
+    },
+  };
+}
+
+/**
+ * Wrap an LLM provider (scripts/llm.js interface) so every call is recorded.
+ */
+export function recordingProvider(provider, recorder) {
+  return {
+    ...provider,
+    async complete(args) {
+      const call = { tab: args.tabKey || null, provider: provider.name, model: provider.model || null, system: args.system, prompt: args.prompt };
+      try {
+        const response = await provider.complete(args);
+        recorder.recordModel({ ...call, response, error: null });
+        return response;
+      } catch (e) {
+        recorder.recordModel({ ...call, response: null, error: e?.message || String(e) });
+        throw e;
+      }
+    },
+  };
+}
+
+/**
+ * Provider answering from a replay's recordings; reports the recorded
+ * provider/model names so tabs.json matches the original run.
+ */
+export function replayProvider(replay, tabKey) {
+  const recorded = replay.providerFor(tabKey);
+  return {
+    name: recorded?.name || "replay",
+    model: recorded?.model || null,
+    async complete({ tabKey: tab, system, prompt }) {
+      return replay.modelResponse({ tabKey: tab, system, prompt });
+    },
+  };
+}
@@ -0,0 +1,671 @@
+// scripts/generator.js
+// One tab's brief, end to end: seen cache → candidates (fetched, scored,
+// embedded) → stories → the selection ladder (scripts/selection.js) → prompt →
+// validated, grounded brief → panel data. generateTabs() runs several tabs:
+// selection in de-dupe priority order, model calls in parallel (see there).
+//
+// createGenerator(ctx) binds these to one run:
+//   ctx.config     loaded tabs config (scripts/config.js)
+//   ctx.llmByTab   Map tabKey → provider (scripts/llm.js interface)
+//   ctx.embedder   run-scoped similarity embedder (scripts/similarity.js)
+//   ctx.feeds      run-scoped feed loader (scripts/feeds.js createFeedLoader)
+//   ctx.enricher   article excerpts for thin snippets (scripts/articles.js), optional
+//   ctx.store      item store repository (scripts/store.js)
+//   ctx.seenPaths  tabKey → data/seen*.json path
+//   ctx.dryRun     compute everything, write nothing
+//   ctx.recorder / ctx.replay  fixtures (scripts/fixtures.js), optional
+
+import fs from "fs/promises";
+import path from "path";
+import { now } from "./clock.js";
+import { jlog, log, MODEL_OUTPUT_LOGGING } from "./log.js";
+import { DEFAULT_GROUNDING, HEADLINE_PARTS, checkBriefGrounding, stripUngrounded } from "./grounding.js";
+import { scoreItem } from "./relevance.js";
+import { itemText } from "./similarity.js";
+import { parseSeen, emptySeen, isSeen, markSeen, compactSeen, serializeSeen } from "./seen.js";
+import { canonicalUrl } from "./urls.js";
+import { parseModelOutput, citationStats } from "./modelOutput.js";
+import { BRIEF_SYSTEM_PROMPT, buildDigestPromptForTab, buildPromptForTab, buildRepairPrompt, buildGroundingRetryPrompt } from "./prompts.js";
+import { explainerToHtml } from "./render.js";
+import { FRESH_HOURS_PRIMARY, clusterStories, planSteps, selectStories, storySources } from "./selection.js";
+import { createLimiter } from "./scheduler.js";
+import {
+  ageHours, aiLoose, aiStrict, isFresh, makeCrossTabKey, normalizeKey, normalizeTitle, offTopic,
+  sanitizeExplainer, writeFileAtomic,
+} from "./util.js";
+
+// Explainer claims → panel HTML, noting older sources when the window was widened
+export function explainerHtmlFor(explainer, items, freshnessUsed) {
+  let html = explainerToHtml(explainer, items);
+  if (freshnessUsed > FRESH_HOURS_PRIMARY) {
+    html += `\n<p><em>(Note: Some sources may be older than ${FRESH_HOURS_PRIMARY} hours due to limited fresh coverage.)</em></p>`;
+  }
+  return sanitizeExplainer(html);
+}
+
+export function createGenerator({ config, llmByTab, embedder, feeds: feedLoader, enricher = null, store, seenPaths, dryRun = false, recorder = null, replay = null }) {
+  const tabByKey = new Map(config.tabsByPriority.map(t => [t.key, t]));
+  const threshold = config.similarity.duplicateThreshold;
+  const modelSlots = createLimiter(config.concurrency.models);
+
+  // Relevance scoring per tab (weights + keywords from config; see scripts/relevance.js)
+  function scoreForTab(tabKey) {
+    const relevance = tabByKey.get(tabKey)?.relevance;
+    if (!relevance) return () => ({ score: 0, breakdown: null });
+    return (it, ctx) => scoreItem(it, relevance, ctx);
+  }
+
+  // The item store is the source of truth; a tab with no rows there yet is
+  // imported from its JSON file (current format or the old { links, titles } arrays).
+  // Replays read the recorded entries instead.
+  async function loadSeenFrom(statePath, tabKey) {
+    const seen = replay
+      ? parseSeen({ entries: replay.seen(tabKey) }, { tab: tabKey, now: now() })
+      : await readSeen(statePath, tabKey);
+    recorder?.recordSeen(tabKey, seen.entries);
+    return seen;
+  }
+
+  async function readSeen(statePath, tabKey) {
+    const opts = { tab: tabKey, now: now(), normalizeTitle, normalizeLink: canonicalUrl };
+    if (store.hasSeen(tabKey)) return parseSeen({ entries: store.seenEntries(tabKey) }, opts);
+    try {
+      const raw = await fs.readFile(statePath, "utf8");
+      return parseSeen(JSON.parse(raw), opts);
+    } catch {
+      return emptySeen();
+    }
+  }
+
+  // Compacts (expiry + size cap) on every save; the JSON file is exported from the store
+  // (never under --dry-run or --replay)
+  async function saveSeenTo(statePath, seen, tabKey) {
+    const { store: kept, removed } = compactSeen(seen, config.seen, now());
+    if (removed) jlog("info", "seen_compacted", { tab: tabKey, file: path.basename(statePath), removed, kept: kept.entries.length, dryRun });
+    if (dryRun || replay) return kept;
+    store.replaceSeen(tabKey, kept.entries);
+    const exported = parseSeen({ entries: store.seenEntries(tabKey) }, { tab: tabKey });
+    await writeFileAtomic(statePath, JSON.stringify(serializeSeen(exported, now()), null, 2));
+    return kept;
+  }
+
+  // --- Candidate collection ---
+
+  async function collectCandidates({ feeds, primaryFeeds = [], seen, maxHours, tabKey, metrics }) {
+    const candidates = [];
+    const scoreFn = scoreForTab(tabKey);
+    const primarySet = new Set(primaryFeeds);
+    const feedItems = await Promise.all(feeds.map(async (url) => {
+      const { items } = await feedLoader.load(url, { tabKey, metrics });
+      return { url, items };
+    }));
+
+    // Embed after every feed is loaded so all vectors share one corpus state
+    const topicVector = embedder.embed(tabByKey.get(tabKey)?.topic || "");
+
+    for (const { url, items } of feedItems) {
+      for (const entry of items) {
+        if (maxHours && !isFresh(entry.publishedAt, maxHours)) continue;
+
+        if (isSeen(seen, { link: entry.link, title: normalizeTitle(entry.title) }, config.seen, now())) continue;
+
+        // Copy: the stored entry is shared across tabs, scores are per tab
+        const item = { ...entry };
+        item._vector = embedder.embed(itemText(item));
+        const { score, breakdown } = scoreFn(item, {
+          fromPrimary: primarySet.has(url),
+          ageHours: ageHours(item.publishedAt),
+          topicSimilarity: embedder.cosine(item._vector, topicVector),
+        });
+        item._score = score;
+        item._scoreBreakdown = breakdown;
+        item._aiLoose = aiLoose(item);
+        item._aiStrict = aiStrict(item);
+        item._offTopic = offTopic(item);
+
+        candidates.push(item);
+      }
+    }
+
+    // De-dupe by link
+    const seenLinks = new Set();
+    const unique = [];
+    for (const it of candidates) {
+      if (!seenLinks.has(it.link)) {
+        seenLinks.add(it.link);
+        unique.push(it);
+      }
+    }
+
+    // Sort: score desc, then newest
+    unique.sort((a, b) => {
+      const sDelta = (b._score || 0) - (a._score || 0);
+      if (sDelta !== 0) return sDelta;
+      const at = a.publishedAt ? a.publishedAt.getTime() : 0;
+      const bt = b.publishedAt ? b.publishedAt.getTime() : 0;
+      return bt - at;
+    });
+
+    return unique;
+  }
+
+  // Ranked candidates → ranked stories, with the tab's coverage boost
+  function storiesFrom(tabKey, candidates) {
+    const coverageBoost = tabByKey.get(tabKey)?.relevance?.scoring?.coverageBoost ?? 0;
+    return clusterStories(candidates, { embedder, threshold, coverageBoost });
+  }
+
+  // Candidates for one window/pool, clustered into ranked stories
+  async function storiesFor({ tabKey, ...opts }) {
+    return storiesFrom(tabKey, await collectCandidates({ tabKey, ...opts }));
+  }
+
+  function buildFallbackPanel(tabKey, reason) {
+    return {
+      tabKey,
+      items: [],
+      freshnessUsed: null,
+      usedSecondary: false,
+      relaxedAI: false,
+      offTopicAllowed: false,
+      offTopicLetThrough: 0,
+      oneLiner: `${tabByKey.get(tabKey)?.label || "This tab"} has no update today.`,
+      bullets: [
+        "Coverage may be thin within the current freshness window.",
+        "We’ll retry with broader sources on the next run.",
+        "Use the source links on other tabs for nearby context.",
+      ],
+      explainerHtml: sanitizeExplainer(
+        `No suitable items were found for this tab in the current run.\n\n_(Reason: ${reason})_`
+      ),
+      tags: ["no-update"],
+      stories: [],
+      noteText: "",
+      failed: true,
+    };
+  }
+
+  // --- Tab generation ---
+
+  /**
+   * Ask the tab's provider for a brief (or digest, per format); one repair round
+   * on invalid output.
+   * Throws (→ buildFallbackPanel in main) if the repaired reply is still invalid.
+   */
+  async function requestBrief({ llm, tabKey, prompt, items, stories, format }) {
+    const system = BRIEF_SYSTEM_PROMPT;
+    let raw = await llm.complete({ tabKey, system, prompt, items, stories, format, json: true });
+    if (MODEL_OUTPUT_LOGGING) {
+      jlog("debug", "model_output", { tab: tabKey, attempt: 1, text: (raw || "").slice(0, 4000) });
+    }
+
+    const sourceCount = items.length;
+    let { brief, errors } = parseModelOutput(raw, { sourceCount, format, stories });
+    if (brief) return brief;
+
+    // One repair round: show the model its reply + the validation problems
+    jlog("warn", "model_output_invalid", { tab: tabKey, attempt: 1, errors: errors.slice(0, 12) });
+    raw = await llm.complete({ tabKey, system, prompt: buildRepairPrompt(prompt, raw, errors), items, stories, format, json: true });
+    if (MODEL_OUTPUT_LOGGING) {
+      jlog("debug", "model_output", { tab: tabKey, attempt: 2, text: (raw || "").slice(0, 4000) });
+    }
+    ({ brief, errors } = parseModelOutput(raw, { sourceCount, format, stories }));
+    if (brief) return brief;
+
+    jlog("warn", "model_output_invalid", { tab: tabKey, attempt: 2, errors: errors.slice(0, 12) });
+    throw new Error(`[${tabKey}] Model output failed validation after repair: ${errors.slice(0, 3).join("; ")}`);
+  }
+
+  /**
+   * Check the brief against its sources and apply the tab's grounding.action:
+   *   warn       keep the brief, attach a note naming the unsupported details
+   *   strip      drop flagged explainer sentences, replace flagged bullets with
+   *              a cited source's title (one-liner → note); warns instead only
+   *              if no source is left to stand in
+   *   regenerate ask once more with the flagged details listed, keep the better
+   *              of the two briefs, then warn about anything still flagged
+   */
+  async function groundBrief({ llm, tabKey, prompt, items, stories, format, brief }) {
+    const settings = { ...DEFAULT_GROUNDING, ...tabByKey.get(tabKey)?.grounding };
+    if (settings.action === "off") return { brief, note: "", summary: null };
+
+    let report = checkBriefGrounding(brief, items, settings);
+    const firstReport = report;
+
+    if (report.flagged.length) {
+      jlog("warn", "grounding_flagged", {
+        tab: tabKey,
+        action: settings.action,
+        flagged: report.flagged.length,
+        of: report.checked,
+        claims: report.flagged.map(c => ({ text: c.text, unsupported: c.unsupported.map(f => f.text) })),
+      });
+    }
+
+    if (report.flagged.length && settings.action === "regenerate" && llm.name !== "extractive") {
+      try {
+        const retry = await requestBrief({ llm, tabKey, prompt: buildGroundingRetryPrompt(prompt, report), items, stories, format });
+        const retryReport = checkBriefGrounding(retry, items, settings);
+        jlog("info", "grounding_regenerated", { tab: tabKey, flaggedBefore: report.flagged.length, flaggedAfter: retryReport.flagged.length });
+        if (retryReport.flagged.length <= report.flagged.length) {
+          brief = retry;
+          report = retryReport;
+        }
+      } catch (e) {
+        jlog("warn", "grounding_regenerate_failed", { tab: tabKey, message: e?.message || String(e) });
+      }
+    }
+
+    let note = "";
+    if (report.flagged.length) {
+      const oneLinerFlagged = report.flagged.some(c => HEADLINE_PARTS.includes(c.where.part));
+      const stripped = settings.action === "strip" ? stripUngrounded(brief, report, items) : null;
+      if (settings.action === "strip" && !stripped) {
+        jlog("warn", "grounding_strip_skipped", { tab: tabKey, reason: "no source item left to stand in for a flagged claim" });
+      }
+      if (stripped) {
+        brief = stripped;
+        note = oneLinerFlagged
+          ? `The headline mentions details we couldn't match to the sources (${report.unsupportedTerms.slice(0, 4).join(", ")}); other unmatched sentences were removed or replaced with source headlines.`
+          : "Some sentences were removed or replaced with source headlines because they couldn't be matched to the sources.";
+      } else {
+        note = `Some details couldn't be matched to the sources (${report.unsupportedTerms.slice(0, 4).join(", ")}); check the linked articles.`;
+      }
+    }
+
+    return {
+      brief,
+      note,
+      summary: {
+        action: settings.action,
+        // Rate is measured on the first brief, before any retry/strip
+        checked: firstReport.checked,
+        grounded: firstReport.grounded,
+        flaggedAfter: report.flagged.length,
+        unsupported: report.unsupportedTerms,
+      },
+    };
+  }
+
+  /**
+   * Selection half of a tab: seen cache + the ladder, avoiding `avoidKeys` /
+   * `avoidStories`. Returns { tabKey, seen, best (stories), bestMeta,
+   * offTopicLetThrough }; throws when nothing is left to pick.
+   */
+  async function planTab({ tabKey, primaryFeeds, secondaryFeeds, avoidKeys, avoidStories = [], metrics }) {
+    const seen = await loadSeenFrom(seenPaths[tabKey], tabKey);
+
+    const { picks: best, meta: bestMeta, stories } = await selectStories({
+      steps: planSteps(primaryFeeds, secondaryFeeds),
+      storiesFor: (step) => storiesFor({ tabKey, feeds: step.feeds, primaryFeeds, seen, maxHours: step.hours, metrics }),
+      avoidKeys,
+      avoidStories,
+      embedder,
+      threshold,
+    });
+
+    const offTopicLetThrough = best.filter(story => story._offTopic).length;
+
+    // Selection log
+    jlog("info", "tab_selection", {
+      tab: tabKey,
+      freshnessUsed: bestMeta.freshnessUsed,
+      usedSecondary: bestMeta.usedSecondary,
+      relaxedAI: bestMeta.relaxedAI,
+      offTopicAllowed: bestMeta.offTopicAllowed,
+      offTopicLetThrough,
+      picked: best.map(story => ({
+        source: story.source,
+        title: story.leader.title,
+        outlets: story.outlets,
+        size: story.members.length,
+        storyScore: story.score,
+        age_hours: ageHours(story.leader.publishedAt),
+        score: story.leader._score || 0,
+        scoreBreakdown: story.leader._scoreBreakdown || null,
+        aiLoose: !!story._aiLoose,
+        aiStrict: !!story._aiStrict,
+        offTopic: !!story._offTopic,
+      })),
+    });
+
+    if (best.length === 0) {
+      throw new Error(`[${tabKey}] No suitable items found in freshness windows.`);
+    }
+
+    return { tabKey, seen, best, bestMeta, offTopicLetThrough, stories };
+  }
+
+  /**
+   * Model half of a tab: prompt → validated, grounded brief → panel data.
+   * Leaves the seen cache alone (commitSeen does that once the result is kept).
+   */
+  async function briefForPlan({ tabKey, best, bestMeta, offTopicLetThrough }, { tabLabel }) {
+    // Flatten stories into the numbered source list the prompt + citations use
+    const items = [];
+    const stories = best.map(story => {
+      const sources = storySources(story);
+      const numbers = sources.map(it => items.push(it));
+      return { ...story, sources, numbers };
+    });
+
+    // Call model
+    const llm = llmByTab.get(tabKey);
+    const format = tabByKey.get(tabKey)?.format || "brief";
+    const digest = format === "digest";
+    const buildPrompt = digest ? buildDigestPromptForTab : buildPromptForTab;
+    const prompt = buildPrompt(stories, { intent: tabByKey.get(tabKey)?.intent || "AI news" });
+    log(`[${tabKey}] Calling ${llm.name}${llm.model ? ` (${llm.model})` : ""} with`, stories.length, "stories,", items.length, "items");
+
+    const storyNumbers = stories.map(s => s.numbers);
+    let brief = await requestBrief({ llm, tabKey, prompt, items, stories: storyNumbers, format });
+
+    // Grounding: names/numbers/dates/amounts must appear in some picked item
+    const grounded = await groundBrief({ llm, tabKey, prompt, items, stories: storyNumbers, format, brief });
+    brief = grounded.brief;
+
+    // A digest's one-line summary (store, logs) is its overview, else its first headline
+    const oneLiner = digest ? (brief.overview || brief.stories[0].headline).text : brief.oneLiner.text;
+    const bullets = digest ? [] : brief.bullets.map(b => b.text);
+    const tags = brief.tags;
+
+    const citations = citationStats(brief);
+    if (citations.uncited) {
+      jlog("warn", "uncited_claims", { tab: tabKey, uncited: citations.uncited, of: citations.claims, texts: citations.uncitedTexts });
+    }
+
+    const noteBits = [];
+    // A digest has no explainer to carry the older-sources note, so it goes in the note
+    if (digest && bestMeta.freshnessUsed > FRESH_HOURS_PRIMARY) {
+      noteBits.push(`Some sources may be older than ${FRESH_HOURS_PRIMARY} hours due to limited fresh coverage.`);
+    }
+    if (bestMeta.usedSecondary) noteBits.push("Wider sources used today due to limited fresh coverage.");
+    if (bestMeta.relaxedAI) noteBits.push("Some items may be only loosely AI-related due to limited matching items.");
+    if (offTopicLetThrough) noteBits.push(`${offTopicLetThrough} off-topic item${offTopicLetThrough === 1 ? " was" : "s were"} included due to limited relevant coverage.`);
+    if (llm.name === "extractive") noteBits.push("Summary built directly from source headlines and snippets (no AI model used).");
+    if (grounded.note) noteBits.push(grounded.note);
+    const noteText = noteBits.length ? noteBits.join(" ") : "";
+
+    const explainerHtml = digest ? "" : explainerHtmlFor(brief.explainer, items, bestMeta.freshnessUsed);
+
+    return {
+      tabKey,
+      label: tabLabel,
+      items,
+      format,
+      // Digest only: the optional tab-level overview claim
+      overview: digest ? brief.overview : null,
+      // Picked stories; sources are 1-based numbers into items. Digests add each
+      // story's headline + summary claims
+      stories: stories.map((s, i) => ({
+        key: s.key,
+        title: s.leader.title,
+        link: s.leader.link,
+        outlets: s.outlets,
+        size: s.members.length,
+        score: s.score,
+        sources: s.numbers,
+        members: s.members,
+        ...(digest ? { headline: brief.stories[i].headline, summary: brief.stories[i].summary } : {}),
+      })),
+      freshnessUsed: bestMeta.freshnessUsed,
+      usedSecondary: bestMeta.usedSecondary,
+      relaxedAI: bestMeta.relaxedAI,
+      offTopicAllowed: bestMeta.offTopicAllowed,
+      offTopicLetThrough,
+      llm: { provider: llm.name, model: llm.model },
+      oneLiner,
+      bullets,
+      explainerHtml,
+      tags,
+      brief,
+      citations,
+      grounding: grounded.summary,
+      noteText,
+      failed: false,
+    };
+  }
+
+  // Mark a kept result's stories seen (every outlet's version, so the story doesn't come back tomorrow)
+  async function commitSeen({ tabKey, seen }, result) {
+    for (const s of result.stories) {
+      for (const it of s.members) {
+        markSeen(seen, { link: it.link, title: normalizeTitle(it.title || "") }, { tab: tabKey, story: s.key, now: now(), settings: config.seen });
+      }
+    }
+    await saveSeenTo(seenPaths[tabKey], seen, tabKey);
+  }
+
+  // Article excerpts first (network), then the model call in one of the run's model slots
+  async function briefFor(plan, { tabLabel }) {
+    await enricher?.enrich(plan.best.flatMap(storySources));
+    return modelSlots.run(() => briefForPlan(plan, { tabLabel }));
+  }
+
+  async function generateOneTab({ tabLabel, ...opts }) {
+    const plan = await planTab(opts);
+    const result = await briefFor(plan, { tabLabel });
+    await commitSeen(plan, result);
+    return result;
+  }
+
+  // One tab's entry in public/data/tabs.json (stored per run in the item store)
+  function tabJsonEntry(t) {
+    return {
+      key: t.tabKey,
+      label: tabByKey.get(t.tabKey)?.label || t.tabKey,
+      freshnessUsed: t.freshnessUsed,
+      usedSecondary: t.usedSecondary,
+      relaxedAI: t.relaxedAI,
+      offTopicAllowed: !!t.offTopicAllowed,
+      offTopicLetThrough: t.offTopicLetThrough || 0,
+      llm: t.llm || null,
+      failed: !!t.failed,
+      noteText: t.noteText || "",
+      format: t.format || "brief",
+      oneLiner: t.oneLiner,
+      bullets: t.bullets,
+      tags: t.tags,
+      grounding: t.grounding || null,
+      // Digest: tab-level overview claim (or null); the per-story headline and
+      // summary claims are on stories[]
+      overview: t.overview || null,
+      // Same claims with the 1-based source numbers they cite (index into sources[])
+      claims: t.brief && t.format !== "digest" ? {
+        oneLiner: t.brief.oneLiner,
+        bullets: t.brief.bullets,
+        explainer: t.brief.explainer,
+      } : null,
+      // Story clusters: outlets = distinct hosts covering it; sources index into sources[]
+      stories: (t.stories || []).map(s => ({
+        key: s.key,
+        title: s.title,
+        link: s.link,
+        outlets: s.outlets,
+        size: s.size,
+        score: s.score,
+        sources: s.sources,
+        ...(s.headline ? { headline: s.headline, summary: s.summary } : {}),
+        otherLinks: s.members.filter(m => !s.sources.some(n => t.items[n - 1] === m)).map(m => m.link),
+      })),
+      sources: (t.items || []).map(it => ({
+        title: it.title,
+        link: it.link,
+        source: it.source,
+        publishedAt: it.publishedAt ? (it.publishedAt.toISOString?.() || null) : null,
+        aiLoose: !!it._aiLoose,
+        aiStrict: !!it._aiStrict,
+        offTopic: !!it._offTopic,
+        score: it._score || 0,
+        scoreBreakdown: it._scoreBreakdown || null,
+      })),
+    };
+  }
+
+  // Identity of a selection: same stories, members and ladder step → same prompt
+  function planKey({ best, bestMeta }) {
+    return JSON.stringify([bestMeta, best.map(s => [s.key, s.members.map(m => m.link)])]);
+  }
+
+  /**
+   * Generate `tabs` (tab configs, a subset of config.tabsByPriority) as if one
+   * after another in priority order. Tabs not being run still take part in
+   * cross-tab de-dupe through their stored brief for `ymd`, so re-running one
+   * tab avoids what the tabs above it published that day.
+   * runId null = don't record (dry run / preview). metrics may be null.
+   * stored: the other tabs' briefs to de-dupe against ([{ tab, payload }];
+   * default: the day's stored ones). trace (optional) gets
+   * recordPlan(tabKey, { plan | error, avoidKeys, avoidStories }) for each
+   * tab's final selection, with the de-dupe state it was selected against.
+   *
+   * Every feed of the selected tabs is fetched first, in parallel, so all tabs
+   * score against the same corpus. Selection then runs tab by tab in priority
+   * order, each tab avoiding the picks above it, and each tab's model call
+   * starts as soon as it is selected (config.concurrency.models at once).
+   * Picks are reserved before their brief exists: if a brief fails, its picks
+   * were never published, so the tabs are selected again without them and any
+   * tab whose picks change is regenerated; the rest keep their briefs.
+   */
+  async function generateTabs({ ymd, runId, tabs, metrics, stored: storedBriefs = null, trace = null }) {
+    const selected = new Set(tabs.map(t => t.key));
+    const others = (storedBriefs || (replay ? replay.stored : store.briefsForDay(ymd))).filter(b => !selected.has(b.tab));
+    recorder?.recordStored(others);
+    const stored = new Map(others.map(b => [b.tab, b.payload]));
+
+    const urls = new Map(); // url → first tab (by priority) that uses it
+    for (const tab of config.tabsByPriority) {
+      if (!selected.has(tab.key)) continue;
+      for (const url of [...tab.primary, ...tab.secondary]) if (!urls.has(url)) urls.set(url, tab.key);
+    }
+    await Promise.all([...urls].map(([url, tabKey]) => feedLoader.load(url, { tabKey, metrics })));
+
+    const attempts = new Map(); // tabKey → { key, plan, outcome: Promise<{ result } | { error }>, failed }
+
+    // One selection pass in priority order → Map tabKey → attempt (or { error } when nothing was picked)
+    async function selectAll() {
+      const avoidKeys = new Set();
+      const avoidStories = []; // picked stories' items, for cross-tab near-duplicate checks
+      const avoid = (it) => {
+        avoidKeys.add(makeCrossTabKey(it));
+        avoidKeys.add(`title:${normalizeKey(it.title)}`);
+        avoidStories.push(it);
+      };
+      const current = new Map();
+
+      for (const tab of config.tabsByPriority) {
+        if (!selected.has(tab.key)) {
+          const payload = stored.get(tab.key);
+          for (const src of payload?.sources || []) avoid(src);
+          for (const link of (payload?.stories || []).flatMap(s => s.otherLinks || [])) avoidKeys.add(makeCrossTabKey({ link }));
+          continue;
+        }
+
+        const avoiding = trace && { avoidKeys: new Set(avoidKeys), avoidStories: [...avoidStories] };
+        let plan;
+        try {
+          plan = await planTab({
+            tabKey: tab.key,
+            primaryFeeds: tab.primary,
+            secondaryFeeds: tab.secondary,
+            avoidKeys,
+            avoidStories,
+            metrics,
+          });
+        } catch (error) {
+          trace?.recordPlan(tab.key, { error, ...avoiding });
+          current.set(tab.key, { error });
+          continue;
+        }
+        trace?.recordPlan(tab.key, { plan, ...avoiding });
+
+        const key = planKey(plan);
+        let attempt = attempts.get(tab.key);
+        if (attempt?.key !== key) {
+          attempt = { key, plan, failed: false };
+          attempt.outcome = briefFor(plan, { tabLabel: tab.label })
+            .then(result => ({ result }), error => {
+              attempt.failed = true;
+              return { error };
+            });
+          attempts.set(tab.key, attempt);
+        }
+        // A brief known to have failed publishes nothing, so it reserves nothing
+        attempt.reserved = !attempt.failed;
+        if (attempt.reserved) for (const it of plan.best.flatMap(s => s.members)) avoid(it);
+        current.set(tab.key, attempt);
+      }
+      return current;
+    }
+
+    let current = await selectAll();
+    for (;;) {
+      await Promise.all([...current.values()].map(a => a.outcome));
+      const released = [...current].filter(([, a]) => a.failed && a.reserved).map(([k]) => k);
+      if (!released.length) break;
+      jlog("info", "tabs_reselected", { failed: released });
+      current = await selectAll();
+    }
+
+    const results = [];
+    for (const tab of config.tabsByPriority) {
+      if (!selected.has(tab.key)) continue;
+      const attempt = current.get(tab.key);
+      const { result, error } = attempt.outcome ? await attempt.outcome : attempt;
+
+      if (result) {
+        await commitSeen(attempt.plan, result);
+        results.push(result);
+      } else {
+        const msg = error?.message || String(error);
+        log(`[${tab.key}] Tab failed; using fallback panel:`, msg);
+        jlog("warn", "tab_failed", { tab: tab.key, message: msg });
+        results.push(buildFallbackPanel(tab.key, msg));
+      }
+
+      // ---------------- PATCHED METRICS WIRING ----------------
+      // Pass picked[] items (not just counts), so collector can compute itemCount/hosts/aiStrict/offTopic/dup
+      const last = results[results.length - 1];
+
+      const picked = (last?.items || []).map(it => ({
+        source: it.source || "",
+        title: it.title || "",
+        link: it.link || it.url || "",
+        snippet: it.snippet || "",
+        aiStrict: typeof it._aiStrict === "boolean" ? it._aiStrict : undefined,
+        offTopic: typeof it._offTopic === "boolean" ? it._offTopic : undefined,
+      }));
+
+      const hosts = Array.from(new Set(picked.map(i => i.source).filter(Boolean)));
+
+      metrics?.recordTabSummary(tab.key, {
+        label: tab.label,
+        failed: !!last?.failed,
+        usedSecondary: !!last?.usedSecondary,
+        relaxedAI: !!last?.relaxedAI,
+        offTopicLetThrough: last?.offTopicLetThrough || 0,
+        freshnessUsed: Number.isFinite(last?.freshnessUsed) ? last.freshnessUsed : 0,
+        hosts,
+        picked, // <-- key fix
+        citations: last?.citations || null,
+        grounding: last?.grounding || null,
+      });
+      // ---------------------------------------------------------
+
+      if (last && runId != null) store.recordTab({ runId, ymd, tab: tab.key, result: last, payload: tabJsonEntry(last) });
+    }
+
+    return results;
+  }
+
+  return {
+    loadSeenFrom,
+    saveSeenTo,
+    collectCandidates,
+    storiesFrom,
+    storiesFor,
+    generateOneTab,
+    generateTabs,
+    buildFallbackPanel,
+    tabJsonEntry,
+  };
+}
@@ -0,0 +1,217 @@
+// scripts/grounding.js
+// Post-generation grounding check for briefs.
+//
+// Every claim (one-liner, bullets, explainer sentences; a digest's overview,
+// headlines and summary sentences) is scanned for
+// checkable facts — named entities, numbers, dates and money amounts — and
+// each fact must appear somewhere in the picked items' titles/snippets/hosts
+// (or article excerpts, when enrichment fetched them).
+// Facts found in no source are reported as "unsupported"; generate.js then
+// regenerates, strips the sentence or attaches a warning note (config
+// grounding.action).
+//
+// Heuristic, not NLP: it errs towards flagging, so config grounding.allow can
+// whitelist terms that are fine without a source (e.g. "AI", "UK").
+
+import { BRIEF_SCHEMA, DIGEST_SCHEMA, briefClaims } from "./modelOutput.js";
+
+export const GROUNDING_ACTIONS = ["off", "warn", "strip", "regenerate"];
+
+export const DEFAULT_GROUNDING = { action: "warn", allow: [] };
+
+// Always fine without a source: generic acronyms + words that are capitalised
+// at the start of a sentence
+const BUILTIN_ALLOW = [
+  "ai", "uk", "us", "eu", "llm", "llms", "ml", "api", "apis", "ceo",
+  "the", "a", "an", "this", "these", "that", "those", "it", "its", "in", "on", "at",
+  "for", "with", "as", "by", "from", "after", "while", "meanwhile", "however",
+  "also", "both", "some", "many", "several", "other", "others", "one", "two",
+  "such", "if", "when", "but", "and", "or", "there", "their", "they", "we",
+  "overall", "today", "new", "recent", "according", "experts", "critics",
+];
+
+const MONTHS = [
+  "january", "february", "march", "april", "may", "june", "july", "august",
+  "september", "october", "november", "december",
+];
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+const MONEY_RE = /(?:[$£€]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:bn|billion|m|mn|million|k|thousand|trillion|tn|b))?\b)|(?:\b\d[\d,]*(?:\.\d+)?\s?(?:bn|billion|million|trillion)?\s?(?:dollars|pounds|euros|usd|gbp|eur)\b)/gi;
+const NUMBER_RE = /\b\d[\d,]*(?:\.\d+)?%?/g;
+const DATE_RE = new RegExp(`\\b(?:${[...MONTHS, ...WEEKDAYS].join("|")})\\b`, "gi");
+// Runs of Capitalised / ALLCAPS / CamelCase words (GPT-5, OpenAI, Competition and Markets Authority)
+const ENTITY_RE = /\b[A-Z][\p{L}\p{N}'’&.-]*(?:\s+(?:of|and|for|the|de|&)?\s*[A-Z][\p{L}\p{N}'’&.-]*)*/gu;
+
+function normNumber(s) {
+  return String(s).replace(/[,%\s]/g, "").replace(/\.0+$/, "");
+}
+
+function numbersIn(text) {
+  return new Set((String(text).match(NUMBER_RE) || []).map(normNumber));
+}
+
+function wordsIn(text) {
+  return new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Corpus of everything a brief is allowed to say: titles, snippets, article
+ * excerpts (scripts/articles.js), hosts.
+ */
+export function buildCorpus(items = []) {
+  const text = items.map(it => `${it.source || ""} ${it.title || ""} ${it.snippet || ""} ${it.excerpt || ""}`).join("\n");
+  return { text: text.toLowerCase(), words: wordsIn(text), numbers: numbersIn(text) };
+}
+
+/**
+ * Extract checkable facts from one sentence.
+ * Returns [{ kind: "entity"|"number"|"date"|"money", text }].
+ */
+export function extractFacts(sentence = "") {
+  const facts = [];
+  const seen = new Set();
+  const push = (kind, text) => {
+    const k = `${kind}:${text.toLowerCase()}`;
+    if (!seen.has(k)) {
+      seen.add(k);
+      facts.push({ kind, text });
+    }
+  };
+
+  let rest = String(sentence);
+  for (const m of rest.match(MONEY_RE) || []) push("money", m.trim());
+  rest = rest.replace(MONEY_RE, " ");
+
+  for (const m of rest.match(DATE_RE) || []) push("date", m);
+  for (const m of rest.match(NUMBER_RE) || []) {
+    push(/^(1[89]|20)\d{2}$/.test(m) ? "date" : "number", m);
+  }
+
+  for (const m of String(sentence).matchAll(ENTITY_RE)) {
+    const span = m[0].trim().replace(/[.’']+$/, "");
+    const words = span.split(/\s+/).filter(w => /^[A-Z]/.test(w));
+    // A lone Capitalised word opening the sentence is usually just grammar
+    const atStart = !/[\p{L}\p{N}]/u.test(String(sentence).slice(0, m.index));
+    if (atStart && words.length === 1 && /^[A-Z][a-z]+$/.test(words[0])) continue;
+
+    const significant = words.filter(w => {
+      const lw = w.toLowerCase().replace(/[’'.]s?$/, "").replace(/\.$/, "");
+      return lw.length > 1 && !BUILTIN_ALLOW.includes(lw) && !MONTHS.includes(lw) && !WEEKDAYS.includes(lw);
+    });
+    if (significant.length) push("entity", span);
+  }
+
+  return facts;
+}
+
+function factSupported(fact, corpus, allow) {
+  const lower = fact.text.toLowerCase();
+  if (allow.has(lower)) return true;
+
+  if (fact.kind === "number" || (fact.kind === "date" && /\d/.test(fact.text))) {
+    return corpus.numbers.has(normNumber(fact.text));
+  }
+  if (fact.kind === "money") {
+    // Compare the amount only: "$5B" and "$5 billion" both reduce to 5
+    const amount = (fact.text.match(/\d[\d,]*(?:\.\d+)?/) || [""])[0];
+    return !amount || corpus.numbers.has(normNumber(amount));
+  }
+  if (fact.kind === "date") return corpus.words.has(lower);
+
+  // Entity: every significant word must occur in some source
+  return fact.text
+    .split(/\s+/)
+    .map(w => w.toLowerCase().replace(/[’']s$/, "").replace(/[^\p{L}\p{N}-]/gu, ""))
+    .filter(w => w.length > 1 && !BUILTIN_ALLOW.includes(w) && !allow.has(w))
+    .every(w => corpus.words.has(w) || w.split("-").every(p => !p || corpus.words.has(p)) || corpus.text.includes(w));
+}
+
+/**
+ * Check one claim. Returns { text, facts, unsupported: [fact...] }.
+ */
+export function checkClaim(text, corpus, allow = new Set()) {
+  const facts = extractFacts(text);
+  const unsupported = facts.filter(f => !factSupported(f, corpus, allow));
+  return { text, facts: facts.length, unsupported };
+}
+
+/**
+ * Check a whole brief ({oneLiner, bullets, explainer}) or digest against the
+ * items. Returns per-claim results keyed by location, plus totals.
+ */
+export function checkBriefGrounding(brief, items, { allow = [] } = {}) {
+  const corpus = buildCorpus(items);
+  const allowSet = new Set(allow.map(a => a.toLowerCase()));
+
+  const claims = briefClaims(brief).map(({ where, claim }) => ({ where, ...checkClaim(claim.text, corpus, allowSet) }));
+
+  const flagged = claims.filter(c => c.unsupported.length);
+  return {
+    checked: claims.length,
+    grounded: claims.length - flagged.length,
+    flagged,
+    unsupportedTerms: Array.from(new Set(flagged.flatMap(c => c.unsupported.map(f => f.text)))),
+  };
+}
+
+// Claims a strip never removes; callers warn about them instead
+export const HEADLINE_PARTS = ["oneLiner", "overview", "headline"];
+
+const MIN_PARAGRAPHS = BRIEF_SCHEMA.properties.explainer.minItems;
+const MIN_SUMMARY = DIGEST_SCHEMA.properties.stories.items.properties.summary.minItems;
+
+// Stand-in for a flagged claim: the title of the first candidate item (by
+// source number) not already used, which is grounded by definition
+function sourceClaim(candidates, items, used) {
+  for (const n of candidates) {
+    const it = items[n - 1];
+    if (!it?.title) continue;
+    const text = `${it.title} (${it.source}).`;
+    if (used.has(text)) continue;
+    used.add(text);
+    return { text, sources: [n] };
+  }
+  return null;
+}
+
+/**
+ * Drop flagged explainer sentences (empty paragraphs go too) and replace
+ * flagged bullets with the title of an item they cite, so the brief keeps
+ * its fixed bullet count; a digest drops flagged summary sentences. Where a
+ * drop would leave a part below the schema's minimum (explainer paragraphs,
+ * summary sentences per story) a cited item's title stands in. The one-liner,
+ * overview and headlines are never stripped.
+ * Returns null only when no item is left to stand in; the caller keeps the
+ * brief and warns instead.
+ */
+export function stripUngrounded(brief, report, items) {
+  const isFlagged = (part, index, sentence) => report.flagged.some(c =>
+    c.where.part === part && c.where.index === index && (sentence == null || c.where.sentence === sentence));
+  const allItems = items.map((_, i) => i + 1);
+
+  if (brief.format === "digest") {
+    const used = new Set();
+    const stories = brief.stories.map((s, i) => {
+      const summary = s.summary.filter((_, j) => !isFlagged("summary", i, j));
+      if (summary.length >= MIN_SUMMARY) return { ...s, summary };
+      // A summary may only cite its own story
+      const standIn = sourceClaim(s.summary.flatMap(c => c.sources), items, used);
+      return standIn && { ...s, summary: [...summary, standIn] };
+    });
+    return stories.every(Boolean) ? { ...brief, stories } : null;
+  }
+
+  const used = new Set(brief.bullets.filter((_, i) => !isFlagged("bullets", i)).map(b => b.text));
+  const bullets = brief.bullets.map((b, i) => isFlagged("bullets", i) ? sourceClaim([...b.sources, ...allItems], items, used) : b);
+  if (!bullets.every(Boolean)) return null;
+
+  let explainer = brief.explainer
+    .map((p, i) => p.filter((_, j) => !isFlagged("explainer", i, j)))
+    .filter(p => p.length);
+  if (explainer.length < MIN_PARAGRAPHS) {
+    const standIn = sourceClaim([...brief.explainer.flat().flatMap(c => c.sources), ...allItems], items, new Set());
+    if (!standIn) return null;
+    explainer = [[standIn]];
+  }
+  return { ...brief, bullets, explainer };
+}
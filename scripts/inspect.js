@@ -0,0 +1,233 @@
+// scripts/inspect.js
+// Candidate inspection for `preview` (scripts/previewServer.js): every item in
+// a tab's feeds with its score, flags, age and freshness window, and what
+// selection did with it and why (seen, outside the window, de-duped against
+// another tab, filtered, ranked out, merged into a story, or picked).
+//
+// The generator reports each tab's final selection to a trace
+// (generateTabs({ trace })); inspectTab() replays the pick rules over that
+// step's stories with the de-dupe state the tab saw (selection.js
+// explainPicks), so the reasons can't drift from what pickItems did.
+//
+// tabSettings()/withTabSettings() are the knobs a preview re-run can change:
+// relevance keywords/weights, topic text, scoring weights, the near-duplicate
+// threshold and the output format.
+
+import { now } from "./clock.js";
+import { compileRelevance, DEFAULT_SCORING } from "./relevance.js";
+import { FRESH_HOURS_PRIMARY, FRESH_HOURS_FALLBACKS, MAX_SOURCES_PER_STORY, explainPicks, storySources } from "./selection.js";
+import { emptySeen, isSeen } from "./seen.js";
+import { TAB_FORMATS } from "./modelOutput.js";
+import { ageHours, isFresh, makeCrossTabKey, normalizeKey, normalizeTitle } from "./util.js";
+
+// Outcome → short label for the candidate table
+export const OUTCOMES = {
+  picked: "picked",
+  merged: "merged into a picked story",
+  seen: "seen (published before)",
+  "outside-window": "outside the window used",
+  "pool-unused": "secondary pool not used",
+  duplicate: "another tab has it",
+  "near-duplicate": "same event as another tab's story",
+  "not-strict-ai": "not strictly AI",
+  "off-topic": "off-topic",
+  "ranked-out": "ranked out",
+  "no-selection": "tab picked nothing",
+};
+
+// Trace for generateTabs: the last selection recorded per tab
+export function createTrace() {
+  const plans = new Map(); // tabKey → { plan | error, avoidKeys, avoidStories }
+  return {
+    plans,
+    recordPlan(tabKey, info) {
+      plans.set(tabKey, info);
+    },
+  };
+}
+
+// Smallest ladder window an item falls in (null: older than all, or undated)
+function windowOf(publishedAt) {
+  return [FRESH_HOURS_PRIMARY, ...FRESH_HOURS_FALLBACKS].find(h => isFresh(publishedAt, h)) ?? null;
+}
+
+// key → label of the tab whose brief has it, from [{ tab, payload }]
+function keyIndex(briefs) {
+  const owner = new Map();
+  for (const { tab, payload } of briefs) {
+    const label = payload?.label || tab;
+    for (const src of payload?.sources || []) {
+      owner.set(makeCrossTabKey(src), label);
+      owner.set(`title:${normalizeKey(src.title)}`, label);
+    }
+    for (const link of (payload?.stories || []).flatMap(s => s.otherLinks || [])) owner.set(makeCrossTabKey({ link }), label);
+  }
+  return owner;
+}
+
+function dedupeDetail(why, owner) {
+  if (why.outcome === "duplicate") {
+    const tab = owner.get(why.key);
+    const what = why.key.startsWith("title:") ? "same title" : "same link";
+    return tab ? `${what} as the ${tab} tab` : `${what} as another tab's pick`;
+  }
+  const tab = owner.get(makeCrossTabKey(why.item)) || "another tab";
+  return `${tab}: “${why.item.title}” (similarity ${why.similarity})`;
+}
+
+/**
+ * Every item in `tab`'s feeds → rows, picked sources first (in source order),
+ * then by score. options:
+ *   generator  the generator that ran the tab (its config scores the items)
+ *   feeds      the run's feed loader (already loaded; nothing is fetched)
+ *   embedder, threshold, seenSettings (config.seen)
+ *   tab        tab config
+ *   traced     the tab's trace entry ({ plan | error, avoidKeys, avoidStories })
+ *   result     the tab's result (for source numbers), or null
+ *   seen       the tab's seen store (generator.loadSeenFrom)
+ *   briefs     the other tabs' [{ tab, payload }], to name who has a duplicate
+ * Row: { title, link, source, pool, publishedAt, ageHours, window, score,
+ *        scoreBreakdown, aiStrict, aiLoose, offTopic, outcome, detail,
+ *        story (title of the story it was clustered into), sourceNumber }
+ */
+export async function inspectTab({ generator, feeds, embedder, threshold, seenSettings, tab, traced, result = null, seen = emptySeen(), briefs = [] }) {
+  const primaryLinks = new Set();
+  for (const url of tab.primary) for (const it of (await feeds.load(url)).items) primaryLinks.add(it.link);
+
+  const items = await generator.collectCandidates({
+    feeds: [...tab.primary, ...tab.secondary],
+    primaryFeeds: tab.primary,
+    seen: emptySeen(),
+    maxHours: null,
+    tabKey: tab.key,
+  });
+
+  const plan = traced?.plan || null;
+  const storyOf = new Map(); // link → story at the step used
+  const why = plan ? explainPicks({
+    stories: plan.stories,
+    picks: plan.best,
+    avoidKeys: traced.avoidKeys,
+    avoidStories: traced.avoidStories,
+    requireStrictAI: !plan.bestMeta.relaxedAI,
+    embedder,
+    threshold,
+  }) : new Map();
+  for (const story of plan?.stories || []) for (const m of story.members) storyOf.set(m.link, story);
+  const sent = new Set(plan ? plan.best.flatMap(storySources).map(it => it.link) : []);
+  const numbers = new Map((result?.items || []).map((it, i) => [it.link, i + 1]));
+  const owner = keyIndex(briefs);
+
+  const rows = items.map((it) => {
+    const pool = primaryLinks.has(it.link) ? "primary" : "secondary";
+    const story = storyOf.get(it.link);
+    const row = {
+      title: it.title,
+      link: it.link,
+      source: it.source,
+      pool,
+      publishedAt: it.publishedAt ? it.publishedAt.toISOString() : null,
+      ageHours: ageHours(it.publishedAt),
+      window: windowOf(it.publishedAt),
+      score: it._score || 0,
+      scoreBreakdown: it._scoreBreakdown || null,
+      aiStrict: !!it._aiStrict,
+      aiLoose: !!it._aiLoose,
+      offTopic: !!it._offTopic,
+      story: story && story.leader.link !== it.link ? story.leader.title : null,
+      sourceNumber: numbers.get(it.link) || null,
+      outcome: null,
+      detail: "",
+    };
+
+    if (isSeen(seen, { link: it.link, title: normalizeTitle(it.title) }, seenSettings, now())) {
+      row.outcome = "seen";
+    } else if (!plan) {
+      row.outcome = "no-selection";
+      row.detail = traced?.error?.message || "";
+    } else if (!story) {
+      const { freshnessUsed, usedSecondary } = plan.bestMeta;
+      if (pool === "secondary" && !usedSecondary) row.outcome = "pool-unused";
+      else {
+        row.outcome = "outside-window";
+        row.detail = row.ageHours == null ? "no date" : `older than ${freshnessUsed}h`;
+      }
+    } else {
+      const verdict = why.get(story);
+      if (verdict.outcome === "picked") {
+        row.outcome = sent.has(it.link) ? "picked" : "merged";
+        if (row.outcome === "merged") row.detail = `not among the story's sources (one per outlet, at most ${MAX_SOURCES_PER_STORY})`;
+      } else {
+        row.outcome = verdict.outcome;
+        if (verdict.outcome === "duplicate" || verdict.outcome === "near-duplicate") row.detail = dedupeDetail(verdict, owner);
+      }
+    }
+    return row;
+  });
+
+  const rank = (r) => (r.outcome === "picked" ? r.sourceNumber || 0 : Infinity);
+  return rows.sort((a, b) => (rank(a) - rank(b)) || (b.score - a.score));
+}
+
+// --- Settings ------------------------------------------------------------------
+
+export class SettingsError extends Error {}
+
+const SCORING_KEYS = Object.keys(DEFAULT_SCORING).filter(k => k !== "negative");
+
+/**
+ * A tab's adjustable settings, as plain values:
+ * { keywords[], negative[], weight, wholeWord, topic, threshold, format,
+ *   scoring: { titleWeight, … } }
+ */
+export function tabSettings(config, tabKey) {
+  const tab = config.tabs.find(t => t.key === tabKey);
+  const { relevance } = tab;
+  return {
+    keywords: relevance.positives.map(p => p.kw),
+    negative: relevance.negatives.map(n => n.kw),
+    weight: relevance.weight,
+    wholeWord: relevance.wholeWord,
+    topic: tab.topic,
+    threshold: config.similarity.duplicateThreshold,
+    format: tab.format,
+    scoring: Object.fromEntries(SCORING_KEYS.map(k => [k, relevance.scoring[k]])),
+  };
+}
+
+/**
+ * `config` with tabKey's settings replaced (the threshold applies to whichever
+ * generator gets this config). Throws SettingsError on a bad value.
+ */
+export function withTabSettings(config, tabKey, settings) {
+  const bad = [];
+  const number = (name, v) => {
+    if (!Number.isFinite(v) || v < 0) bad.push(`${name} must be a number ≥ 0`);
+    return v;
+  };
+  if (!settings.keywords?.length) bad.push("keywords can't be empty");
+  number("weight", settings.weight);
+  number("threshold", settings.threshold);
+  if (settings.threshold > 1) bad.push("threshold must be at most 1");
+  for (const k of SCORING_KEYS) number(k, settings.scoring[k]);
+  if (!(settings.scoring.halfLifeHours > 0)) bad.push("halfLifeHours must be > 0");
+  if (!TAB_FORMATS.includes(settings.format)) bad.push(`format must be one of: ${TAB_FORMATS.join(", ")}`);
+  if (bad.length) throw new SettingsError(bad.join("; "));
+
+  const tweak = (t) => (t.key !== tabKey ? t : {
+    ...t,
+    topic: settings.topic?.trim() || t.topic,
+    format: settings.format,
+    // Negatives come back merged (site-wide + tab), so they all go in as the tab's
+    relevance: compileRelevance(
+      { keywords: settings.keywords, negative: settings.negative, weight: settings.weight, wholeWord: settings.wholeWord },
+      { ...settings.scoring, negative: [] },
+    ),
+  });
+  return {
+    ...config,
+    similarity: { ...config.similarity, duplicateThreshold: settings.threshold },
+    tabs: config.tabs.map(tweak),
+    tabsByPriority: config.tabsByPriority.map(tweak),
+  };
+}
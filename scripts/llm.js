@@ -0,0 +1,191 @@
+// scripts/llm.js
+// LLM provider layer for generate.js.
+//
+// Providers share one interface:
+//   provider.complete({ tabKey, system, prompt, items, stories, format, json }) -> Promise<string>
+// (stories: per-story lists of 1-based source numbers into items; format: the
+// tab's "brief" | "digest") and return raw text in the format the prompt asks
+// for (a JSON brief or digest), so the generator has a single parse + validate
+// path regardless of backend.
+//
+// Implementations:
+//   - "openai"            OpenAI API (key from OPENAI_API_KEY or llm.apiKeyEnv)
+//   - "openai-compatible" any OpenAI-style server (llama.cpp, Ollama, vLLM...)
+//                         at llm.baseURL / LLM_BASE_URL
+//   - "extractive"        no model: deterministic brief from titles + snippets
+//
+// A provider that isn't configured (no key, no base URL) degrades to
+// "extractive" so the site still builds.
+
+import OpenAI from "openai";
+
+export const PROVIDERS = ["openai", "openai-compatible", "extractive"];
+
+export const DEFAULT_LLM = {
+  provider: "openai",
+  model: "gpt-4o-mini",
+  temperature: 0.4,
+};
+
+// --- OpenAI + OpenAI-compatible ----------------------------------------------
+
+const CLIENTS = new Map(); // baseURL|apiKey -> OpenAI client (one per endpoint)
+
+function clientFor({ apiKey, baseURL }) {
+  const k = `${baseURL || ""}|${apiKey}`;
+  if (!CLIENTS.has(k)) CLIENTS.set(k, new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) }));
+  return CLIENTS.get(k);
+}
+
+function chatProvider(name, { apiKey, baseURL, model, temperature }) {
+  const client = clientFor({ apiKey, baseURL });
+  return {
+    name,
+    model,
+    temperature,
+    async complete({ system, prompt, json = false }) {
+      const resp = await client.chat.completions.create({
+        model,
+        temperature,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+      });
+      return resp.choices?.[0]?.message?.content?.trim() ?? "";
+    },
+  };
+}
+
+// --- Extractive (no model) ---------------------------------------------------
+
+const STOPWORDS = new Set((
+  "a an and are as at be but by for from has have how in into is it its new of on or " +
+  "over says said than that the their this to up was we what when which who why will " +
+  "with after about more not can could you your our out just now first"
+).split(" "));
+
+function firstSentences(text = "", n = 2) {
+  const parts = String(text).replace(/\s+/g, " ").trim().match(/[^.!?]+[.!?]+(\s|$)|[^.!?]+$/g) || [];
+  return parts.slice(0, n).join("").trim();
+}
+
+function asSentence(s = "") {
+  const t = String(s).trim();
+  if (!t) return "";
+  return /[.!?…]$/.test(t) ? t : `${t}.`;
+}
+
+function topTags(items, tabKey, n = 4) {
+  const counts = new Map();
+  for (const it of items) {
+    const words = new Set(String(it.title || "").toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}-]{2,}/gu) || []);
+    for (const w of words) {
+      if (STOPWORDS.has(w) || /^\d+$/.test(w)) continue;
+      counts.set(w, (counts.get(w) || 0) + 1);
+    }
+  }
+  const ranked = [...counts.entries()]
+    .sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]))
+    .slice(0, n)
+    .map(([w]) => w);
+  return [tabKey, ...ranked].filter(Boolean);
+}
+
+/**
+ * Deterministic brief built only from the picked items, as the same JSON the
+ * model is asked for. One sentence per story (its lead item), citing every
+ * outlet in the story; without stories each item is its own story.
+ */
+export function extractiveBrief({ tabKey, items = [], stories }) {
+  const groups = (stories?.length ? stories : items.map((_, i) => [i + 1]))
+    .map(nums => ({ it: items[nums[0] - 1], sources: nums }))
+    .filter(g => g.it);
+
+  const lead = groups[0];
+  const oneLiner = lead
+    ? { text: asSentence(`${lead.it.title} (${lead.it.source})`), sources: lead.sources }
+    : { text: "No items were available to summarise.", sources: [] };
+
+  const rest = groups.slice(1, 4).map(g => ({ text: asSentence(`${g.it.title} (${g.it.source})`), sources: g.sources }));
+  const bullets = [...rest];
+  for (const g of groups) {
+    if (bullets.length >= 3) break;
+    const s = asSentence(firstSentences(g.it.snippet, 1));
+    if (s && !bullets.some(b => b.text === s)) bullets.push({ text: s, sources: g.sources });
+  }
+  // Too few stories for three bullets: pad with a pointer to the lead story
+  while (bullets.length < 3) bullets.push({ text: "See the source links for details.", sources: lead?.sources || [] });
+
+  const explainer = groups.map(g => [
+    { text: `${g.it.source}: ${asSentence(firstSentences(g.it.snippet, 2) || g.it.title)}`, sources: g.sources },
+  ]);
+
+  return JSON.stringify({
+    oneLiner,
+    bullets,
+    explainer: explainer.length ? explainer : [[{ text: oneLiner.text, sources: oneLiner.sources }]],
+    tags: topTags(items, tabKey),
+  });
+}
+
+/**
+ * Deterministic digest: each story's lead title as its headline and the first
+ * two snippet sentences as its summary, citing every outlet in the story.
+ * No overview (there is nothing to compare without a model).
+ */
+export function extractiveDigest({ tabKey, items = [], stories = [] }) {
+  const entries = stories.map(nums => {
+    const it = items[nums[0] - 1];
+    const sentences = String(it.snippet || "").replace(/\s+/g, " ").trim().match(/[^.!?]+[.!?]+(\s|$)|[^.!?]+$/g) || [];
+    const summary = sentences.slice(0, 2).map(s => ({ text: asSentence(s), sources: nums })).filter(c => c.text);
+    return {
+      headline: it.title,
+      summary: summary.length ? summary : [{ text: asSentence(`Reported by ${it.source}`), sources: nums }],
+    };
+  });
+  return JSON.stringify({ stories: entries, tags: topTags(items, tabKey) });
+}
+
+function extractiveProvider(reason = "") {
+  return {
+    name: "extractive",
+    model: null,
+    temperature: null,
+    degradedReason: reason,
+    async complete({ tabKey, items, stories, format }) {
+      return format === "digest" ? extractiveDigest({ tabKey, items, stories }) : extractiveBrief({ tabKey, items, stories });
+    },
+  };
+}
+
+// --- Resolution --------------------------------------------------------------
+
+/**
+ * Build a provider from merged llm settings ({provider, model, temperature,
+ * baseURL?, apiKeyEnv?}). LLM_PROVIDER in env overrides the configured
+ * provider for every tab (e.g. LLM_PROVIDER=extractive for offline builds).
+ */
+export function createProvider(settings = {}, env = process.env) {
+  const s = { ...DEFAULT_LLM, ...settings };
+  const provider = (env.LLM_PROVIDER || s.provider || "").toLowerCase();
+
+  if (provider === "extractive") return extractiveProvider();
+
+  if (provider === "openai") {
+    const keyVar = s.apiKeyEnv || "OPENAI_API_KEY";
+    const apiKey = env[keyVar];
+    if (!apiKey) return extractiveProvider(`${keyVar} not set`);
+    return chatProvider("openai", { apiKey, model: s.model, temperature: s.temperature });
+  }
+
+  if (provider === "openai-compatible") {
+    const baseURL = env.LLM_BASE_URL || s.baseURL;
+    if (!baseURL) return extractiveProvider("no baseURL / LLM_BASE_URL for openai-compatible provider");
+    const apiKey = (s.apiKeyEnv && env[s.apiKeyEnv]) || "local";
+    return chatProvider("openai-compatible", { apiKey, baseURL, model: s.model, temperature: s.temperature });
+  }
+
+  throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${PROVIDERS.join(", ")})`);
+}
@@ -0,0 +1,21 @@
+// scripts/log.js
+// Console logging shared by the generator modules: log() for human-readable
+// lines, jlog() for one-line JSON events (filtered by GENERATE_LOG_LEVEL).
+
+export const LOG_LEVEL = (process.env.GENERATE_LOG_LEVEL || "info").toLowerCase();
+export const MODEL_OUTPUT_LOGGING = String(process.env.MODEL_OUTPUT_LOGGING || "false").toLowerCase() === "true";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+export function ts() { return new Date().toISOString(); }
+
+export const log = (...args) => {
+  if ((LEVELS[LOG_LEVEL] ?? 20) < LEVELS.silent) console.log(`[${ts()}]`, ...args);
+};
+
+export function jlog(level, event, data = {}) {
+  const cur = LEVELS[LOG_LEVEL] ?? 20;
+  const lvl = LEVELS[level] ?? 20;
+  if (lvl < cur) return;
+  console.log(JSON.stringify({ ts: ts(), level, event, ...data }));
+}
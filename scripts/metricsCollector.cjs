@@ -129,8 +129,17 @@ class MetricsCollector {
       pickedItemsTotal: 0,
       aiStrictCount: 0,
       offTopicCount: 0,
+      offTopicLetThrough: 0, // off-topic items picked only because coverage was thin
       dupCount: 0,
 
+      // citations (claims = one-liner + bullets + explainer sentences)
+      claimsTotal: 0,
+      uncitedClaims: 0,
+
+      // grounding (claims whose names/numbers/dates all appear in a source)
+      groundingChecked: 0,
+      groundingGrounded: 0,
+
       // reliability totals
       rssErrors: 0,
 
@@ -173,7 +182,10 @@ class MetricsCollector {
    *
    * summary is expected to include:
    * - freshnessUsed, usedSecondary, relaxedAI, failed
+   * - offTopicLetThrough?: off-topic items the selector had to let through
    * - picked: [{source,title,link?,snippet?,aiStrict?,offTopic? ...}]
+   * - citations?: {claims, uncited} (claims without any cited source)
+   * - grounding?: {action, checked, grounded, flaggedAfter, unsupported[]}
    */
   recordTabSummary(tabKey, summary = {}) {
     if (!this._run) return;
@@ -235,8 +247,31 @@ class MetricsCollector {
     this._run.pickedItemsTotal += itemCount;
     this._run.aiStrictCount += tabAiStrict;
     this._run.offTopicCount += tabOffTopic;
+    this._run.offTopicLetThrough += summary.offTopicLetThrough || 0;
     this._run.dupCount += tabDup;
 
+    const citations = summary.citations
+      ? { claims: summary.citations.claims || 0, uncited: summary.citations.uncited || 0 }
+      : null;
+    if (citations) {
+      this._run.claimsTotal += citations.claims;
+      this._run.uncitedClaims += citations.uncited;
+    }
+
+    const grounding = summary.grounding
+      ? {
+        action: summary.grounding.action || null,
+        checked: summary.grounding.checked || 0,
+        grounded: summary.grounding.grounded || 0,
+        flaggedAfter: summary.grounding.flaggedAfter || 0,
+        unsupported: (summary.grounding.unsupported || []).slice(0, 20),
+      }
+      : null;
+    if (grounding) {
+      this._run.groundingChecked += grounding.checked;
+      this._run.groundingGrounded += grounding.grounded;
+    }
+
     this._run.tabs.push({
       key: tabKey,
       label: summary.label || tabKey,
@@ -244,11 +279,14 @@ class MetricsCollector {
       freshnessUsed: summary.freshnessUsed ?? null,
       usedSecondary: !!summary.usedSecondary,
       relaxedAI: !!summary.relaxedAI,
+      offTopicLetThrough: summary.offTopicLetThrough || 0,
       itemCount,
       thin: isThin,
       noUpdate: isNoUpdate,
       hosts: Array.from(tabHosts),
       counts: { aiStrict: tabAiStrict, offTopic: tabOffTopic, dup: tabDup },
+      citations,
+      grounding,
       items: itemsOut.slice(0, 60),
     });
   }
@@ -129,6 +129,10 @@ def score_day(m: Dict[str, Any]) -> Tuple[float, Dict[str, Any]]:
     dup = safe_int(m.get("dupCount"))
     hosts = safe_int(m.get("hostCount")) or collect_hosts(m)
 
+    grounding_checked = safe_int(m.get("groundingChecked"))
+    # None for days recorded before the grounding check existed
+    grounding_rate = pct(safe_int(m.get("groundingGrounded")), grounding_checked) if grounding_checked else None
+
     ai_rate = pct(ai_strict, picked)
     off_rate = pct(off, picked)
     dup_rate = pct(dup, max(1, picked))
@@ -158,6 +162,7 @@ def score_day(m: Dict[str, Any]) -> Tuple[float, Dict[str, Any]]:
         "dupRate": dup_rate,
         "hostCount": hosts,
         "freshnessPenalty": freshness_penalty(m),
+        "groundingRate": grounding_rate,
     }
 
 
@@ -204,7 +209,9 @@ def main() -> int:
     print(f"  AI strict rate: {latest['aiStrictRate']:.1%}")
     print(f"  Off-topic rate: {latest['offTopicRate']:.1%}")
     print(f"  Duplication rate: {latest['dupRate']:.1%}")
-    print(f"  Host count: {latest['hostCount']}\n")
+    print(f"  Host count: {latest['hostCount']}")
+    gr = latest["groundingRate"]
+    print(f"  Grounding rate: {gr:.1%}\n" if gr is not None else "  Grounding rate: n/a\n")
 
     print("Reliability:")
     print(f"  RSS errors: {latest['rssErrors']}")
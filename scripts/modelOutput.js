@@ -0,0 +1,189 @@
+// scripts/modelOutput.js
+// Model replies → validated brief objects.
+//
+// A brief is { oneLiner, bullets[3], explainer[[claim...]...], tags[] } where
+// every claim is { text, sources: [1-based numbers into the prompt's items] }.
+// A digest (tab format "digest") is { format: "digest", overview (claim|null),
+// stories[{ headline, summary[1-2 claims] }], tags[] }, one entry per picked
+// story in prompt order; a headline cites its own story's sources.
+// parseModelOutput() tolerates the usual wrapping (```json fences, a lead-in
+// line) but nothing else: anything off-schema comes back as errors, which
+// feed the one repair round in requestBrief().
+
+import { validateAgainstSchema } from "./schema.js";
+
+// Tab output formats (config "format"): one merged brief, or a per-story digest
+export const TAB_FORMATS = ["brief", "digest"];
+
+export const CLAIM_SCHEMA = {
+  type: "object",
+  required: ["text", "sources"],
+  properties: {
+    text: { type: "string", minLength: 1 },
+    sources: { type: "array", items: { type: "integer", minimum: 1 } },
+  },
+};
+
+export const BRIEF_SCHEMA = {
+  type: "object",
+  required: ["oneLiner", "bullets", "explainer", "tags"],
+  properties: {
+    oneLiner: CLAIM_SCHEMA,
+    bullets: { type: "array", minItems: 3, maxItems: 3, items: CLAIM_SCHEMA },
+    explainer: {
+      type: "array",
+      minItems: 1,
+      items: { type: "array", minItems: 1, items: CLAIM_SCHEMA },
+    },
+    tags: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+  },
+};
+
+export const DIGEST_SCHEMA = {
+  type: "object",
+  required: ["stories", "tags"],
+  properties: {
+    overview: { ...CLAIM_SCHEMA, type: ["object", "null"] },
+    stories: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["headline", "summary"],
+        properties: {
+          headline: { type: "string", minLength: 1 },
+          summary: { type: "array", minItems: 1, maxItems: 2, items: CLAIM_SCHEMA },
+        },
+      },
+    },
+    tags: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+  },
+};
+
+// Models sometimes wrap JSON in ```json fences or add a lead-in line
+export function extractJsonObject(text = "") {
+  const unfenced = String(text).replace(/^\s*```(?:json)?\s*/i, "").replace(/\s*```\s*$/, "");
+  const start = unfenced.indexOf("{");
+  const end = unfenced.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  return unfenced.slice(start, end + 1);
+}
+
+function cleanClaim(c) {
+  return {
+    text: c.text.replace(/\s+/g, " ").trim(),
+    sources: Array.from(new Set(c.sources)).sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Every claim of a brief or digest with where it sits:
+ * [{ where: { part, index?, sentence? }, claim }]. Parts: oneLiner, bullets,
+ * explainer (brief); overview, headline, summary (digest).
+ */
+export function briefClaims(brief) {
+  if (brief.format === "digest") {
+    return [
+      ...(brief.overview ? [{ where: { part: "overview" }, claim: brief.overview }] : []),
+      ...brief.stories.flatMap((s, i) => [
+        { where: { part: "headline", index: i }, claim: s.headline },
+        ...s.summary.map((claim, j) => ({ where: { part: "summary", index: i, sentence: j }, claim })),
+      ]),
+    ];
+  }
+  return [
+    { where: { part: "oneLiner" }, claim: brief.oneLiner },
+    ...brief.bullets.map((claim, i) => ({ where: { part: "bullets", index: i }, claim })),
+    ...brief.explainer.flatMap((p, i) => p.map((claim, j) => ({ where: { part: "explainer", index: i, sentence: j }, claim }))),
+  ];
+}
+
+function whereLabel({ part, index, sentence }) {
+  if (part === "headline") return `brief.stories[${index}].headline`;
+  if (part === "summary") return `brief.stories[${index}].summary[${sentence}]`;
+  return `brief.${part}${index != null ? `[${index}]` : ""}${sentence != null ? `[${sentence}]` : ""}`;
+}
+
+// Every cited source number must point at one of the items in the prompt
+function citationErrors(brief, sourceCount) {
+  const errors = [];
+  for (const { where, claim } of briefClaims(brief)) {
+    for (const n of claim.sources) {
+      if (n > sourceCount) errors.push(`${whereLabel(where)}.sources: source ${n} does not exist (only 1–${sourceCount})`);
+    }
+  }
+  return errors;
+}
+
+// A digest has one entry per story, and each summary cites only its own story
+function digestErrors(data, stories) {
+  if (data.stories.length !== stories.length) {
+    return [`brief.stories: expected ${stories.length} entries (one per story), got ${data.stories.length}`];
+  }
+  const errors = [];
+  data.stories.forEach((s, i) => s.summary.forEach((c, j) => {
+    for (const n of c.sources) {
+      if (!stories[i].includes(n)) errors.push(`brief.stories[${i}].summary[${j}].sources: source ${n} is not part of story ${i + 1} (${stories[i].join(", ")})`);
+    }
+  }));
+  return errors;
+}
+
+/**
+ * Parse + validate a model reply against BRIEF_SCHEMA, or DIGEST_SCHEMA when
+ * format is "digest" (and, when sourceCount is given, check every cited source
+ * number exists). stories: each story's source numbers, in prompt order;
+ * required for digests.
+ * Returns { brief, errors }: brief is null whenever errors is non-empty.
+ */
+export function parseModelOutput(text, { sourceCount, format = "brief", stories = [] } = {}) {
+  const jsonText = extractJsonObject(text);
+  if (!jsonText) return { brief: null, errors: ["reply does not contain a JSON object"] };
+
+  let data;
+  try {
+    data = JSON.parse(jsonText);
+  } catch (e) {
+    return { brief: null, errors: [`invalid JSON: ${e?.message || String(e)}`] };
+  }
+
+  const digest = format === "digest";
+  const errors = validateAgainstSchema(data, digest ? DIGEST_SCHEMA : BRIEF_SCHEMA, "brief");
+  if (!errors.length && digest) errors.push(...digestErrors(data, stories));
+  if (errors.length) return { brief: null, errors };
+
+  const tags = Array.from(new Set(data.tags.map(t => t.trim().toLowerCase()).filter(Boolean)));
+
+  if (digest) {
+    const brief = {
+      format: "digest",
+      overview: data.overview ? cleanClaim(data.overview) : null,
+      stories: data.stories.map((s, i) => ({
+        headline: cleanClaim({ text: s.headline, sources: stories[i] }),
+        summary: s.summary.map(cleanClaim),
+      })),
+      tags,
+    };
+    if (Number.isFinite(sourceCount)) errors.push(...citationErrors(brief, sourceCount));
+    return errors.length ? { brief: null, errors } : { brief, errors: [] };
+  }
+
+  const oneLiner = cleanClaim(data.oneLiner);
+  oneLiner.text = oneLiner.text.replace(/^(tl;?dr|in brief)[:\s—-]\s*/i, "");
+
+  const brief = {
+    oneLiner,
+    bullets: data.bullets.map(cleanClaim),
+    explainer: data.explainer.map(p => p.map(cleanClaim)),
+    tags,
+  };
+  if (Number.isFinite(sourceCount)) errors.push(...citationErrors(brief, sourceCount));
+  return errors.length ? { brief: null, errors } : { brief, errors: [] };
+}
+
+export function citationStats(brief) {
+  // Digest headlines cite their story by construction, so they aren't counted
+  const claims = brief ? briefClaims(brief).filter(c => c.where.part !== "headline").map(c => c.claim) : [];
+  const uncited = claims.filter(c => !c.sources.length);
+  return { claims: claims.length, cited: claims.length - uncited.length, uncited: uncited.length, uncitedTexts: uncited.map(c => c.text) };
+}
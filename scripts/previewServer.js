@@ -0,0 +1,317 @@
+// scripts/previewServer.js
+// Local preview server for `generate.js preview`: generate the chosen tabs
+// once (dry run), then show for each tab every candidate with its score,
+// flags, age, window and selection outcome (scripts/inspect.js) next to the
+// rendered panel, and re-run one tab with tweaked settings.
+//
+//   GET  /             the previewed tabs
+//   GET  /tab/<key>    candidates, selection summary, settings form, panel
+//   POST /tab/<key>    action=rerun (with the form's settings) | reset
+//   GET  /page?tab=k   the day page as it would render, showing tab k
+//
+// Everything is a dry run: the store is opened read-only and the seen caches
+// (data/seen*.json) are read but never written. A re-run de-dupes against the
+// other tabs' current panels (fresh or stored), as `generate --tab` does.
+// Listens on 127.0.0.1 only.
+
+import http from "http";
+import { now } from "./clock.js";
+import { jlog } from "./log.js";
+import { createProvider } from "./llm.js";
+import { OUTCOMES, SettingsError, createTrace, inspectTab, tabSettings, withTabSettings } from "./inspect.js";
+import { renderDayHtml } from "./render.js";
+import { TAB_FORMATS } from "./modelOutput.js";
+import { htmlEscape } from "./util.js";
+
+const MAX_BODY_BYTES = 256 * 1024;
+
+// --- Session -------------------------------------------------------------------
+
+/**
+ * options:
+ *   config, tabs (tab configs to preview), ymd
+ *   run       openRun() result ({ generator, generatorWith, feeds, embedder })
+ *   llmByTab  the run's providers
+ *   seenPaths tabKey → seen cache path (read only)
+ *   stored    the day's stored briefs ([{ tab, payload, explainerHtml }])
+ * Resolves once every tab has been generated.
+ */
+export async function createPreviewSession({ config, tabs, ymd, run, llmByTab, seenPaths, stored = [] }) {
+  const order = config.tabsByPriority.map(t => t.key);
+  const entries = new Map(); // tabKey → { tab, config, generator, result, traced, settings, extractive, reruns }
+
+  const trace = createTrace();
+  const results = await run.generator.generateTabs({ ymd, runId: null, tabs, metrics: null, stored, trace });
+  for (const result of results) {
+    entries.set(result.tabKey, {
+      tab: tabs.find(t => t.key === result.tabKey),
+      config,
+      generator: run.generator,
+      result,
+      traced: trace.plans.get(result.tabKey),
+      settings: tabSettings(config, result.tabKey),
+      extractive: false,
+      reruns: 0,
+    });
+  }
+
+  // Fresh panels for previewed tabs, stored ones for the rest, in tab order
+  function briefs() {
+    const fresh = [...entries.values()].map(e => ({
+      tab: e.tab.key,
+      payload: e.generator.tabJsonEntry(e.result),
+      explainerHtml: e.result.explainerHtml || "",
+    }));
+    const all = [...fresh, ...stored.filter(b => !entries.has(b.tab))];
+    return all.sort((a, b) => order.indexOf(a.tab) - order.indexOf(b.tab));
+  }
+
+  async function rerun(tabKey, settings, { extractive = false } = {}) {
+    const tweaked = withTabSettings(config, tabKey, settings);
+    const tab = tweaked.tabsByPriority.find(t => t.key === tabKey);
+    const llm = extractive ? createProvider({ provider: "extractive" }, {}) : llmByTab.get(tabKey);
+    const generator = run.generatorWith({ config: tweaked, llmByTab: new Map([...llmByTab, [tabKey, llm]]), dryRun: true });
+    const rerunTrace = createTrace();
+    const [result] = await generator.generateTabs({
+      ymd,
+      runId: null,
+      tabs: [tab],
+      metrics: null,
+      stored: briefs().filter(b => b.tab !== tabKey),
+      trace: rerunTrace,
+    });
+    const prev = entries.get(tabKey);
+    entries.set(tabKey, {
+      tab,
+      config: tweaked,
+      generator,
+      result,
+      traced: rerunTrace.plans.get(tabKey),
+      settings,
+      extractive,
+      reruns: prev.reruns + 1,
+    });
+    jlog("info", "preview_rerun", { tab: tabKey, failed: !!result.failed, extractive, reruns: prev.reruns + 1 });
+    return result;
+  }
+
+  async function candidates(tabKey) {
+    const e = entries.get(tabKey);
+    return inspectTab({
+      generator: e.generator,
+      feeds: run.feeds,
+      embedder: run.embedder,
+      threshold: e.config.similarity.duplicateThreshold,
+      seenSettings: e.config.seen,
+      tab: e.tab,
+      traced: e.traced,
+      result: e.result,
+      seen: await e.generator.loadSeenFrom(seenPaths[tabKey], tabKey),
+      briefs: briefs().filter(b => b.tab !== tabKey),
+    });
+  }
+
+  return {
+    ymd,
+    entries,
+    briefs,
+    rerun,
+    candidates,
+    reset: (tabKey) => rerun(tabKey, tabSettings(config, tabKey)),
+  };
+}
+
+// --- Pages ---------------------------------------------------------------------
+
+const STYLE = `
+    body{font:14px/1.45 system-ui,-apple-system,Segoe UI,Roboto,Ubuntu;margin:0;background:#0b0c10;color:#e5e7eb}
+    main{max-width:1200px;margin:24px auto;padding:0 16px}
+    a{color:#93c5fd}
+    h1{font-size:1.4rem} h2{font-size:1.1rem;margin-top:24px}
+    table{border-collapse:collapse;width:100%} td,th{border-bottom:1px solid #1f2937;padding:5px;text-align:left;vertical-align:top}
+    input[type=text],input[type=number],textarea,select{background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:6px;padding:4px;font:inherit}
+    textarea{width:100%;box-sizing:border-box;min-height:3.5em}
+    .muted{color:#9ca3af} .error{background:#7f1d1d;padding:8px 12px;border-radius:6px}
+    .picked{color:#86efac} .merged{color:#bef264}
+    .grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(170px,1fr));gap:8px}
+    iframe{width:100%;height:640px;border:1px solid #374151;border-radius:8px;background:#fff}
+    button{padding:6px 14px;margin-right:8px}`;
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8" />
+  <title>${htmlEscape(title)} · Preview</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>${STYLE}
+  </style>
+</head>
+<body><main>
+${body}
+</main></body>
+</html>`;
+}
+
+function ladderText(result) {
+  if (result.failed) return "failed";
+  const bits = [`≤${result.freshnessUsed}h`, result.usedSecondary ? "primary + secondary" : "primary only"];
+  if (result.relaxedAI) bits.push("strict-AI relaxed");
+  if (result.offTopicAllowed) bits.push(`${result.offTopicLetThrough} off-topic let through`);
+  return bits.join(" · ");
+}
+
+function listPage(session) {
+  const rows = [...session.entries.values()].map(e => `<tr>
+  <td><a href="/tab/${encodeURIComponent(e.tab.key)}">${htmlEscape(e.tab.label)}</a>${e.reruns ? ` <span class="muted">(re-run ${e.reruns}×)</span>` : ""}</td>
+  <td>${htmlEscape(ladderText(e.result))}</td>
+  <td>${(e.result.items || []).length}</td>
+  <td>${htmlEscape(e.result.oneLiner || "")}</td>
+</tr>`).join("\n");
+  return page(`Preview ${session.ymd}`, `<h1>Preview for ${htmlEscape(session.ymd)}</h1>
+<p class="muted">Dry run: nothing is stored and the seen caches are left alone. <a href="/page">Day page</a></p>
+<table>
+<tr><th>Tab</th><th>Window / pool</th><th>Sources</th><th>One-liner</th></tr>
+${rows}
+</table>`);
+}
+
+const flagsText = (r) => [r.aiStrict ? "AI (strict)" : r.aiLoose ? "AI (loose)" : "not AI", r.offTopic ? "off-topic" : ""].filter(Boolean).join(", ");
+
+function candidateRows(rows) {
+  return rows.map(r => `<tr>
+  <td>${r.sourceNumber ? `[${r.sourceNumber}]` : ""}</td>
+  <td><a href="${htmlEscape(r.link)}" target="_blank" rel="noopener noreferrer">${htmlEscape(r.title)}</a><br><span class="muted">${htmlEscape(r.source)} · ${r.pool}${r.story ? ` · with “${htmlEscape(r.story)}”` : ""}</span></td>
+  <td title="${htmlEscape(JSON.stringify(r.scoreBreakdown || {}))}">${r.score.toFixed(2)}</td>
+  <td>${htmlEscape(flagsText(r))}</td>
+  <td>${r.ageHours == null ? "?" : `${r.ageHours}h`}</td>
+  <td>${r.window ? `≤${r.window}h` : "older"}</td>
+  <td class="${r.outcome}">${htmlEscape(OUTCOMES[r.outcome] || r.outcome)}${r.detail ? `<br><span class="muted">${htmlEscape(r.detail)}</span>` : ""}</td>
+</tr>`).join("\n");
+}
+
+function settingsForm(e, error) {
+  const s = e.settings;
+  const num = (name, value, step = "any") => `<label>${name}<br><input type="number" name="${name}" value="${value}" step="${step}" min="0" /></label>`;
+  return `<h2>Re-run with</h2>
+${error ? `<p class="error">${htmlEscape(error)}</p>` : ""}
+<form method="post">
+<div class="grid">
+  <label>keywords (one per line)<br><textarea name="keywords">${htmlEscape(s.keywords.join("\n"))}</textarea></label>
+  <label>negative keywords<br><textarea name="negative">${htmlEscape(s.negative.join("\n"))}</textarea></label>
+  <label>topic text<br><textarea name="topic">${htmlEscape(s.topic)}</textarea></label>
+</div>
+<div class="grid">
+  ${num("weight", s.weight)}
+  ${num("threshold", s.threshold)}
+  ${Object.entries(s.scoring).map(([k, v]) => num(k, v)).join("\n  ")}
+  <label>format<br><select name="format">${TAB_FORMATS.map(f => `<option${f === s.format ? " selected" : ""}>${f}</option>`).join("")}</select></label>
+  <label><input type="checkbox" name="wholeWord"${s.wholeWord ? " checked" : ""} /> whole-word keywords</label>
+  <label><input type="checkbox" name="extractive"${e.extractive ? " checked" : ""} /> extractive (no model call)</label>
+</div>
+<p><button name="action" value="rerun">Re-run this tab</button><button name="action" value="reset">Reset to config</button></p>
+</form>`;
+}
+
+function tabPage(session, e, rows, error = null) {
+  const counts = new Map();
+  for (const r of rows) counts.set(r.outcome, (counts.get(r.outcome) || 0) + 1);
+  const nav = [...session.entries.values()].map(x => (x === e ? `<strong>${htmlEscape(x.tab.label)}</strong>` : `<a href="/tab/${encodeURIComponent(x.tab.key)}">${htmlEscape(x.tab.label)}</a>`)).join(" · ");
+  return page(e.tab.label, `<p><a href="/">All tabs</a> · ${nav}</p>
+<h1>${htmlEscape(e.tab.label)}</h1>
+<p>${htmlEscape(ladderText(e.result))}${e.result.failed ? ` — ${htmlEscape(e.traced?.error?.message || e.result.bullets?.[0] || "")}` : ""}</p>
+<p class="muted">${[...counts].map(([k, n]) => `${htmlEscape(OUTCOMES[k] || k)}: ${n}`).join(" · ")}</p>
+<iframe src="/page?tab=${encodeURIComponent(e.tab.key)}" title="Rendered panel"></iframe>
+${settingsForm(e, error)}
+<h2>Candidates (${rows.length})</h2>
+<table>
+<tr><th>#</th><th>Item</th><th>Score</th><th>Flags</th><th>Age</th><th>Window</th><th>Outcome</th></tr>
+${candidateRows(rows)}
+</table>`);
+}
+
+// --- Form → settings -----------------------------------------------------------
+
+function settingsFrom(form, current) {
+  const list = (name) => String(form.get(name) || "").split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+  const num = (name) => {
+    const v = form.get(name);
+    return v == null || !v.trim() ? NaN : Number(v);
+  };
+  return {
+    keywords: list("keywords"),
+    negative: list("negative"),
+    weight: num("weight"),
+    wholeWord: form.has("wholeWord"),
+    topic: String(form.get("topic") || ""),
+    threshold: num("threshold"),
+    format: form.get("format") || current.format,
+    scoring: Object.fromEntries(Object.keys(current.scoring).map(k => [k, num(k)])),
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new SettingsError("Form too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// --- Server --------------------------------------------------------------------
+
+/**
+ * session: createPreviewSession(); tpl: index template; config: the loaded
+ * config (labels, default tab). Returns an http.Server (not yet listening).
+ */
+export function createPreviewServer(session, { tpl, config }) {
+  function send(res, status, html, headers = {}) {
+    res.writeHead(status, { "content-type": "text/html; charset=utf-8", ...headers });
+    res.end(html);
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (req.method === "GET" && url.pathname === "/") return send(res, 200, listPage(session));
+    if (req.method === "GET" && url.pathname === "/page") {
+      const tab = url.searchParams.get("tab");
+      const site = tab && config.tabs.some(t => t.key === tab) ? { ...config, defaultTab: tab } : config;
+      return send(res, 200, renderDayHtml(tpl, { generatedAt: new Date(now()).toISOString(), briefs: session.briefs() }, site));
+    }
+
+    const m = /^\/tab\/([\w-]+)$/.exec(url.pathname);
+    const e = m && session.entries.get(m[1]);
+    if (!e) return send(res, 404, page("Not found", `<p>Not found. <a href="/">All tabs</a></p>`));
+    if (req.method === "GET") return send(res, 200, tabPage(session, e, await session.candidates(e.tab.key)));
+    if (req.method !== "POST") return send(res, 405, page("Method not allowed", "<p>Method not allowed.</p>"), { allow: "GET, POST" });
+
+    try {
+      const form = new URLSearchParams(await readBody(req));
+      if (form.get("action") === "reset") await session.reset(e.tab.key);
+      else await session.rerun(e.tab.key, settingsFrom(form, e.settings), { extractive: form.has("extractive") });
+    } catch (err) {
+      if (!(err instanceof SettingsError)) throw err;
+      return send(res, 400, tabPage(session, e, await session.candidates(e.tab.key), err.message));
+    }
+    res.writeHead(303, { location: `/tab/${encodeURIComponent(e.tab.key)}` });
+    res.end();
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      jlog("error", "preview_error", { url: req.url, message: err?.message || String(err) });
+      if (!res.headersSent) send(res, 500, page("Error", `<p class="error">${htmlEscape(err?.message || String(err))}</p>`));
+      else res.end();
+    });
+  });
+}
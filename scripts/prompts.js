@@ -0,0 +1,149 @@
+// scripts/prompts.js
+// Prompt text for the brief model: the per-tab brief prompt (or digest prompt,
+// for tabs with format "digest"), the repair prompt (invalid JSON) and the
+// grounding retry prompt (unsupported details).
+
+import { truncate } from "./util.js";
+
+export const BRIEF_SYSTEM_PROMPT = "You write precise, sourced news briefs as strict JSON.";
+
+// Numbered STORY blocks shared by both prompts → { block, count, inputs, allowed }
+function sourcesFor(stories) {
+  let n = 0;
+  const block = stories.map((story, si) => {
+    const coverage = story.outlets > 1 ? ` — covered by ${story.outlets} outlets` : "";
+    const lines = story.sources.map(it => {
+      n += 1;
+      const excerpt = it.excerpt ? `\nArticle excerpt: ${it.excerpt}` : "";
+      return `(${n}) [${it.source}] ${it.title}\nURL: ${it.link}\nSnippet: ${truncate(it.snippet, 600)}${excerpt}`;
+    });
+    return `STORY ${si + 1}${coverage}\n${lines.join("\n\n")}`;
+  }).join("\n\n");
+  const enriched = stories.some(story => story.sources.some(it => it.excerpt));
+  return {
+    block,
+    count: n,
+    inputs: enriched ? "RSS titles + snippets, and article excerpts where shown" : "RSS titles + snippets only",
+    allowed: enriched ? "snippets/excerpts/titles" : "snippets/titles",
+  };
+}
+
+/**
+ * stories: [{ outlets, sources: [item...] }]; sources are numbered 1..n across
+ * all stories in order, matching the flattened items list. intent is the
+ * tab's config "intent" line. Items enriched by scripts/articles.js carry an
+ * `excerpt` (already bounded), shown after the snippet.
+ */
+export function buildPromptForTab(stories, { intent = "AI news" } = {}) {
+  const { block: sourcesBlock, count: n, inputs, allowed } = sourcesFor(stories);
+
+  return `You are a cautious news summariser.
+
+CONTEXT:
+We publish a daily 2-minute brief about: ${intent}
+
+INPUT SOURCES (${inputs}, grouped into stories — one event reported by one or more outlets):
+${sourcesBlock}
+
+YOUR TASK:
+- Produce a concise, neutral daily brief aligned to the context above.
+- Summarise the stories (events), not individual links; when several outlets report a story, cite all of them.
+- Reply with ONE JSON object and nothing else (no markdown fences, no commentary), in this shape:
+{
+  "oneLiner": { "text": "<a single factual sentence>", "sources": [<source numbers>] },
+  "bullets": [
+    { "text": "<why it matters 1>", "sources": [<source numbers>] },
+    { "text": "<why it matters 2>", "sources": [<source numbers>] },
+    { "text": "<why it matters 3>", "sources": [<source numbers>] }
+  ],
+  "explainer": [
+    [ { "text": "<sentence>", "sources": [<source numbers>] }, ... ],
+    ...
+  ],
+  "tags": ["<tag>", ...]
+}
+- "bullets": exactly 3 items.
+- "explainer": 200–300 words of plain English in 2–4 paragraphs; each paragraph is a list of sentences.
+- "sources": the numbers (1–${n}) of the input sources that support that sentence.
+  Every sentence must cite at least one source; if no source supports a sentence, leave the sentence out.
+- "tags": 3–6 lowercase tags.
+
+RULES:
+- Use ONLY facts supported by the provided ${allowed}; do not speculate.
+- If a story is only loosely related, be explicit about uncertainty and keep it short.
+- No quotes longer than 20 words.
+- No images.
+- End with nothing else.`;
+}
+
+/**
+ * Digest format: one headline + two-sentence summary per story (in the same
+ * order), plus an optional overview. Same numbering as buildPromptForTab.
+ */
+export function buildDigestPromptForTab(stories, { intent = "AI news" } = {}) {
+  const { block: sourcesBlock, count: n, inputs, allowed } = sourcesFor(stories);
+
+  return `You are a cautious news summariser.
+
+CONTEXT:
+We publish a daily digest about: ${intent}
+
+INPUT SOURCES (${inputs}, grouped into stories — one event reported by one or more outlets):
+${sourcesBlock}
+
+YOUR TASK:
+- Summarise each story on its own; never merge two stories into one sentence.
+- Reply with ONE JSON object and nothing else (no markdown fences, no commentary), in this shape:
+{
+  "overview": { "text": "<optional: one sentence on what today's stories have in common>", "sources": [<source numbers>] },
+  "stories": [
+    {
+      "headline": "<short factual headline for STORY 1>",
+      "summary": [
+        { "text": "<sentence 1>", "sources": [<source numbers>] },
+        { "text": "<sentence 2>", "sources": [<source numbers>] }
+      ]
+    },
+    ...
+  ],
+  "tags": ["<tag>", ...]
+}
+- "stories": exactly ${stories.length} entries, in STORY order (entry 1 is STORY 1).
+- "headline": under 15 words, no source numbers.
+- "summary": two sentences (one if the sources only support one). Each cites the numbers (1–${n}) of that story's own sources only.
+- "overview": leave it out unless the stories genuinely share a theme.
+- "tags": 3–6 lowercase tags.
+
+RULES:
+- Use ONLY facts supported by the provided ${allowed}; do not speculate.
+- No quotes longer than 20 words.
+- End with nothing else.`;
+}
+
+export function buildRepairPrompt(originalPrompt, previousOutput, errors) {
+  return `${originalPrompt}
+
+---
+Your previous reply did not match the required JSON format.
+
+PROBLEMS:
+${errors.slice(0, 12).map(e => `- ${e}`).join("\n")}
+
+PREVIOUS REPLY:
+${truncate(previousOutput || "(empty)", 6000)}
+
+Return ONLY the corrected JSON object, keeping the same content where it was valid.`;
+}
+
+export function buildGroundingRetryPrompt(originalPrompt, report) {
+  const lines = report.flagged.slice(0, 12).map(c =>
+    `- "${truncate(c.text, 200)}" → not in any source: ${c.unsupported.map(f => f.text).join(", ")}`
+  );
+  return `${originalPrompt}
+
+---
+Your previous brief included details that appear in none of the input sources:
+${lines.join("\n")}
+
+Rewrite the brief using ONLY names, numbers, dates and amounts that appear in the sources. Drop any detail you cannot support. Return ONLY the JSON object.`;
+}
@@ -0,0 +1,129 @@
+// scripts/relevance.js
+// Weighted per-tab relevance scorer.
+//
+// score = (keywords + topic + primary boost − negatives) × freshness decay
+//   keywords  each distinct keyword counts once, at the weight of the best
+//             field it appears in (title > snippet/source); only the strongest
+//             `maxSignals` count, then × the tab's relevance.weight
+//   topic     similarity of the item to the tab's topic text (0..1, from
+//             scripts/similarity.js) × topicWeight
+//   negatives each distinct negative keyword (global + tab) costs
+//             negativeWeight × field weight
+//   primary   + primaryBoost when the item came from one of the tab's primary feeds
+//   decay     0.5 ^ (age / halfLifeHours), applied to positive scores only so
+//             older items never look *less* bad
+//
+// coverageBoost is not part of an item's score: scripts/selection.js
+// (clusterStories) adds it per extra outlet when ranking story clusters.
+//
+// Every score comes with a breakdown so editors can see why an item ranked
+// where it did (tabs.json + the tab_selection log).
+
+export const DEFAULT_SCORING = {
+  titleWeight: 2,
+  snippetWeight: 1,
+  sourceWeight: 1,
+  maxSignals: 4,
+  negativeWeight: 1.5,
+  primaryBoost: 1,
+  halfLifeHours: 36,
+  topicWeight: 4,
+  coverageBoost: 1.5,
+  negative: [],
+};
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function keywordRe(kw, wholeWord) {
+  const k = escapeRegExp(kw.toLowerCase());
+  // wholeWord: the keyword must not be part of a longer word ("ico" ≠ "iconic")
+  return wholeWord
+    ? new RegExp(`(^|[^\\p{L}\\p{N}])${k}([^\\p{L}\\p{N}]|$)`, "iu")
+    : new RegExp(k, "i");
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Compile a tab's relevance config ({keywords, negative?, weight?, wholeWord?})
+ * together with the site-wide scoring settings.
+ */
+export function compileRelevance(relevance = {}, scoring = {}) {
+  const s = { ...DEFAULT_SCORING, ...scoring };
+  const negatives = Array.from(new Set([...(s.negative || []), ...(relevance.negative || [])]));
+  return {
+    weight: relevance.weight ?? 1,
+    wholeWord: !!relevance.wholeWord,
+    positives: (relevance.keywords || []).map(kw => ({ kw, re: keywordRe(kw, !!relevance.wholeWord) })),
+    negatives: negatives.map(kw => ({
+      kw,
+      re: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(kw.toLowerCase())}`, "iu"),
+    })),
+    scoring: s,
+  };
+}
+
+/**
+ * Score one item. ctx: { fromPrimary, ageHours, topicSimilarity } (ageHours
+ * null = unknown, treated as no decay).
+ * Returns { score, breakdown }.
+ */
+export function scoreItem(item, compiled, ctx = {}) {
+  const { scoring } = compiled;
+  const fields = [
+    ["title", String(item.title || ""), scoring.titleWeight],
+    ["snippet", String(item.snippet || ""), scoring.snippetWeight],
+    ["source", String(item.source || ""), scoring.sourceWeight],
+  ];
+
+  const bestField = (re) => {
+    let best = null;
+    for (const [name, text, w] of fields) {
+      if (re.test(text) && (!best || w > best.weight)) best = { field: name, weight: w };
+    }
+    return best;
+  };
+
+  const matched = [];
+  for (const { kw, re } of compiled.positives) {
+    const hit = bestField(re);
+    if (hit) matched.push({ keyword: kw, ...hit });
+  }
+  matched.sort((a, b) => (b.weight - a.weight) || a.keyword.localeCompare(b.keyword));
+  const counted = matched.slice(0, scoring.maxSignals);
+  const keywords = round2(counted.reduce((sum, m) => sum + m.weight, 0) * compiled.weight);
+
+  const negHits = [];
+  for (const { kw, re } of compiled.negatives) {
+    const hit = bestField(re);
+    if (hit) negHits.push({ keyword: kw, ...hit });
+  }
+  const negative = round2(negHits.reduce((sum, m) => sum + m.weight, 0) * scoring.negativeWeight);
+
+  const topic = round2((ctx.topicSimilarity || 0) * scoring.topicWeight);
+  const primary = ctx.fromPrimary ? scoring.primaryBoost : 0;
+  const base = keywords + topic + primary - negative;
+
+  const age = Number.isFinite(ctx.ageHours) ? Math.max(0, ctx.ageHours) : null;
+  const decay = age == null ? 1 : round2(Math.pow(0.5, age / scoring.halfLifeHours));
+  const score = round2(base > 0 ? base * decay : base);
+
+  return {
+    score,
+    breakdown: {
+      keywords,
+      matched: counted.map(m => `${m.keyword}@${m.field}`),
+      negative,
+      negativeMatched: negHits.map(m => `${m.keyword}@${m.field}`),
+      topic,
+      primary,
+      ageHours: age,
+      decay,
+      score,
+    },
+  };
+}
@@ -0,0 +1,451 @@
+// scripts/render.js
+// HTML for the site: tab panels (claims with [n] citation links, grouped
+// source links; digest tabs list one headline + summary per story), the tab
+// bar, day pages built from index.template.html, the archive index, about,
+// changelog and feed-health pages.
+//
+// Pure string building apart from reading the template/changelog files; which
+// pages get written where is scripts/site.js. `site` arguments are the tabs
+// config (tabs in UI order + defaultTab).
+
+import fs from "fs/promises";
+import { htmlEscape, isoAndHumanDate, truncate } from "./util.js";
+
+// Output labels
+export const SITE_TITLE = "Today’s 2-Minute AI Brief";
+export const ONE_LINER_PREFIX = "In brief — ";
+
+// Footnote-style superscript links: [n] points at the exact article for item n
+export function citeHtml(sources, items) {
+  return (sources || [])
+    .filter(n => items?.[n - 1])
+    .map(n => {
+      const it = items[n - 1];
+      const title = htmlEscape(truncate(`${it.source}: ${it.title}`, 120));
+      return `<sup class="cite"><a href="${htmlEscape(it.link)}" target="_blank" rel="noopener noreferrer" title="${title}">[${n}]</a></sup>`;
+    })
+    .join("");
+}
+
+// A claim is {text, sources}; plain strings (fallback panels) render uncited
+export function claimHtml(claim, items) {
+  if (typeof claim === "string") return htmlEscape(claim);
+  return `${htmlEscape(claim?.text || "")}${citeHtml(claim?.sources, items)}`;
+}
+
+export function explainerToHtml(paragraphs, items) {
+  return (paragraphs || [])
+    .map(p => `<p>${p.map(c => claimHtml(c, items)).join(" ")}</p>`)
+    .join("\n");
+}
+
+export function toHtmlList(bullets, items) {
+  return (bullets || []).map((b) => `<li>${claimHtml(b, items)}</li>`).join("\n");
+}
+
+// Numbered to match the [n] citations in the panel; with stories, links are
+// grouped per story with its coverage ("covered by N outlets")
+export function toSourcesLinks(items, stories = []) {
+  const link = (it, i) => {
+    const label = it.source || "source";
+    const title = htmlEscape(truncate(it.title, 100));
+    const href = htmlEscape(it.link);
+    return `<a href="${href}" target="_blank" rel="noopener noreferrer" title="${title}">[${i + 1}] ${htmlEscape(label)}</a>`;
+  };
+  if (!stories?.length) return (items || []).map(link).join(" ");
+
+  return stories.map(story => {
+    const links = story.sources.map(n => link(items[n - 1], n - 1)).join(" ");
+    const coverage = story.outlets > 1
+      ? ` <span class="coverage">(covered by ${story.outlets} outlets)</span>`
+      : "";
+    return `<span class="story">${links}${coverage}</span>`;
+  }).join(" · ");
+}
+
+// --- Tabs UI -----------------------------------------------------------------
+
+// site: the tabs config (tabs in UI order + defaultTab)
+function tabDescriptions(site) {
+  return Object.fromEntries(site.tabs.map(t => [t.key, t.description]));
+}
+
+export function tabsNavHtml(site) {
+  const buttons = site.tabs.map(t => {
+    const active = t.key === site.defaultTab;
+    return `    <button class="tab${active ? " is-active" : ""}" role="tab" aria-selected="${active}" data-tab="${htmlEscape(t.key)}">${htmlEscape(t.label)}</button>`;
+  }).join("\n");
+  return `
+<div class="tabs-wrap">
+  <div class="tabs" role="tablist" aria-label="Brief tabs">
+${buttons}
+  </div>
+  <p class="tab-desc" id="tabDesc">${htmlEscape(tabDescriptions(site)[site.defaultTab] || "")}</p>
+  <p class="tab-note" id="tabNote" hidden></p>
+</div>
+`.trim();
+}
+
+export function tabsAssetsHtml(site) {
+  return `
+<style>
+  .tabs{display:flex;gap:14px;flex-wrap:wrap;margin:4px 0 6px}
+  .tab{appearance:none;border:0;background:transparent;color:var(--muted);font:inherit;padding:6px 2px;cursor:pointer}
+  .tab:hover{color:var(--fg)}
+  .tab.is-active{color:var(--fg);border-bottom:2px solid var(--fg)}
+  .tab-desc{margin:0 0 6px;color:var(--muted);font-size:.95rem;line-height:1.4}
+  .tab-note{margin:0 0 10px;color:var(--muted);font-size:.9rem;opacity:.85}
+</style>
+
+<script>
+(function(){
+  var TAB_DESC = ${JSON.stringify(tabDescriptions(site))};
+  function setTab(next){
+    var tabs = document.querySelectorAll('.tab');
+    var panels = document.querySelectorAll('.brief-panel');
+
+    tabs.forEach(function(t){
+      var active = t.getAttribute('data-tab') === next;
+      t.classList.toggle('is-active', active);
+      t.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+
+    panels.forEach(function(p){
+      var match = p.getAttribute('data-tab') === next;
+      if(match){
+        p.removeAttribute('hidden');
+        p.setAttribute('aria-hidden','false');
+      }else{
+        p.setAttribute('hidden','');
+        p.setAttribute('aria-hidden','true');
+      }
+    });
+
+    var descEl = document.getElementById('tabDesc');
+    if(descEl) descEl.textContent = TAB_DESC[next] || "";
+
+    var noteEl = document.getElementById('tabNote');
+    var panel = document.querySelector('.brief-panel[data-tab="'+next+'"]');
+    var note = panel ? panel.getAttribute('data-note') : "";
+    if(noteEl){
+      if(note){
+        noteEl.textContent = note;
+        noteEl.hidden = false;
+      }else{
+        noteEl.textContent = "";
+        noteEl.hidden = true;
+      }
+    }
+  }
+
+  document.addEventListener('click', function(e){
+    var btn = e.target && e.target.closest ? e.target.closest('.tab') : null;
+    if(!btn) return;
+    setTab(btn.getAttribute('data-tab'));
+  });
+
+  // #<key> (the per-tab feeds link here) opens that tab
+  var linked = location.hash ? document.getElementById(location.hash.slice(1)) : null;
+  setTab(linked && linked.classList.contains('brief-panel') ? linked.getAttribute('data-tab') : ${JSON.stringify(site.defaultTab)});
+})();
+</script>
+`.trim();
+}
+
+// Digest stories: headline, summary sentences (cited), and the lead outlet's link
+export function digestStoriesHtml(stories, items) {
+  return (stories || []).map(story => {
+    const lead = items?.find(it => it.link === story.link) || items?.[story.sources?.[0] - 1];
+    const coverage = story.outlets > 1 ? ` <span class="coverage">(covered by ${story.outlets} outlets)</span>` : "";
+    const summary = (story.summary || []).map(c => claimHtml(c, items)).join(" ");
+    return `<li class="digest-story">
+        <h3>${htmlEscape(story.headline?.text || story.title || "")}</h3>
+        ${summary ? `<p>${summary}</p>
+        ` : ""}<p class="digest-source"><a href="${htmlEscape(story.link)}" target="_blank" rel="noopener noreferrer">${htmlEscape(lead?.source || "source")}</a>${coverage}</p>
+      </li>`;
+  }).join("\n      ");
+}
+
+// defaultTab: the panel shown on load (every other panel starts hidden). The
+// panel's id is the tab key, so page.html#<key> opens that tab (feed links).
+// format "digest" shows the overview (if any) and a story list instead of the
+// one-liner, bullets and explainer.
+export function renderPanelHtml({ tabKey, format = "brief", oneLiner, bullets, explainerHtml, overview = null, stories = [], sourcesLinks, tagsHtml, noteText, items, defaultTab }) {
+  const hiddenAttrs = tabKey === defaultTab ? "" : ' hidden aria-hidden="true"';
+  const noteAttr = noteText ? ` data-note="${htmlEscape(noteText)}"` : "";
+  if (format === "digest") {
+    return `
+<section class="brief-panel" id="${htmlEscape(tabKey)}" data-tab="${htmlEscape(tabKey)}"${noteAttr}${hiddenAttrs}>
+  <section class="card">
+    ${overview ? `<p class="tldr">${htmlEscape(ONE_LINER_PREFIX)}${claimHtml(overview, items)}</p>
+
+    ` : ""}<ol class="digest">
+      ${digestStoriesHtml(stories, items)}
+    </ol>
+
+    <p class="sources">Sources: ${sourcesLinks}</p>
+
+    <div class="tags" aria-label="Tags">
+      ${tagsHtml}
+    </div>
+  </section>
+</section>
+`.trim();
+  }
+  return `
+<section class="brief-panel" id="${htmlEscape(tabKey)}" data-tab="${htmlEscape(tabKey)}"${noteAttr}${hiddenAttrs}>
+  <section class="card">
+    <p class="tldr">${htmlEscape(ONE_LINER_PREFIX)}${claimHtml(oneLiner, items)}</p>
+
+    <h2>Why it matters</h2>
+    <ul>
+      ${toHtmlList(bullets, items)}
+    </ul>
+
+    <h2>Explainer</h2>
+    <div class="explainer">
+      ${explainerHtml}
+    </div>
+
+    <p class="sources">Sources: ${sourcesLinks}</p>
+
+    <div class="tags" aria-label="Tags">
+      ${tagsHtml}
+    </div>
+  </section>
+</section>
+`.trim();
+}
+
+// --- Pages -------------------------------------------------------------------
+
+export function renderAboutPage(site) {
+  const { human } = isoAndHumanDate();
+  return `<!doctype html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8" />
+  <title>About · ${SITE_TITLE}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body{font:16px/1.55 system-ui,-apple-system,Segoe UI,Roboto,Ubuntu;margin:0;background:#0b0c10;color:#e5e7eb}
+    main{max-width:760px;margin:48px auto;padding:0 16px}
+    a{color:#93c5fd}
+    h1{font-size:1.6rem;margin:0 0 12px}
+    p{margin:0 0 12px}
+    ul{padding-left:20px}
+    nav{margin-bottom:16px}
+  </style>
+</head>
+<body>
+  <main>
+    <nav><a href="/">← Back to today</a> · <a href="/archive/">Archive</a> · <a href="/changelog.html">Changelog</a> · <a href="/feed-health.html">Feed health</a></nav>
+    <h1>About this site</h1>
+    <p>This site publishes concise daily AI briefs from public RSS/Atom feeds and asks an AI model to draft short summaries strictly from feed titles/snippets.</p>
+    <ul>
+      <li><strong>Update cadence:</strong> daily (typically morning UK time).</li>
+      <li><strong>Tabs:</strong> ${site.tabs.map(t => htmlEscape(t.label)).join(", ")}.</li>
+      <li><strong>Attribution:</strong> Source links appear on each tab; click to read originals.</li>
+      <li><strong>Limitations:</strong> Summaries only reflect what appears in the feed titles/snippets. If coverage is thin, we may broaden sources and note it.</li>
+      ${site.syndication?.siteUrl ? `<li><strong>Subscribe:</strong> <a href="/feed.xml">RSS</a>, <a href="/atom.xml">Atom</a> or <a href="/feed.json">JSON Feed</a>; one tab only: ${site.tabs.map(t => `<a href="/feeds/${htmlEscape(t.key)}.xml">${htmlEscape(t.label)}</a>`).join(", ")} (also <code>.atom.xml</code> / <code>.json</code>).</li>` : ""}
+      <li><strong>Privacy:</strong> No tracking; static HTML.</li>
+    </ul>
+    <p style="opacity:.7">Last generated: ${human}</p>
+  </main>
+</body>
+</html>`;
+}
+
+export async function renderChangelogPage(changelogPath) {
+  const { human } = isoAndHumanDate();
+  let entries = [];
+  try {
+    const raw = await fs.readFile(changelogPath, "utf8");
+    const j = JSON.parse(raw);
+    entries = Array.isArray(j.entries) ? j.entries : [];
+  } catch {
+    entries = [];
+  }
+
+  entries.sort((a, b) => String(b.date || "").localeCompare(String(a.date || "")));
+
+  const items = entries.map(e => {
+    const date = htmlEscape(e.date || "");
+    const type = htmlEscape(e.type || "");
+    const title = htmlEscape(e.title || "");
+    const detail = htmlEscape(e.detail || "");
+    return `<li><strong>${date}</strong> — <em>${type}</em> — ${title}${detail ? ` <span style="opacity:.75">(${detail})</span>` : ""}</li>`;
+  }).join("\n");
+
+  return `<!doctype html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8" />
+  <title>Changelog · ${SITE_TITLE}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body{font:16px/1.55 system-ui,-apple-system,Segoe UI,Roboto,Ubuntu;margin:0;background:#0b0c10;color:#e5e7eb}
+    main{max-width:760px;margin:48px auto;padding:0 16px}
+    a{color:#93c5fd}
+    h1{font-size:1.6rem;margin:0 0 12px}
+    nav{margin-bottom:16px}
+    ul{padding-left:20px}
+    li{margin-bottom:10px}
+    code{background:rgba(255,255,255,.06);padding:2px 6px;border-radius:6px}
+  </style>
+</head>
+<body>
+  <main>
+    <nav><a href="/">← Back to today</a> · <a href="/about.html">About</a> · <a href="/archive/">Archive</a></nav>
+    <h1>Changelog</h1>
+    ${entries.length ? `<ul>${items}</ul>` : `<p style="opacity:.8">No changelog entries yet. Create <code>data/changelog.json</code> to populate this page.</p>`}
+    <p style="opacity:.7">Last generated: ${human}</p>
+  </main>
+</body>
+</html>`;
+}
+
+// rows: feedHealth.js healthReport() (worst first)
+export function renderFeedHealthPage(rows) {
+  const { human } = isoAndHumanDate();
+  const hours = (h) => (h == null ? "—" : h < 48 ? `${Math.round(h)}h` : `${Math.round(h / 24)}d`);
+  const count = (state) => rows.filter(r => r.state === state).length;
+
+  const body = rows.map(r => {
+    const problem = r.state === "ok" || r.state === "unknown"
+      ? ""
+      : `${r.consecutiveFailures}× ${htmlEscape(r.errorClass || "")}<br><span class="err">${htmlEscape(truncate(r.lastError || "", 160))}</span>`;
+    const reprobe = r.state === "quarantined" && r.reprobeAt ? `<br>re-probe after ${htmlEscape(r.reprobeAt.slice(0, 16).replace("T", " "))} UTC` : "";
+    return `<tr class="${r.state}">
+        <td><span class="state">${r.state}</span></td>
+        <td><a href="${htmlEscape(r.url)}" rel="nofollow noopener">${htmlEscape(r.host || r.url)}</a><br><span class="tabs">${htmlEscape(r.tabs.join(", ") || "not configured")}</span></td>
+        <td>${hours(r.lastSuccessAgeHours)}</td>
+        <td>${r.medianItems ?? "—"}</td>
+        <td>${hours(r.newestItemAgeHours)}</td>
+        <td>${problem}${reprobe}</td>
+      </tr>`;
+  }).join("\n      ");
+
+  return `<!doctype html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8" />
+  <title>Feed health · ${SITE_TITLE}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body{font:16px/1.55 system-ui,-apple-system,Segoe UI,Roboto,Ubuntu;margin:0;background:#0b0c10;color:#e5e7eb}
+    main{max-width:960px;margin:48px auto;padding:0 16px}
+    a{color:#93c5fd}
+    h1{font-size:1.6rem;margin:0 0 12px}
+    nav{margin-bottom:16px}
+    table{width:100%;border-collapse:collapse;font-size:.9rem}
+    th,td{text-align:left;vertical-align:top;padding:6px 8px;border-bottom:1px solid rgba(255,255,255,.08)}
+    .state{font-weight:600}
+    tr.ok .state{color:#86efac}
+    tr.failing .state{color:#fcd34d}
+    tr.quarantined .state{color:#fca5a5}
+    tr.unknown .state{opacity:.6}
+    .tabs,.err{opacity:.7;font-size:.85em}
+  </style>
+</head>
+<body>
+  <main>
+    <nav><a href="/">← Back to today</a> · <a href="/about.html">About</a> · <a href="/archive/">Archive</a></nav>
+    <h1>Feed health</h1>
+    <p>${rows.length} feeds: ${count("ok")} ok, ${count("failing")} failing, ${count("quarantined")} quarantined${count("unknown") ? `, ${count("unknown")} not fetched yet` : ""}. Quarantined feeds are skipped until their re-probe time.</p>
+    <table>
+      <thead><tr><th>State</th><th>Feed</th><th>Last success</th><th>Median items</th><th>Newest item</th><th>Problem</th></tr></thead>
+      <tbody>
+      ${body}
+      </tbody>
+    </table>
+    <p style="opacity:.7">Last generated: ${human}</p>
+  </main>
+</body>
+</html>`;
+}
+
+// --- Day pages ---------------------------------------------------------------
+
+export async function loadIndexTemplate(templatePath) {
+  const tpl = await fs.readFile(templatePath, "utf8");
+  const supportsTabs =
+    tpl.includes("{{TABS_NAV}}") &&
+    tpl.includes("{{TAB_PANELS}}") &&
+    tpl.includes("{{TABS_ASSETS}}");
+
+  if (!supportsTabs) {
+    throw new Error("index.template.html must include {{TABS_NAV}}, {{TAB_PANELS}}, {{TABS_ASSETS}} placeholders.");
+  }
+  return tpl;
+}
+
+// One stored tab (tabs.json entry + explainer HTML) → panel
+export function storedPanelHtml({ payload, explainerHtml }, site) {
+  const items = payload.sources || [];
+  return renderPanelHtml({
+    tabKey: payload.key,
+    format: payload.format,
+    oneLiner: payload.claims?.oneLiner || payload.oneLiner,
+    bullets: payload.claims?.bullets || payload.bullets,
+    explainerHtml,
+    overview: payload.overview,
+    stories: payload.stories,
+    sourcesLinks: toSourcesLinks(items, payload.stories),
+    tagsHtml: (payload.tags || []).map(tag => `<span class="tag">${htmlEscape(tag)}</span>`).join(" "),
+    noteText: payload.noteText,
+    items,
+    defaultTab: site.defaultTab,
+  });
+}
+
+// Feed autodiscovery for day pages (the feeds are scripts/syndication.js,
+// written only when the config has a siteUrl)
+const FEED_LINKS = `  <link rel="alternate" type="application/rss+xml" title="${SITE_TITLE} (RSS)" href="/feed.xml" />
+  <link rel="alternate" type="application/atom+xml" title="${SITE_TITLE} (Atom)" href="/atom.xml" />
+  <link rel="alternate" type="application/feed+json" title="${SITE_TITLE} (JSON Feed)" href="/feed.json" />
+</head>`;
+
+export function renderDayHtml(tpl, { generatedAt, briefs }, site) {
+  const when = new Date(generatedAt);
+  return tpl
+    .replaceAll("Today’s 2-Minute UK AI Brief", SITE_TITLE)
+    .replace("</head>", site.syndication?.siteUrl ? FEED_LINKS : "</head>")
+    .replace("{{ISO_DATE}}", when.toISOString())
+    .replace("{{HUMAN_DATE}}", when.toLocaleDateString("en-GB", { year: "numeric", month: "long", day: "numeric" }))
+    .replace("{{TABS_NAV}}", tabsNavHtml(site))
+    .replace("{{TAB_PANELS}}", briefs.map(b => storedPanelHtml(b, site)).join("\n\n"))
+    .replace("{{TABS_ASSETS}}", tabsAssetsHtml(site));
+}
+
+// dated: archive file names ("YYYY-MM-DD.html"), newest first
+export function renderArchiveIndex(dated) {
+  return `<!doctype html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8" />
+  <title>Archive · ${SITE_TITLE}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body{font:16px/1.55 system-ui,-apple-system,Segoe UI,Roboto,Ubuntu;margin:0;background:#0b0c10;color:#e5e7eb}
+    main{max-width:760px;margin:48px auto;padding:0 16px}
+    a{color:#93c5fd}
+    h1{font-size:1.6rem;margin:0 0 12px}
+    ul{padding-left:20px}
+    nav{margin-bottom:16px}
+  </style>
+</head>
+<body>
+  <main>
+    <nav><a href="/">← Back to today</a> · <a href="/about.html">About</a> · <a href="/changelog.html">Changelog</a></nav>
+    <h1>Archive</h1>
+    <ul>
+      ${dated.map(f => {
+        const label = f.replace(".html", "");
+        return `<li><a href="/archive/${f}">${label}</a></li>`;
+      }).join("\n")}
+    </ul>
+  </main>
+</body>
+</html>`;
+}
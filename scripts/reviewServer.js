@@ -0,0 +1,231 @@
+// scripts/reviewServer.js
+// Local review UI for one day's drafts (scripts/drafts.js), served by
+// `generate.js review`:
+//
+//   GET  /             the day's drafts and their status
+//   GET  /tab/<key>    edit form: text, sources (keep/drop/swap) and candidates
+//   POST /tab/<key>    action=save|approve|reject (+ the form's edits)
+//   GET  /preview      the day as it would be published (drafts/<ymd>/preview.html)
+//
+// Plain HTML forms, no scripts. Every change rewrites the draft and the preview.
+// Listens on 127.0.0.1 only: the server trusts whoever can reach it.
+
+import fs from "fs/promises";
+import http from "http";
+import { jlog } from "./log.js";
+import { EditError, applyEdits, loadDraft, loadDrafts, previewFile, saveDraft, setStatus, writePreview } from "./drafts.js";
+import { htmlEscape } from "./util.js";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const STYLE = `
+    body{font:15px/1.5 system-ui,-apple-system,Segoe UI,Roboto,Ubuntu;margin:0;background:#0b0c10;color:#e5e7eb}
+    main{max-width:860px;margin:32px auto;padding:0 16px}
+    a{color:#93c5fd}
+    h1{font-size:1.4rem} h2{font-size:1.1rem;margin-top:28px}
+    input[type=text],textarea{width:100%;box-sizing:border-box;background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:6px;padding:6px;font:inherit}
+    textarea{min-height:4.5em}
+    table{border-collapse:collapse;width:100%} td,th{border-bottom:1px solid #1f2937;padding:6px;text-align:left;vertical-align:top}
+    .muted{color:#9ca3af} .error{background:#7f1d1d;padding:8px 12px;border-radius:6px}
+    .status{font-weight:600} button{margin-right:8px;padding:6px 14px}`;
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8" />
+  <title>${htmlEscape(title)} · Review</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>${STYLE}
+  </style>
+</head>
+<body><main>
+${body}
+</main></body>
+</html>`;
+}
+
+// --- Pages ---------------------------------------------------------------------
+
+function listPage(ymd, drafts) {
+  const rows = drafts.map(d => `<tr>
+  <td><a href="/tab/${encodeURIComponent(d.tab)}">${htmlEscape(d.payload.label || d.tab)}</a></td>
+  <td class="status">${htmlEscape(d.status)}</td>
+  <td>${htmlEscape(d.payload.oneLiner || "")}${d.payload.failed ? ' <span class="muted">(failed)</span>' : ""}</td>
+</tr>`).join("\n");
+  return page(`Drafts ${ymd}`, `<h1>Drafts for ${htmlEscape(ymd)}</h1>
+<p><a href="/preview">Preview the day</a> · approve tabs here, then run <code>generate.js publish --date ${htmlEscape(ymd)}</code></p>
+${drafts.length ? `<table>\n<tr><th>Tab</th><th>Status</th><th>One-liner</th></tr>\n${rows}\n</table>` : "<p>No drafts for this day (run <code>generate.js generate --stage</code>).</p>"}`);
+}
+
+const cites = (claim) => (claim?.sources?.length ? ` <span class="muted">[${claim.sources.join(", ")}]</span>` : "");
+const textInput = (name, value) => `<input type="text" name="${name}" value="${htmlEscape(value)}" />`;
+const textArea = (name, value) => `<textarea name="${name}">${htmlEscape(value)}</textarea>`;
+
+function briefFields(p) {
+  const c = p.claims;
+  if (!c) return "";
+  return `<h2>One-liner${cites(c.oneLiner)}</h2>
+${textInput("oneLiner", c.oneLiner.text)}
+<h2>Bullets</h2>
+<p class="muted">Empty a bullet to drop it.</p>
+${c.bullets.map(b => `<p>${textInput("bullet", b.text)}${cites(b)}</p>`).join("\n")}
+<h2>Explainer</h2>
+<p class="muted">An edited paragraph cites every source the original did.</p>
+${c.explainer.map(para => `<p>${textArea("explainer", para.map(x => x.text).join(" "))}${cites({ sources: Array.from(new Set(para.flatMap(x => x.sources))) })}</p>`).join("\n")}`;
+}
+
+function digestFields(p) {
+  return `<h2>Overview${cites(p.overview)}</h2>
+<p class="muted">Optional; empty to drop.</p>
+${textArea("overview", p.overview?.text || "")}
+<h2>Stories</h2>
+${p.stories.map((s, i) => `<h3>${i + 1}. ${htmlEscape(s.title)}${cites(s)}</h3>
+<p>${textInput("headline", s.headline?.text || s.title)}</p>
+<p class="muted">Summary, one sentence per line:</p>
+<p>${textArea("summary", (s.summary || []).map(x => x.text).join("\n"))}</p>`).join("\n")}`;
+}
+
+function sourceRows(p, candidates) {
+  const swaps = candidates.map((c, i) => `<option value="replace:${i}">swap for: ${htmlEscape(`${c.source}: ${c.title}`.slice(0, 90))}</option>`).join("");
+  return p.sources.map((s, i) => `<tr>
+  <td>[${i + 1}]</td>
+  <td><a href="${htmlEscape(s.link)}" target="_blank" rel="noopener noreferrer">${htmlEscape(s.title)}</a><br><span class="muted">${htmlEscape(s.source)} · score ${Number(s.score || 0).toFixed(2)}</span></td>
+  <td><select name="source_${i + 1}"><option value="keep">keep</option><option value="drop">drop</option>${swaps}</select></td>
+</tr>`).join("\n");
+}
+
+function candidateRows(candidates) {
+  return candidates.map((c, i) => `<tr>
+  <td><input type="checkbox" name="add" value="${i}" /></td>
+  <td><a href="${htmlEscape(c.link)}" target="_blank" rel="noopener noreferrer">${htmlEscape(c.title)}</a><br><span class="muted">${htmlEscape(c.source)} · score ${Number(c.score || 0).toFixed(2)}${c.publishedAt ? ` · ${htmlEscape(c.publishedAt)}` : ""}</span>${c.snippet ? `<br>${htmlEscape(c.snippet)}` : ""}</td>
+</tr>`).join("\n");
+}
+
+function tabPage(draft, error = null) {
+  const p = draft.payload;
+  const locked = draft.status === "published";
+  const editable = !locked && !p.failed;
+  const fields = !editable ? "" : `${p.format === "digest" ? digestFields(p) : briefFields(p)}
+<h2>Sources</h2>
+<table>\n${sourceRows(p, draft.candidates)}\n</table>
+<h2>Candidates</h2>
+<p class="muted">Tick to add as a story of its own.</p>
+${draft.candidates.length ? `<table>\n${candidateRows(draft.candidates)}\n</table>` : '<p class="muted">None.</p>'}`;
+  const buttons = locked ? "<p>Published; nothing to change.</p>" : `<p>
+  ${editable ? '<button name="action" value="save">Save</button>' : ""}
+  <button name="action" value="approve">${editable ? "Save + approve" : "Approve"}</button>
+  <button name="action" value="reject">Reject</button>
+</p>`;
+  return page(p.label || draft.tab, `<p><a href="/">All drafts</a> · <a href="/preview">Preview</a></p>
+<h1>${htmlEscape(p.label || draft.tab)} <span class="status">(${htmlEscape(draft.status)})</span></h1>
+${error ? `<p class="error">${htmlEscape(error)}</p>` : ""}
+${p.failed ? `<p>This tab failed (${htmlEscape(p.oneLiner)}); approve to publish its fallback panel, or reject it.</p>` : ""}
+<form method="post">
+${fields}
+${buttons}
+</form>`);
+}
+
+// --- Form → edits --------------------------------------------------------------
+
+function editsFrom(form, draft) {
+  const edits = { sources: {}, add: form.getAll("add") };
+  if (draft.payload.format === "digest") {
+    if (form.has("overview")) edits.overview = form.get("overview");
+    if (form.has("headline")) edits.headlines = form.getAll("headline");
+    if (form.has("summary")) edits.summaries = form.getAll("summary");
+  } else {
+    if (form.has("oneLiner")) edits.oneLiner = form.get("oneLiner");
+    if (form.has("bullet")) edits.bullets = form.getAll("bullet");
+    if (form.has("explainer")) edits.explainer = form.getAll("explainer");
+  }
+  for (const [name, value] of form) {
+    const m = /^source_(\d+)$/.exec(name);
+    if (m && value !== "keep") edits.sources[m[1]] = value;
+  }
+  return edits;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new EditError("Form too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// --- Server --------------------------------------------------------------------
+
+/**
+ * options: { root (drafts dir), ymd, config, tpl (index template), stored
+ * (the day's stored briefs, for tabs without a draft) }
+ * Returns an http.Server (not yet listening).
+ */
+export function createReviewServer({ root, ymd, config, tpl, stored = [] }) {
+  const order = config.tabsByPriority.map(t => t.key);
+
+  function send(res, status, html, headers = {}) {
+    res.writeHead(status, { "content-type": "text/html; charset=utf-8", ...headers });
+    res.end(html);
+  }
+
+  async function update(draft, form) {
+    const action = form.get("action") || "save";
+    let next = draft;
+    if (action !== "reject" && !draft.payload.failed) next = applyEdits(draft, editsFrom(form, draft));
+    if (action === "approve") next = setStatus(next, "approved");
+    else if (action === "reject") next = setStatus(next, "rejected");
+    else if (action === "save") next = setStatus(next, "pending");
+    else throw new EditError(`Unknown action "${action}"`);
+    await saveDraft(root, next);
+    await writePreview(root, ymd, { tpl, config, stored });
+    jlog("info", "draft_updated", { ymd, tab: next.tab, action, status: next.status });
+    return next;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname === "/" && req.method === "GET") {
+      return send(res, 200, listPage(ymd, await loadDrafts(root, ymd, order)));
+    }
+    if (url.pathname === "/preview" && req.method === "GET") {
+      const html = await fs.readFile(previewFile(root, ymd), "utf8").catch(() => null);
+      return html == null ? send(res, 404, page("Preview", "<p>No preview yet.</p>")) : send(res, 200, html);
+    }
+
+    const m = /^\/tab\/([\w-]+)$/.exec(url.pathname);
+    const draft = m && await loadDraft(root, ymd, m[1]);
+    if (!draft) return send(res, 404, page("Not found", `<p>Not found. <a href="/">All drafts</a></p>`));
+    if (req.method === "GET") return send(res, 200, tabPage(draft));
+    if (req.method !== "POST") return send(res, 405, page("Method not allowed", "<p>Method not allowed.</p>"), { allow: "GET, POST" });
+
+    try {
+      const form = new URLSearchParams(await readBody(req));
+      await update(draft, form);
+    } catch (e) {
+      if (!(e instanceof EditError)) throw e;
+      return send(res, 400, tabPage(draft, e.message));
+    }
+    res.writeHead(303, { location: `/tab/${encodeURIComponent(draft.tab)}` });
+    res.end();
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      jlog("error", "review_error", { url: req.url, message: e?.message || String(e) });
+      if (!res.headersSent) send(res, 500, page("Error", `<p class="error">${htmlEscape(e?.message || String(e))}</p>`));
+      else res.end();
+    });
+  });
+}
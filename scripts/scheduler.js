@@ -0,0 +1,66 @@
+// scripts/scheduler.js
+// Concurrency limits for one run (config "concurrency"):
+//   feeds    feed fetches in flight at once
+//   perHost  of those, at most this many to one host
+//   models   model calls in flight at once, across tabs
+//
+// createLimiter(max).run(fn) queues fn until one of `max` slots is free.
+// createHostLimiter() takes the host slot first, then a global one, so a busy
+// host's queue never holds global slots other hosts could use.
+
+export const DEFAULT_CONCURRENCY = {
+  feeds: 8,
+  perHost: 2,
+  models: 3,
+};
+
+export function createLimiter(max = 1) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= max || !queue.length) return;
+    active += 1;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  }
+
+  return {
+    run(fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ fn, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+  };
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return url;
+  }
+}
+
+export function createHostLimiter({ total = DEFAULT_CONCURRENCY.feeds, perHost = DEFAULT_CONCURRENCY.perHost } = {}) {
+  const all = createLimiter(total);
+  const hosts = new Map(); // host -> limiter
+
+  return {
+    run(url, fn) {
+      const host = hostOf(url);
+      if (!hosts.has(host)) hosts.set(host, createLimiter(perHost));
+      return hosts.get(host).run(() => all.run(fn));
+    },
+  };
+}
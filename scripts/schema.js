@@ -0,0 +1,77 @@
+// scripts/schema.js
+// Tiny JSON-Schema-like validator shared by the tab config and model output.
+//
+// Supported keywords: type (object/array/string/number/integer/boolean/null,
+// or a list of them),
+// required, properties, additionalProperties: false, items, enum, pattern,
+// minLength, minimum, maximum, minItems, maxItems.
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  if (typeof v === "number" && Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function typeMatches(expected, v) {
+  if (Array.isArray(expected)) return expected.some(t => typeMatches(t, v));
+  const actual = typeOf(v);
+  if (expected === "number") return actual === "number" || actual === "integer";
+  return actual === expected;
+}
+
+/**
+ * Validate a value against a schema written in the subset described above.
+ * Returns a list of human-readable problems ("tabs[2].feeds.primary: ...").
+ */
+export function validateAgainstSchema(value, schema, at = "value") {
+  const errors = [];
+
+  if (schema.type && !typeMatches(schema.type, value)) {
+    errors.push(`${at}: expected ${[].concat(schema.type).join(" or ")}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.trim().length < schema.minLength) {
+      errors.push(`${at}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${at}: needs at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${at}: allows at most ${schema.maxItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((v, i) => errors.push(...validateAgainstSchema(v, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const k of schema.required || []) {
+      if (!(k in value)) errors.push(`${at}.${k}: is required`);
+    }
+    const props = schema.properties || {};
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) errors.push(...validateAgainstSchema(v, props[k], `${at}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${k}: unknown property`);
+    }
+  }
+
+  return errors;
+}
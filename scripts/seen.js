@@ -0,0 +1,148 @@
+// scripts/seen.js
+// Per-tab "seen" cache: what a tab has already published, so it isn't picked
+// again on later runs.
+//
+// File format (data/seen*.json):
+//   { "version": 2, "updated": ISO, "entries": [
+//       { "link", "title", "firstSeen": ISO, "tab", "story" }, ... ] }
+//   link   the published item's URL (null for title-only entries)
+//   title  normalised title (lowercase, collapsed whitespace)
+//   story  story-cluster key the item was published under
+//
+// Expiry: a link blocks re-use for horizonDays; a title only for
+// titleHorizonDays, so a reused generic title ("Weekly roundup") comes back
+// after a few days. Saving compacts: expired entries are dropped and only the
+// newest maxEntries are kept.
+//
+// Version 1 files ({ links: [], titles: [] }, no timestamps) are migrated on
+// load; their entries are stamped with the load time so existing history
+// gets one full horizon before it expires.
+
+export const DEFAULT_SEEN = {
+  horizonDays: 30,
+  titleHorizonDays: 7,
+  maxEntries: 5000,
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function stamp(entry) {
+  const t = Date.parse(entry.firstSeen);
+  return Number.isFinite(t) ? t : 0;
+}
+
+function index(entries) {
+  const byLink = new Map();
+  const byTitle = new Map();
+  for (const e of entries) {
+    if (e.link && (!byLink.has(e.link) || stamp(byLink.get(e.link)) > stamp(e))) byLink.set(e.link, e);
+    if (e.title && (!byTitle.has(e.title) || stamp(byTitle.get(e.title)) < stamp(e))) byTitle.set(e.title, e);
+  }
+  return { entries, byLink, byTitle };
+}
+
+/**
+ * Build a store from parsed file contents (either format).
+ * normalizeTitle is applied to titles from version 1 files; normalizeLink to
+ * every stored link (so older raw links still match canonical ones).
+ */
+export function parseSeen(raw, { tab = null, now = Date.now(), normalizeTitle = (s) => s, normalizeLink = (s) => s } = {}) {
+  if (raw && Array.isArray(raw.entries)) {
+    return index(raw.entries
+      .filter(e => e && (e.link || e.title))
+      .map(e => ({
+        link: e.link ? normalizeLink(e.link) : null,
+        title: e.title || null,
+        firstSeen: e.firstSeen || new Date(now).toISOString(),
+        tab: e.tab ?? tab,
+        story: e.story ?? null,
+      })));
+  }
+
+  // Version 1: flat link + title arrays
+  const firstSeen = new Date(now).toISOString();
+  const entries = [];
+  for (const link of raw?.links || []) entries.push({ link: normalizeLink(link), title: null, firstSeen, tab, story: null });
+  for (const t of raw?.titles || []) {
+    const title = normalizeTitle(String(t));
+    if (title) entries.push({ link: null, title, firstSeen, tab, story: null });
+  }
+  return index(entries);
+}
+
+export function emptySeen() {
+  return index([]);
+}
+
+function expired(entry, days, now) {
+  return now - stamp(entry) > days * DAY_MS;
+}
+
+/**
+ * Has this { link, title } (title already normalised) been published within
+ * the horizon?
+ */
+export function isSeen(store, { link, title }, settings = DEFAULT_SEEN, now = Date.now()) {
+  const s = { ...DEFAULT_SEEN, ...settings };
+  const byLink = link && store.byLink.get(link);
+  if (byLink && !expired(byLink, s.horizonDays, now)) return true;
+  const byTitle = title && store.byTitle.get(title);
+  return !!(byTitle && !expired(byTitle, s.titleHorizonDays, now));
+}
+
+/**
+ * Record a published item. Re-marking a known link keeps its original
+ * firstSeen (only a new title is added), unless the link had expired: then
+ * it was published again and its horizon starts over from `now`.
+ */
+export function markSeen(store, { link, title }, { tab = null, story = null, now = Date.now(), settings = DEFAULT_SEEN } = {}) {
+  const s = { ...DEFAULT_SEEN, ...settings };
+  const known = link && store.byLink.get(link);
+  if (known) {
+    if (expired(known, s.horizonDays, now)) Object.assign(known, { firstSeen: new Date(now).toISOString(), tab, story });
+    const byTitle = title && store.byTitle.get(title);
+    if (title && (!byTitle || expired(byTitle, s.titleHorizonDays, now))) {
+      const e = { link: null, title, firstSeen: new Date(now).toISOString(), tab, story };
+      store.entries.push(e);
+      store.byTitle.set(title, e);
+    }
+    return;
+  }
+  const e = { link: link || null, title: title || null, firstSeen: new Date(now).toISOString(), tab, story };
+  store.entries.push(e);
+  if (e.link) store.byLink.set(e.link, e);
+  if (e.title) store.byTitle.set(e.title, e);
+}
+
+/**
+ * Drop expired entries (an entry stays while its link or title is still
+ * within its horizon), de-dupe, keep the newest maxEntries.
+ * Returns { store, removed }.
+ */
+export function compactSeen(store, settings = DEFAULT_SEEN, now = Date.now()) {
+  const s = { ...DEFAULT_SEEN, ...settings };
+  const keep = [];
+  const keys = new Set();
+  const newestFirst = [...store.entries].sort((a, b) => stamp(b) - stamp(a));
+  for (const e of newestFirst) {
+    const linkLive = e.link && !expired(e, s.horizonDays, now);
+    const titleLive = e.title && !expired(e, s.titleHorizonDays, now);
+    if (!linkLive && !titleLive) continue;
+
+    const entry = { ...e, link: linkLive ? e.link : null, title: titleLive ? e.title : null };
+    const key = `${entry.link || ""}|${entry.title || ""}`;
+    if (keys.has(key)) continue;
+    keys.add(key);
+    keep.push(entry);
+  }
+  const kept = keep.slice(0, s.maxEntries).reverse(); // oldest first on disk
+  return { store: index(kept), removed: store.entries.length - kept.length };
+}
+
+export function serializeSeen(store, now = Date.now()) {
+  return {
+    version: 2,
+    updated: new Date(now).toISOString(),
+    entries: store.entries,
+  };
+}
@@ -0,0 +1,241 @@
+// scripts/selection.js
+// Which stories a tab publishes.
+//
+//   clusterStories  ranked candidates → stories (near-duplicates merged)
+//   pickItems       stories → picks (cross-tab de-dupe, AI/off-topic filters,
+//                   spread across hosts); explainPicks says why a story wasn't
+//   selectStories   the fallback ladder: widen the freshness window and the
+//                   feed pool, relax the strict-AI filter, and only as a last
+//                   resort let a few off-topic stories through, until a step
+//                   meets the minimum (MIN_PICKS from MIN_DISTINCT_HOSTS hosts)
+//
+// Everything here is synchronous and pure apart from the embedder passed in;
+// fetching + scoring candidates is the caller's job (scripts/generator.js).
+
+import { clusterBySimilarity, itemText } from "./similarity.js";
+import { makeCrossTabKey, normalizeKey } from "./util.js";
+
+// Freshness & selection
+export const FRESH_HOURS_PRIMARY = 24;
+export const FRESH_HOURS_FALLBACKS = [36, 48];
+export const MAX_ITEMS = 6;
+export const MIN_PICKS = 3; // below this a tab widens its window/pool, then relaxes filters
+export const MIN_DISTINCT_HOSTS = 3;
+
+export function spreadAcrossHosts(items, maxItems) {
+  const byHost = new Map();
+  for (const it of items) {
+    if (!byHost.has(it.source)) byHost.set(it.source, []);
+    byHost.get(it.source).push(it);
+  }
+  const picks = [];
+  while (picks.length < maxItems) {
+    let added = false;
+    for (const arr of byHost.values()) {
+      if (arr.length && picks.length < maxItems) {
+        picks.push(arr.shift());
+        added = true;
+      }
+    }
+    if (!added) break;
+  }
+  return picks;
+}
+
+// --- Story clustering --------------------------------------------------------
+// Candidates about the same event (similarity >= threshold) become one story;
+// the tab picks stories, and the prompt gets every outlet's version.
+
+export const MAX_SOURCES_PER_STORY = 3;
+
+/**
+ * Group ranked candidates (each with a `_vector`) into stories, ranked by
+ *   best member score + coverageBoost × (extra outlets), then newest member.
+ * Each story carries `source` (its leader's host) so spreadAcrossHosts works on
+ * stories as well as items.
+ */
+export function clusterStories(candidates, { embedder, threshold, coverageBoost = 0 }) {
+  const clusters = clusterBySimilarity(candidates, embedder, {
+    threshold,
+    vectorOf: (it) => it._vector,
+  });
+
+  const stories = clusters.map(({ leader, members, vector }) => {
+    const outlets = new Set(members.map(m => m.source)).size;
+    const newest = Math.max(0, ...members.map(m => m.publishedAt?.getTime?.() || 0));
+    return {
+      key: makeCrossTabKey(leader),
+      leader,
+      members,
+      vector,
+      outlets,
+      newestAt: newest ? new Date(newest) : null,
+      source: leader.source,
+      score: Math.round(((leader._score || 0) + coverageBoost * (outlets - 1)) * 100) / 100,
+      // AI-related if any outlet's version is; off-topic only if all are
+      _aiLoose: members.some(m => m._aiLoose),
+      _aiStrict: members.some(m => m._aiStrict),
+      _offTopic: members.every(m => m._offTopic),
+    };
+  });
+
+  stories.sort((a, b) =>
+    (b.score - a.score) || ((b.newestAt?.getTime() || 0) - (a.newestAt?.getTime() || 0)));
+  return stories;
+}
+
+// Sources shown/prompted for a story: leader first, then one item per other outlet
+export function storySources(story) {
+  const byHost = new Map();
+  for (const it of story.members) if (!byHost.has(it.source)) byHost.set(it.source, it);
+  return [...byHost.values()].slice(0, MAX_SOURCES_PER_STORY);
+}
+
+// Works on items or stories (a story counts every member's host)
+export function meetsMinimum(picks) {
+  const list = picks || [];
+  const distinct = new Set(list.flatMap(p => (p.members || [p]).map(i => i.source)));
+  return list.length >= MIN_PICKS && distinct.size >= Math.min(MIN_DISTINCT_HOSTS, list.length);
+}
+
+// Why pickItems passes over a story regardless of rank, or null:
+//   { reason: "duplicate", key }            an outlet's link/title key another tab picked
+//   { reason: "near-duplicate", item, similarity }  same event as `item` another tab picked
+//   { reason: "not-strict-ai" }             the strict-AI filter is on and no outlet is strictly AI
+function skipReason(story, { avoidKeys, avoidStories, avoidVectors, requireStrictAI, embedder, threshold }) {
+  for (const it of story.members) {
+    for (const key of [makeCrossTabKey(it), `title:${normalizeKey(it.title)}`]) {
+      if (avoidKeys.has(key)) return { reason: "duplicate", key };
+    }
+  }
+
+  let closest = -1;
+  let similarity = 0;
+  avoidVectors.forEach((v, i) => {
+    const sim = embedder.cosine(story.vector, v);
+    if (sim > similarity) [closest, similarity] = [i, sim];
+  });
+  if (closest >= 0 && similarity >= threshold) {
+    return { reason: "near-duplicate", item: avoidStories[closest], similarity: Math.round(similarity * 100) / 100 };
+  }
+
+  if (requireStrictAI && !story._aiStrict) return { reason: "not-strict-ai" };
+  return null;
+}
+
+// Picks stories (from clusterStories). Off-topic stories (deals, reviews,
+// gadgets) are excluded unless offTopicQuota > 0, and even then only top up
+// after every on-topic pick.
+// avoidStories: items other tabs already picked; a story is skipped if any of
+// its outlets was picked, or if it is about the same event (similarity >=
+// threshold), not just on exact links.
+export function pickItems({ stories, avoidKeys, avoidStories = [], requireStrictAI, offTopicQuota = 0, embedder, threshold }) {
+  const avoidVectors = avoidStories.map(it => embedder.embed(itemText(it)));
+  const opts = { avoidKeys, avoidStories, avoidVectors, requireStrictAI, embedder, threshold };
+  const filtered = [];
+  const offTopicPool = [];
+  for (const story of stories) {
+    if (skipReason(story, opts)) continue;
+
+    if (story._offTopic) offTopicPool.push(story);
+    else filtered.push(story);
+  }
+
+  const picks = spreadAcrossHosts(filtered, MAX_ITEMS);
+  const room = Math.min(offTopicQuota, MAX_ITEMS - picks.length);
+  if (room > 0) picks.push(...spreadAcrossHosts(offTopicPool, room));
+  return picks;
+}
+
+/**
+ * Why each of `stories` was or wasn't among `picks` (pickItems' result for the
+ * same options) → Map story → { outcome, ... }: "picked", a skipReason,
+ * "off-topic" (kept out, or no quota left) or "ranked-out" (eligible, but the
+ * MAX_ITEMS slots went to better-ranked stories or other hosts).
+ */
+export function explainPicks({ stories, picks, avoidKeys, avoidStories = [], requireStrictAI, embedder, threshold }) {
+  const avoidVectors = avoidStories.map(it => embedder.embed(itemText(it)));
+  const opts = { avoidKeys, avoidStories, avoidVectors, requireStrictAI, embedder, threshold };
+  const picked = new Set(picks);
+  const out = new Map();
+  for (const story of stories) {
+    if (picked.has(story)) {
+      out.set(story, { outcome: "picked" });
+      continue;
+    }
+    const skip = skipReason(story, opts);
+    if (skip) out.set(story, { outcome: skip.reason, ...skip });
+    else out.set(story, { outcome: story._offTopic ? "off-topic" : "ranked-out" });
+  }
+  return out;
+}
+
+// --- Fallback ladder ---------------------------------------------------------
+
+// Primary pool first, then primary + secondary, for each window in turn
+export function planSteps(primaryFeeds, secondaryFeeds) {
+  const steps = [];
+  for (const hours of [FRESH_HOURS_PRIMARY, ...FRESH_HOURS_FALLBACKS]) {
+    steps.push({ hours, feeds: primaryFeeds, usedSecondary: false });
+    steps.push({ hours, feeds: [...primaryFeeds, ...secondaryFeeds], usedSecondary: true });
+  }
+  return steps;
+}
+
+/**
+ * Walk the ladder. storiesFor(step) → clustered stories for that window/pool.
+ * Returns { picks, meta: { freshnessUsed, usedSecondary, relaxedAI,
+ * offTopicAllowed }, stories }: the first step that meets the minimum, else the
+ * step with the most picks (stories: everything that step had to pick from).
+ */
+export async function selectStories({ steps, storiesFor, avoidKeys, avoidStories = [], embedder, threshold }) {
+  const pick = (stories, opts) => pickItems({ stories, avoidKeys, avoidStories, embedder, threshold, ...opts });
+
+  let best = [];
+  let bestMeta = { freshnessUsed: FRESH_HOURS_PRIMARY, usedSecondary: false, relaxedAI: false, offTopicAllowed: false };
+  let bestStories = [];
+
+  // Pass 1 never lets off-topic items through; pass 2 (only if no window/pool
+  // met the minimum) tops up to MIN_PICKS with the least-bad off-topic items.
+  for (const allowOffTopic of [false, true]) {
+    for (const step of steps) {
+      const stories = await storiesFor(step);
+
+      // Attempt 1: require strict AI
+      let picks = pick(stories, { requireStrictAI: true });
+      let relaxedAI = false;
+
+      // If too strict, relax to best available (but keep note)
+      if (picks.length < MIN_PICKS) {
+        const relaxed = pick(stories, { requireStrictAI: false });
+        if (relaxed.length > picks.length) {
+          picks = relaxed;
+          relaxedAI = true;
+        }
+      }
+
+      // Last resort: let a few off-topic items through to reach the minimum
+      let offTopicAllowed = false;
+      if (allowOffTopic && picks.length < MIN_PICKS) {
+        const topped = pick(stories, { requireStrictAI: false, offTopicQuota: MIN_PICKS - picks.length });
+        if (topped.length > picks.length) {
+          picks = topped;
+          relaxedAI = relaxedAI || topped.some(it => !it._aiStrict);
+          offTopicAllowed = true;
+        }
+      }
+
+      const meta = { freshnessUsed: step.hours, usedSecondary: step.usedSecondary, relaxedAI, offTopicAllowed };
+
+      if (meetsMinimum(picks)) return { picks, meta, stories };
+
+      if (picks.length > best.length) {
+        best = picks;
+        bestMeta = meta;
+        bestStories = stories;
+      }
+    }
+  }
+
+  return { picks: best, meta: bestMeta, stories: bestStories };
+}
@@ -0,0 +1,127 @@
+// scripts/similarity.js
+// Offline, CPU-only text similarity for story de-dupe and topic relevance.
+//
+// Embedder interface (so a small local embedding model can replace TF-IDF):
+//   embedder.observe(texts)   feed corpus statistics (no-op for dense models)
+//   embedder.embed(text)      -> vector
+//   embedder.cosine(a, b)     -> 0..1 similarity of two vectors
+//
+// The TF-IDF embedder keeps document frequencies for every item fetched in the
+// run, so vectors are computed against the same corpus for every tab and
+// cross-tab comparisons stay meaningful. Nothing here touches the network.
+
+const STOPWORDS = new Set((
+  "a about after again against all also an and any are as at be because been before being " +
+  "between both but by can could did do does doing down during each few for from further had " +
+  "has have having he her here hers him his how i if in into is it its itself just more most " +
+  "new no nor not now of off on once only or other our out over own same says said she should " +
+  "so some such than that the their them then there these they this those through to too under " +
+  "until up very was we were what when where which while who whom why will with would you your " +
+  "year years today week first last one two three"
+).split(" "));
+
+/**
+ * Lowercase word tokens with stopwords removed and a light plural stem.
+ */
+export function tokenize(text = "") {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const out = [];
+  for (let w of words) {
+    if (w.length < 2 || STOPWORDS.has(w)) continue;
+    if (w.length > 4 && w.endsWith("ies")) w = `${w.slice(0, -3)}y`;
+    else if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) w = w.slice(0, -1);
+    out.push(w);
+  }
+  return out;
+}
+
+// Titles carry the story; repeat them so they outweigh long snippets
+export function itemText(it) {
+  return `${it.title || ""} ${it.title || ""} ${it.snippet || ""}`;
+}
+
+export function createTfidfEmbedder() {
+  const df = new Map(); // term -> number of observed docs containing it
+  const observed = new Set(); // texts already counted (feeds overlap across tabs)
+  let docs = 0;
+
+  function observe(texts) {
+    for (const t of texts) {
+      if (observed.has(t)) continue;
+      observed.add(t);
+      docs += 1;
+      for (const term of new Set(tokenize(t))) df.set(term, (df.get(term) || 0) + 1);
+    }
+  }
+
+  function embed(text) {
+    const tf = new Map();
+    for (const term of tokenize(text)) tf.set(term, (tf.get(term) || 0) + 1);
+
+    const vec = new Map();
+    let norm = 0;
+    for (const [term, n] of tf) {
+      const idf = Math.log((docs + 1) / ((df.get(term) || 0) + 1)) + 1;
+      const w = (1 + Math.log(n)) * idf;
+      vec.set(term, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, w] of vec) vec.set(term, w / norm);
+    return vec;
+  }
+
+  function cosine(a, b) {
+    if (!a?.size || !b?.size) return 0;
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let dot = 0;
+    for (const [term, w] of small) {
+      const o = large.get(term);
+      if (o) dot += w * o;
+    }
+    return Math.max(0, Math.min(1, dot));
+  }
+
+  return { name: "tfidf", observe, embed, cosine };
+}
+
+export const EMBEDDERS = { tfidf: createTfidfEmbedder };
+
+export function createEmbedder(name = "tfidf") {
+  const make = EMBEDDERS[name];
+  if (!make) throw new Error(`Unknown similarity provider "${name}" (expected one of: ${Object.keys(EMBEDDERS).join(", ")})`);
+  return make();
+}
+
+/**
+ * Leader clustering: walk items in rank order; each item joins the first
+ * cluster whose leader is at least `threshold` similar, else starts a new one.
+ * The leader (best-ranked item) is the cluster's representative.
+ * vectorOf lets callers reuse vectors they already computed.
+ * Returns [{ leader, members: [leader, ...], vector }].
+ */
+export function clusterBySimilarity(items, embedder, { threshold, vectorOf = (it) => embedder.embed(itemText(it)) } = {}) {
+  const clusters = [];
+  for (const it of items) {
+    const vector = vectorOf(it);
+    let home = null;
+    for (const c of clusters) {
+      if (embedder.cosine(vector, c.vector) >= threshold) {
+        home = c;
+        break;
+      }
+    }
+    if (home) home.members.push(it);
+    else clusters.push({ leader: it, members: [it], vector });
+  }
+  return clusters;
+}
+
+/**
+ * Highest similarity between `vector` and any of `others` (vectors).
+ */
+export function maxSimilarity(vector, others, embedder) {
+  let best = 0;
+  for (const o of others) best = Math.max(best, embedder.cosine(vector, o));
+  return best;
+}
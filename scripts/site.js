@@ -0,0 +1,79 @@
+// scripts/site.js
+// Writes the static site from the item store.
+//
+// Every page is a function of the stored per-day briefs (scripts/store.js), so
+// `render` can rebuild the whole site after a template/markup change without
+// fetching feeds or calling a model. The RSS/Atom/JSON feeds
+// (scripts/syndication.js) are rebuilt from the same briefs on every write.
+
+import fs from "fs/promises";
+import path from "path";
+import { writeFileAtomic } from "./util.js";
+import { jlog } from "./log.js";
+import { healthReport } from "./feedHealth.js";
+import { renderFeeds } from "./syndication.js";
+import { renderAboutPage, renderArchiveIndex, renderChangelogPage, renderDayHtml, renderFeedHealthPage } from "./render.js";
+
+// Output paths under one site dir (public/ unless --out)
+export function outPaths(dir) {
+  const dataDir = path.join(dir, "data");
+  return {
+    dir,
+    index: path.join(dir, "index.html"),
+    archiveDir: path.join(dir, "archive"),
+    about: path.join(dir, "about.html"),
+    changelog: path.join(dir, "changelog.html"),
+    feedHealth: path.join(dir, "feed-health.html"),
+    dataDir,
+    tabsJson: path.join(dataDir, "tabs.json"),
+  };
+}
+
+// A day's stored briefs (latest per tab) in generation order (config.tabsByPriority)
+export function dayBriefs(store, ymd, config) {
+  const order = new Map(config.tabsByPriority.map((t, i) => [t.key, i]));
+  return store.briefsForDay(ymd).sort((a, b) => (order.get(a.tab) ?? 99) - (order.get(b.tab) ?? 99));
+}
+
+/**
+ * Write archive pages for `days` (all stored days if null), then index.html
+ * (latest stored day), the archive index, about, changelog, feed health and
+ * the subscription feeds (newest config.syndication.days stored days; only
+ * with config.syndication.siteUrl, as feed links must be absolute).
+ * With dryRun nothing is written; the return value says what would be.
+ */
+export async function renderSite({ store, config, out, tpl, changelogPath, days = null, dryRun = false }) {
+  const write = dryRun ? async () => {} : writeFileAtomic;
+  const stored = store.days();
+  const targets = days ? stored.filter(d => days.includes(d.ymd)) : stored;
+
+  for (const day of targets) {
+    const html = renderDayHtml(tpl, { generatedAt: day.generatedAt, briefs: dayBriefs(store, day.ymd, config) }, config);
+    await write(path.join(out.archiveDir, `${day.ymd}.html`), html);
+  }
+
+  const latest = stored[stored.length - 1];
+  if (latest) {
+    await write(out.index, renderDayHtml(tpl, { generatedAt: latest.generatedAt, briefs: dayBriefs(store, latest.ymd, config) }, config));
+  }
+
+  // Listed from disk so pages never imported into the store stay linked
+  const files = await fs.readdir(out.archiveDir).catch(() => []);
+  const onDisk = files.filter(f => /^\d{4}-\d{2}-\d{2}\.html$/.test(f));
+  const dated = Array.from(new Set([...onDisk, ...targets.map(d => `${d.ymd}.html`)])).sort().reverse();
+  await write(path.join(out.archiveDir, "index.html"), renderArchiveIndex(dated));
+
+  await write(out.about, renderAboutPage(config));
+  await write(out.changelog, await renderChangelogPage(changelogPath));
+  await write(out.feedHealth, renderFeedHealthPage(healthReport(store.feedHealth(), config)));
+
+  if (config.syndication.siteUrl) {
+    const recent = stored.slice(-config.syndication.days).map(d => ({ ...d, briefs: dayBriefs(store, d.ymd, config) }));
+    for (const [file, content] of Object.entries(renderFeeds(recent, config))) await write(path.join(out.dir, file), content);
+  } else {
+    jlog("warn", "feeds_skipped", { reason: "config.syndication.siteUrl is not set" });
+  }
+
+  const storedDays = new Set(stored.map(d => d.ymd));
+  return { rendered: targets.map(d => d.ymd), latest: latest?.ymd || null, notStored: dated.map(f => f.replace(".html", "")).filter(d => !storedDays.has(d)) };
+}
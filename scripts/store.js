@@ -0,0 +1,346 @@
+// scripts/store.js
+// SQLite item store (data/newsbrief.sqlite): the generator's history.
+//
+// Tables:
+//   runs    one row per generator run (status + summary JSON)
+//   items   every fetched item, keyed by canonical link
+//   picks   every item a tab published, with its story key + score
+//   briefs  every generated tab brief (brief JSON + the tabs.json entry)
+//   seen    per-tab seen cache entries (scripts/seen.js format)
+//   feed_health  per-feed fetch history + quarantine state (scripts/feedHealth.js)
+//   feed_cache   last body + ETag/Last-Modified per feed, for conditional GETs
+//                (scripts/feedFetch.js)
+//
+// generate.js reads and writes only through the repository returned by
+// openStore(); data/seen*.json and public/data/tabs.json are exported from
+// these tables so their formats stay as they were.
+//
+// Example: what did we publish about the CMA last month?
+//   store.searchPublished("CMA", { since: "2025-11-01" })
+//
+// The static site is a pure function of the briefs table: `generate.js render`
+// rebuilds every page from it (latest brief per tab per day, so a single-tab
+// re-run replaces just that tab) without fetching anything.
+//
+// openStore(path, { readonly: true }) is for dry runs: reads work as normal,
+// every write method is a no-op (a missing file reads as an empty store).
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+
+const SCHEMA_VERSION = 3;
+
+const MIGRATIONS = [
+  // 1: initial schema
+  `
+  CREATE TABLE runs (
+    id          INTEGER PRIMARY KEY,
+    ymd         TEXT NOT NULL,
+    started_at  TEXT NOT NULL,
+    finished_at TEXT,
+    status      TEXT NOT NULL DEFAULT 'running',
+    summary     TEXT
+  );
+  CREATE TABLE items (
+    link             TEXT PRIMARY KEY,
+    title            TEXT NOT NULL,
+    source           TEXT,
+    snippet          TEXT,
+    published_at     TEXT,
+    feed_url         TEXT,
+    first_fetched_at TEXT NOT NULL,
+    last_fetched_at  TEXT NOT NULL
+  );
+  CREATE TABLE picks (
+    id            INTEGER PRIMARY KEY,
+    run_id        INTEGER NOT NULL REFERENCES runs(id),
+    tab           TEXT NOT NULL,
+    story_key     TEXT,
+    source_number INTEGER NOT NULL,
+    link          TEXT NOT NULL REFERENCES items(link),
+    score         REAL,
+    breakdown     TEXT,
+    flags         TEXT
+  );
+  CREATE INDEX picks_tab ON picks(tab, run_id);
+  CREATE INDEX picks_link ON picks(link);
+  CREATE TABLE briefs (
+    id             INTEGER PRIMARY KEY,
+    run_id         INTEGER NOT NULL REFERENCES runs(id),
+    ymd            TEXT NOT NULL,
+    tab            TEXT NOT NULL,
+    failed         INTEGER NOT NULL DEFAULT 0,
+    provider       TEXT,
+    model          TEXT,
+    one_liner      TEXT,
+    brief          TEXT,
+    explainer_html TEXT,
+    payload        TEXT NOT NULL,
+    created_at     TEXT NOT NULL,
+    UNIQUE (run_id, tab)
+  );
+  CREATE INDEX briefs_ymd ON briefs(ymd, tab);
+  CREATE TABLE seen (
+    tab        TEXT NOT NULL,
+    link       TEXT,
+    title      TEXT,
+    first_seen TEXT NOT NULL,
+    story      TEXT
+  );
+  CREATE INDEX seen_tab ON seen(tab);
+  `,
+  // 2: feed health
+  `
+  CREATE TABLE feed_health (
+    url                  TEXT PRIMARY KEY,
+    last_attempt_at      TEXT,
+    last_success_at      TEXT,
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    item_counts          TEXT NOT NULL DEFAULT '[]',
+    newest_item_at       TEXT,
+    error_class          TEXT,
+    last_error           TEXT,
+    quarantined_at       TEXT,
+    reprobe_at           TEXT
+  );
+  `,
+  // 3: conditional GET validators + the body they validate
+  `
+  CREATE TABLE feed_cache (
+    url           TEXT PRIMARY KEY,
+    etag          TEXT,
+    last_modified TEXT,
+    body          TEXT NOT NULL,
+    fetched_at    TEXT NOT NULL
+  );
+  `,
+];
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`Item store schema v${current} is newer than this generator (v${SCHEMA_VERSION})`);
+  }
+  for (let v = current; v < SCHEMA_VERSION; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+function iso(d) {
+  if (!d) return null;
+  const date = d instanceof Date ? d : new Date(d);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function json(v) {
+  return v == null ? null : JSON.stringify(v);
+}
+
+/**
+ * Open (creating/migrating if needed) the store at dbPath.
+ * Returns the repository used by generate.js.
+ */
+export function openStore(dbPath, { readonly = false } = {}) {
+  let db;
+  if (readonly && fs.existsSync(dbPath)) {
+    db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    if (db.pragma("user_version", { simple: true }) !== SCHEMA_VERSION) {
+      db.close();
+      throw new Error(`Item store ${dbPath} needs a schema migration; run once without --dry-run`);
+    }
+  } else {
+    if (!readonly) fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    db = new Database(readonly ? ":memory:" : dbPath);
+    db.pragma("foreign_keys = ON");
+    migrate(db);
+  }
+
+  const q = {
+    startRun: db.prepare("INSERT INTO runs (ymd, started_at) VALUES (?, ?)"),
+    finishRun: db.prepare("UPDATE runs SET finished_at = ?, status = ?, summary = ? WHERE id = ?"),
+    upsertItem: db.prepare(`
+      INSERT INTO items (link, title, source, snippet, published_at, feed_url, first_fetched_at, last_fetched_at)
+      VALUES (@link, @title, @source, @snippet, @publishedAt, @feedUrl, @now, @now)
+      ON CONFLICT(link) DO UPDATE SET
+        title = excluded.title,
+        snippet = COALESCE(excluded.snippet, items.snippet),
+        published_at = COALESCE(excluded.published_at, items.published_at),
+        last_fetched_at = excluded.last_fetched_at`),
+    insertPick: db.prepare(`
+      INSERT INTO picks (run_id, tab, story_key, source_number, link, score, breakdown, flags)
+      VALUES (@runId, @tab, @storyKey, @sourceNumber, @link, @score, @breakdown, @flags)`),
+    insertBrief: db.prepare(`
+      INSERT INTO briefs (run_id, ymd, tab, failed, provider, model, one_liner, brief, explainer_html, payload, created_at)
+      VALUES (@runId, @ymd, @tab, @failed, @provider, @model, @oneLiner, @brief, @explainerHtml, @payload, @createdAt)
+      ON CONFLICT(run_id, tab) DO UPDATE SET
+        failed = excluded.failed, provider = excluded.provider, model = excluded.model,
+        one_liner = excluded.one_liner, brief = excluded.brief, explainer_html = excluded.explainer_html,
+        payload = excluded.payload, created_at = excluded.created_at`),
+    // Latest brief per tab for a day
+    dayBriefs: db.prepare(`
+      SELECT tab, payload, explainer_html AS explainerHtml FROM briefs
+      WHERE id IN (SELECT MAX(id) FROM briefs WHERE ymd = ? GROUP BY tab)
+      ORDER BY id`),
+    // Newest run start per day is the page's "generated" time
+    days: db.prepare(`
+      SELECT b.ymd, MAX(r.started_at) AS generatedAt
+      FROM briefs b JOIN runs r ON r.id = b.run_id
+      GROUP BY b.ymd
+      ORDER BY b.ymd`),
+    seenCount: db.prepare("SELECT COUNT(*) AS n FROM seen WHERE tab = ?"),
+    seenForTab: db.prepare("SELECT link, title, first_seen AS firstSeen, tab, story FROM seen WHERE tab = ? ORDER BY first_seen, rowid"),
+    clearSeen: db.prepare("DELETE FROM seen WHERE tab = ?"),
+    insertSeen: db.prepare("INSERT INTO seen (tab, link, title, first_seen, story) VALUES (@tab, @link, @title, @firstSeen, @story)"),
+    feedHealth: db.prepare(`
+      SELECT url, last_attempt_at AS lastAttemptAt, last_success_at AS lastSuccessAt,
+        consecutive_failures AS consecutiveFailures, item_counts AS itemCounts, newest_item_at AS newestItemAt,
+        error_class AS errorClass, last_error AS lastError, quarantined_at AS quarantinedAt, reprobe_at AS reprobeAt
+      FROM feed_health ORDER BY url`),
+    saveFeedHealth: db.prepare(`
+      INSERT OR REPLACE INTO feed_health (url, last_attempt_at, last_success_at, consecutive_failures, item_counts,
+        newest_item_at, error_class, last_error, quarantined_at, reprobe_at)
+      VALUES (@url, @lastAttemptAt, @lastSuccessAt, @consecutiveFailures, @itemCounts,
+        @newestItemAt, @errorClass, @lastError, @quarantinedAt, @reprobeAt)`),
+    feedCache: db.prepare("SELECT url, etag, last_modified AS lastModified, body, fetched_at AS fetchedAt FROM feed_cache WHERE url = ?"),
+    saveFeedCache: db.prepare(`
+      INSERT OR REPLACE INTO feed_cache (url, etag, last_modified, body, fetched_at)
+      VALUES (@url, @etag, @lastModified, @body, @fetchedAt)`),
+    searchPublished: db.prepare(`
+      SELECT b.ymd, p.tab, p.story_key AS storyKey, i.title, i.link, i.source, i.published_at AS publishedAt
+      FROM picks p
+      JOIN items i ON i.link = p.link
+      JOIN briefs b ON b.run_id = p.run_id AND b.tab = p.tab
+      WHERE (i.title LIKE @term OR i.snippet LIKE @term OR b.one_liner LIKE @term)
+        AND b.ymd >= @since AND b.ymd <= @until
+      ORDER BY b.ymd DESC, p.tab, p.source_number`),
+  };
+
+  const upsertItems = db.transaction((items, feedUrl, now) => {
+    for (const it of items) {
+      q.upsertItem.run({
+        link: it.link,
+        title: it.title || "",
+        source: it.source || null,
+        snippet: it.snippet || null,
+        publishedAt: iso(it.publishedAt),
+        feedUrl: feedUrl || null,
+        now,
+      });
+    }
+  });
+
+  const replaceSeen = db.transaction((tab, entries) => {
+    q.clearSeen.run(tab);
+    for (const e of entries) {
+      q.insertSeen.run({ tab, link: e.link || null, title: e.title || null, firstSeen: e.firstSeen, story: e.story || null });
+    }
+  });
+
+  const recordTab = db.transaction(({ runId, ymd, tab, result, payload }) => {
+    q.insertBrief.run({
+      runId,
+      ymd,
+      tab,
+      failed: result.failed ? 1 : 0,
+      provider: result.llm?.provider || null,
+      model: result.llm?.model || null,
+      oneLiner: typeof result.oneLiner === "string" ? result.oneLiner : (result.oneLiner?.text || null),
+      brief: json(result.brief || null),
+      explainerHtml: result.explainerHtml || null,
+      payload: JSON.stringify(payload),
+      createdAt: new Date().toISOString(),
+    });
+    const storyOf = new Map();
+    for (const s of result.stories || []) for (const n of s.sources || []) storyOf.set(n, s.key);
+    (result.items || []).forEach((it, i) => {
+      // Items always come from a fetched feed, but keep the FK safe for callers that build them by hand
+      upsertItems([it], null, new Date().toISOString());
+      q.insertPick.run({
+        runId,
+        tab,
+        storyKey: storyOf.get(i + 1) || null,
+        sourceNumber: i + 1,
+        link: it.link,
+        score: it._score ?? null,
+        breakdown: json(it._scoreBreakdown || null),
+        flags: json({ aiLoose: !!it._aiLoose, aiStrict: !!it._aiStrict, offTopic: !!it._offTopic }),
+      });
+    });
+  });
+
+  return {
+    path: dbPath,
+    readonly,
+
+    startRun({ ymd, startedAt = new Date().toISOString() }) {
+      if (readonly) return null;
+      return Number(q.startRun.run(ymd, startedAt).lastInsertRowid);
+    },
+
+    finishRun(runId, { status, summary = null }) {
+      if (!readonly) q.finishRun.run(new Date().toISOString(), status, json(summary), runId);
+    },
+
+    // Every fetched item (first/last fetch times kept per canonical link)
+    upsertItems(items, { feedUrl } = {}) {
+      if (!readonly && items?.length) upsertItems(items, feedUrl, new Date().toISOString());
+    },
+
+    // One tab's outcome: its brief, the tabs.json entry and each published item
+    recordTab({ runId, ymd, tab, result, payload }) {
+      if (!readonly) recordTab({ runId, ymd, tab, result, payload });
+    },
+
+    // Per-tab render data for a day: [{ tab, payload (tabs.json entry), explainerHtml }]
+    briefsForDay(ymd) {
+      return q.dayBriefs.all(ymd).map(r => ({ tab: r.tab, payload: JSON.parse(r.payload), explainerHtml: r.explainerHtml || "" }));
+    },
+
+    // [{ ymd, generatedAt }] oldest first
+    days() {
+      return q.days.all();
+    },
+
+    hasSeen(tab) {
+      return q.seenCount.get(tab).n > 0;
+    },
+
+    seenEntries(tab) {
+      return q.seenForTab.all(tab);
+    },
+
+    replaceSeen(tab, entries) {
+      if (!readonly) replaceSeen(tab, entries);
+    },
+
+    // Every feed's health record (scripts/feedHealth.js shape)
+    feedHealth() {
+      return q.feedHealth.all().map(r => ({ ...r, itemCounts: JSON.parse(r.itemCounts) }));
+    },
+
+    saveFeedHealth(health) {
+      if (!readonly) q.saveFeedHealth.run({ ...health, itemCounts: JSON.stringify(health.itemCounts || []) });
+    },
+
+    // Last fetched body of a feed with its validators, or null
+    feedCache(url) {
+      return q.feedCache.get(url) || null;
+    },
+
+    saveFeedCache({ url, etag = null, lastModified = null, body }) {
+      if (!readonly) q.saveFeedCache.run({ url, etag, lastModified, body, fetchedAt: new Date().toISOString() });
+    },
+
+    searchPublished(term, { since = "0000-00-00", until = "9999-99-99" } = {}) {
+      return q.searchPublished.all({ term: `%${term}%`, since, until });
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
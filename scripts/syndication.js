@@ -0,0 +1,215 @@
+// scripts/syndication.js
+// Feeds of the daily briefs: RSS 2.0 (feed.xml), Atom (atom.xml) and JSON
+// Feed 1.1 (feed.json) for the whole site, and the same three per tab under
+// feeds/ (feeds/<key>.xml, feeds/<key>.atom.xml, feeds/<key>.json).
+//
+// One entry per day: site-wide it holds every tab's brief, per tab just that
+// tab's. Entries are built from the stored briefs (the tabs.json payloads +
+// explainer HTML, scripts/site.js dayBriefs), so they say what the pages say.
+// Failed tabs (fallback panels) are left out; a day with nothing else is too.
+//
+// All three formats need absolute links and ids, so feeds are only written
+// when config.syndication.siteUrl is set (scripts/site.js skips them otherwise).
+//
+// Pure string building; scripts/site.js writes the files.
+
+import { SITE_TITLE, claimHtml, digestStoriesHtml, toHtmlList } from "./render.js";
+import { htmlEscape, truncate } from "./util.js";
+
+export const DEFAULT_SYNDICATION = {
+  siteUrl: null,
+  days: 30, // newest stored days per feed
+};
+
+const SITE_DESCRIPTION = "A concise daily brief on AI with links to the original sources.";
+const AUTHOR = "newsbriefai";
+
+// Feed file paths (relative to the site dir) for the site (tabKey null) or a tab
+export function feedFiles(tabKey = null) {
+  if (!tabKey) return { rss: "feed.xml", atom: "atom.xml", json: "feed.json" };
+  return { rss: `feeds/${tabKey}.xml`, atom: `feeds/${tabKey}.atom.xml`, json: `feeds/${tabKey}.json` };
+}
+
+// --- Entry content ---------------------------------------------------------------
+
+function sourcesHtml(items) {
+  if (!items?.length) return "";
+  const list = items.map(it => `<li><a href="${htmlEscape(it.link)}">${htmlEscape(it.title)}</a> (${htmlEscape(it.source || "source")})</li>`);
+  return `<h3>Sources</h3>\n<ol>\n${list.join("\n")}\n</ol>`;
+}
+
+// One stored brief → HTML: the one-liner, bullets and explainer (digest: the
+// overview and stories), then the numbered sources its [n] citations point at
+function briefHtml({ payload, explainerHtml }) {
+  const items = payload.sources || [];
+  const body = payload.format === "digest"
+    ? [
+      payload.overview ? `<p>${claimHtml(payload.overview, items)}</p>` : "",
+      `<ol>\n${digestStoriesHtml(payload.stories, items)}\n</ol>`,
+    ]
+    : [
+      `<p><strong>${claimHtml(payload.claims?.oneLiner || payload.oneLiner, items)}</strong></p>`,
+      `<ul>\n${toHtmlList(payload.claims?.bullets || payload.bullets, items)}\n</ul>`,
+      explainerHtml || "",
+    ];
+  return [...body, sourcesHtml(items)].filter(Boolean).join("\n");
+}
+
+function humanDay(ymd) {
+  return new Date(`${ymd}T12:00:00Z`).toLocaleDateString("en-GB", { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+}
+
+// days: [{ ymd, generatedAt, briefs }] newest first → the site's entries
+function siteEntries(days, site) {
+  return days.flatMap(({ ymd, generatedAt, briefs }) => {
+    const ok = briefs.filter(b => !b.payload.failed);
+    if (!ok.length) return [];
+    const lead = ok.find(b => b.tab === site.defaultTab) || ok[0];
+    return [{
+      path: `/archive/${ymd}.html`,
+      title: `${SITE_TITLE} — ${humanDay(ymd)}`,
+      summary: lead.payload.oneLiner || "",
+      html: ok.map(b => `<h2>${htmlEscape(b.payload.label || b.tab)}</h2>\n${briefHtml(b)}`).join("\n"),
+      date: generatedAt,
+      tags: Array.from(new Set(ok.flatMap(b => b.payload.tags || []))),
+    }];
+  });
+}
+
+function tabEntries(days, tab) {
+  return days.flatMap(({ ymd, generatedAt, briefs }) => {
+    const brief = briefs.find(b => b.tab === tab.key && !b.payload.failed);
+    if (!brief) return [];
+    return [{
+      path: `/archive/${ymd}.html`,
+      fragment: tab.key,
+      title: `${tab.label} — ${humanDay(ymd)}`,
+      summary: brief.payload.oneLiner || "",
+      html: briefHtml(brief),
+      date: generatedAt,
+      tags: brief.payload.tags || [],
+    }];
+  });
+}
+
+// --- Formats -------------------------------------------------------------------
+
+function xmlEscape(s = "") {
+  return String(s)
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function rssFeed(feed) {
+  const items = feed.entries.map(e => `    <item>
+      <title>${xmlEscape(e.title)}</title>
+      <link>${xmlEscape(e.url)}</link>
+      <guid isPermaLink="false">${xmlEscape(e.id)}</guid>
+      <pubDate>${new Date(e.date).toUTCString()}</pubDate>
+      <description>${xmlEscape(e.summary)}</description>
+      <content:encoded>${xmlEscape(e.html)}</content:encoded>
+${e.tags.map(t => `      <category>${xmlEscape(t)}</category>\n`).join("")}    </item>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${xmlEscape(feed.title)}</title>
+    <link>${xmlEscape(feed.homeUrl)}</link>
+    <description>${xmlEscape(feed.description)}</description>
+    <language>en-gb</language>
+${feed.updated ? `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>\n` : ""}    <atom:link href="${xmlEscape(feed.urls.rss)}" rel="self" type="application/rss+xml" />
+${items.join("\n")}${items.length ? "\n" : ""}  </channel>
+</rss>
+`;
+}
+
+function atomFeed(feed) {
+  const entries = feed.entries.map(e => `  <entry>
+    <id>${xmlEscape(e.id)}</id>
+    <title>${xmlEscape(e.title)}</title>
+    <link rel="alternate" type="text/html" href="${xmlEscape(e.url)}" />
+    <published>${new Date(e.date).toISOString()}</published>
+    <updated>${new Date(e.date).toISOString()}</updated>
+    <summary>${xmlEscape(e.summary)}</summary>
+    <content type="html">${xmlEscape(e.html)}</content>
+${e.tags.map(t => `    <category term="${xmlEscape(t)}" />\n`).join("")}  </entry>`);
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">
+  <id>${xmlEscape(feed.id)}</id>
+  <title>${xmlEscape(feed.title)}</title>
+  <subtitle>${xmlEscape(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${xmlEscape(feed.homeUrl)}" />
+  <link rel="self" type="application/atom+xml" href="${xmlEscape(feed.urls.atom)}" />
+  <updated>${new Date(feed.updated || 0).toISOString()}</updated>
+  <author><name>${xmlEscape(AUTHOR)}</name></author>
+${entries.join("\n")}${entries.length ? "\n" : ""}</feed>
+`;
+}
+
+function jsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    description: feed.description,
+    language: "en-GB",
+    authors: [{ name: AUTHOR }],
+    items: feed.entries.map(e => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      summary: truncate(e.summary, 500),
+      content_html: e.html,
+      date_published: new Date(e.date).toISOString(),
+      tags: e.tags,
+    })),
+  }, null, 2);
+}
+
+// --- Feeds ---------------------------------------------------------------------
+
+/**
+ * days: [{ ymd, generatedAt, briefs }] (briefs as dayBriefs returns them), in
+ * any order; site: the tabs config (config.syndication for the site URL and
+ * how many days to keep). Throws without a siteUrl.
+ * Returns { [path relative to the site dir]: file content } for the site-wide
+ * feeds and each tab's.
+ */
+export function renderFeeds(days, site) {
+  const { siteUrl, days: keep } = { ...DEFAULT_SYNDICATION, ...(site.syndication || {}) };
+  if (!siteUrl) throw new Error("Feeds need config.syndication.siteUrl (absolute links)");
+  const base = siteUrl.replace(/\/+$/, "");
+  const url = (p) => `${base}${p}`;
+  const recent = [...days].sort((a, b) => b.ymd.localeCompare(a.ymd)).slice(0, keep);
+
+  const feed = (files, { title, description, entries }) => {
+    const urls = { rss: url(`/${files.rss}`), atom: url(`/${files.atom}`), json: url(`/${files.json}`) };
+    const doc = {
+      id: urls.atom,
+      title,
+      description,
+      homeUrl: url("/"),
+      urls,
+      updated: entries[0]?.date || recent[0]?.generatedAt || null,
+      entries: entries.map(e => {
+        // A tab's entry links to its panel (render.js gives it the tab key as id)
+        const link = url(e.fragment ? `${e.path}#${e.fragment}` : e.path);
+        return { ...e, url: link, id: link };
+      }),
+    };
+    return { [files.rss]: rssFeed(doc), [files.atom]: atomFeed(doc), [files.json]: jsonFeed(doc) };
+  };
+
+  const out = feed(feedFiles(), { title: SITE_TITLE, description: SITE_DESCRIPTION, entries: siteEntries(recent, site) });
+  for (const tab of site.tabs) {
+    Object.assign(out, feed(feedFiles(tab.key), {
+      title: `${tab.label} · ${SITE_TITLE}`,
+      description: tab.description,
+      entries: tabEntries(recent, tab),
+    }));
+  }
+  return out;
+}
@@ -0,0 +1,138 @@
+// scripts/urls.js
+// URL canonicaliser: one form per article, whatever feed it came from.
+//
+//   - unwraps feed redirectors (go.theregister.com/feed/www.theregister.com/...)
+//     and AMP caches (*.cdn.ampproject.org/c/s/...)
+//   - strips tracking params (utm_*, BBC at_*, click ids, ?src=rss ...)
+//   - folds host aliases (bbc.co.uk → bbc.com, amp.theguardian.com → theguardian.com)
+//     and the AMP paths of publishers known to serve them (BBC .amp, Register
+//     /amp/ ...); the generic AMP forms (/amp, .amp, ?amp=1) only for pages
+//     that came from an AMP cache, since elsewhere /tags/amp/ is a real page
+//   - lowercases the host, drops default ports and #fragments
+//
+// canonicalUrl() is used for every link that is keyed (seen caches, cross-tab
+// de-dupe), displayed, or counted for host diversity (publisherHost()).
+
+// Always tracking, whatever the value
+const TRACKING_PARAM_RES = [
+  /^utm_/i,
+  /^at_/i, // BBC: at_medium, at_campaign, at_custom1...
+  /^(fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|_hsenc|_hsmi|ocid|cmpid|ncid|guccounter|guce_referrer\w*|sr_share|ito|cmp)$/i,
+];
+
+// Only tracking when the value says "came from a feed" (?src=rss, ?ref=rss)
+const FEED_SOURCE_PARAMS = ["src", "ref", "source", "from"];
+const FEED_SOURCE_VALUE_RE = /^(rss|atom|feed|feeds|rss2|rssfeed)$/i;
+
+const AMP_PARAMS = ["amp", "outputtype"];
+
+// Publisher host (after HOST_ALIASES) → [path pattern, replacement] turning
+// its AMP page back into the article page
+const AMP_PATHS = new Map([
+  ["www.bbc.com", [[/\.amp$/i, ""]]], // /news/articles/c0abc.amp
+  ["www.theregister.com", [[/^\/amp\//i, "/"]]], // /AMP/2025/06/01/story/
+  ["techcrunch.com", [[/\/amp\/?$/i, "/"]]], // /2025/06/01/story/amp/
+  ["www.theverge.com", [[/^\/platform\/amp\//i, "/"]]],
+  ["www.zdnet.com", [[/^\/google-amp\//i, "/"]]],
+]);
+
+// Any page served from an AMP cache is an AMP page, whatever its host
+const GENERIC_AMP_PATHS = [
+  [/\/amp\/?$/i, "/"],
+  [/^\/amp\//i, "/"],
+  [/\.amp(\.html)?$/i, "$1"],
+];
+const AMP_CACHE_HOST_RE = /\.cdn\.ampproject\.org$/i;
+
+// host → host every alias should be reported as
+const HOST_ALIASES = new Map([
+  ["bbc.co.uk", "www.bbc.com"],
+  ["www.bbc.co.uk", "www.bbc.com"],
+  ["m.bbc.co.uk", "www.bbc.com"],
+  ["bbc.com", "www.bbc.com"],
+  ["m.bbc.com", "www.bbc.com"],
+  ["amp.theguardian.com", "www.theguardian.com"],
+  ["theguardian.com", "www.theguardian.com"],
+]);
+
+// Redirector hosts that carry the real URL in the path: /feed/<host>/<path>
+const PATH_REDIRECTORS = [
+  { host: /^go\.theregister\.(com|co\.uk)$/i, re: /^\/feed\/([^/]+\.[^/]+)(\/.*)?$/ },
+  // Google AMP cache: /c/s/<host>/<path> (s = https) or /c/<host>/<path>
+  { host: AMP_CACHE_HOST_RE, re: /^\/[a-z]\/(?:s\/)?([^/]+\.[^/]+)(\/.*)?$/ },
+];
+
+function unwrapRedirector(u) {
+  for (const { host, re } of PATH_REDIRECTORS) {
+    if (!host.test(u.hostname)) continue;
+    const m = u.pathname.match(re);
+    if (m) return new URL(`https://${m[1]}${m[2] || "/"}${u.search}`);
+  }
+  return u;
+}
+
+// fromAmpCache: the URL was unwrapped from an AMP cache, so the generic AMP
+// forms apply too
+function stripAmp(u, fromAmpCache) {
+  const rules = [...(AMP_PATHS.get(u.hostname) || []), ...(fromAmpCache ? GENERIC_AMP_PATHS : [])];
+  for (const [re, to] of rules) u.pathname = u.pathname.replace(re, to);
+  if (!fromAmpCache) return;
+  for (const p of [...u.searchParams.keys()]) {
+    if (AMP_PARAMS.includes(p.toLowerCase()) && /^(1|true|amp)$/i.test(u.searchParams.get(p) || "1")) {
+      u.searchParams.delete(p);
+    }
+  }
+}
+
+function stripTracking(u) {
+  for (const p of [...u.searchParams.keys()]) {
+    const value = u.searchParams.get(p) || "";
+    if (TRACKING_PARAM_RES.some(re => re.test(p))) u.searchParams.delete(p);
+    else if (FEED_SOURCE_PARAMS.includes(p.toLowerCase()) && FEED_SOURCE_VALUE_RE.test(value)) u.searchParams.delete(p);
+  }
+}
+
+/**
+ * Canonical form of an article URL. Unparseable input is returned trimmed.
+ */
+export function canonicalUrl(raw) {
+  const input = String(raw || "").trim();
+  let u;
+  try {
+    u = new URL(input);
+  } catch {
+    return input;
+  }
+  if (!/^https?:$/.test(u.protocol)) return input;
+
+  // Redirectors can nest (AMP cache of a redirector); a few rounds is plenty
+  let fromAmpCache = false;
+  for (let i = 0; i < 3; i++) {
+    if (AMP_CACHE_HOST_RE.test(u.hostname)) fromAmpCache = true;
+    const next = unwrapRedirector(u);
+    if (next === u) break;
+    u = next;
+  }
+
+  u.hostname = u.hostname.toLowerCase().replace(/\.$/, "");
+  u.hostname = HOST_ALIASES.get(u.hostname) || u.hostname;
+  stripAmp(u, fromAmpCache);
+  if ((u.protocol === "https:" && u.port === "443") || (u.protocol === "http:" && u.port === "80")) u.port = "";
+  stripTracking(u);
+  u.hash = "";
+
+  // URL keeps a bare "?" when every param was removed
+  return u.toString().replace(/\?$/, "");
+}
+
+/**
+ * Publisher host for display + host diversity ("theregister.com", not
+ * "go.theregister.com"). "" if the URL can't be parsed.
+ */
+export function publisherHost(raw) {
+  try {
+    return new URL(canonicalUrl(raw)).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
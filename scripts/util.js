@@ -0,0 +1,104 @@
+// scripts/util.js
+// Small helpers shared by the generator modules: text normalisation, dates
+// (read from scripts/clock.js so replays see the recorded "now"), the AI /
+// off-topic classifiers, cross-tab keys and atomic file writes.
+
+import fs from "fs/promises";
+import path from "path";
+import sanitizeHtml from "sanitize-html";
+import { now } from "./clock.js";
+import { canonicalUrl } from "./urls.js";
+
+export function truncate(text = "", n = 600) {
+  return text.length > n ? text.slice(0, n) + "…" : text;
+}
+
+export function todayYMD() {
+  const d = new Date(now());
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${dd}`;
+}
+
+export function isoAndHumanDate() {
+  const d = new Date(now());
+  return {
+    iso: d.toISOString(),
+    human: d.toLocaleDateString("en-GB", { year: "numeric", month: "long", day: "numeric" }),
+  };
+}
+
+export function htmlEscape(s = "") {
+  return s.replace(/[&<>"']/g, (m) => ({
+    "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;",
+  }[m]));
+}
+
+export function normalizeTitle(s = "") {
+  return s.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+export function normalizeKey(s = "") {
+  return normalizeTitle(String(s || "")).replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+export function isFresh(dateObj, maxHours) {
+  if (!dateObj || isNaN(dateObj.getTime())) return false;
+  const ageMs = now() - dateObj.getTime();
+  return ageMs >= 0 && ageMs <= maxHours * 3600 * 1000;
+}
+
+export function ageHours(dateObj) {
+  if (!dateObj || isNaN(dateObj.getTime())) return null;
+  return Math.round(((now() - dateObj.getTime()) / 3600000) * 10) / 10;
+}
+
+// AI Loose / Strict + Off-topic (already present in your logs)
+const AI_LOOSE_RE =
+  /(ai|artificial intelligence|machine learning|ml|llm|large language|chatgpt|openai|anthropic|gemini|copilot|deepmind|model|inference|fine[-\s]?tune|prompt|agentic|agents|safety|alignment|hallucinat|dataset|training|neural|generative|diffusion)/i;
+
+const AI_STRICT_RE =
+  /(artificial intelligence|\bai\b|machine learning|\bml\b|\bllm\b|large language model|openai|chatgpt|gpt-?4|gpt-?5|anthropic|claude|gemini|copilot|deepmind|llama|mistral|transformer|diffusion|inference|fine[-\s]?tuning|prompt injection|agentic|ai safety|alignment|arxiv)/i;
+
+const OFFTOPIC_RE =
+  /(gift guide|gift|deal|discount|sale|percent off|best (of|for)|review|tested|hands-on|buy now|price drop|shopping|to keep you toasty|which .* should you buy|top \d+|smartphone|laptop|headphones|video game|gaming)/i;
+
+export function aiLoose(it) {
+  const h = `${it.source} ${it.title} ${it.snippet}`.toLowerCase();
+  return AI_LOOSE_RE.test(h);
+}
+export function aiStrict(it) {
+  const h = `${it.source} ${it.title} ${it.snippet}`.toLowerCase();
+  return AI_STRICT_RE.test(h);
+}
+export function offTopic(it) {
+  const h = `${it.source} ${it.title} ${it.snippet}`.toLowerCase();
+  return OFFTOPIC_RE.test(h);
+}
+
+export function makeCrossTabKey(item) {
+  try {
+    const u = new URL(canonicalUrl(item.link));
+    const host = u.hostname.replace(/^www\./, "");
+    const pathPart = (u.pathname || "").replace(/\/+$/, "");
+    return `${host}${pathPart}`.toLowerCase();
+  } catch {
+    return `title:${normalizeKey(item.title)}`;
+  }
+}
+
+export function sanitizeExplainer(explainerText) {
+  return sanitizeHtml(explainerText, {
+    allowedTags: ["p", "em", "strong", "ul", "ol", "li", "a", "br", "sup"],
+    allowedAttributes: { a: ["href", "title", "target", "rel"], sup: ["class"] },
+    allowedSchemes: ["http", "https", "mailto"],
+  });
+}
+
+export async function writeFileAtomic(filePath, content) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = filePath + ".tmp";
+  await fs.writeFile(tmp, content, "utf8");
+  await fs.rename(tmp, filePath);
+}
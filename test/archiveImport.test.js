@@ -0,0 +1,31 @@
+// Archive import (scripts/archiveImport.js) against panels cut from a real
+// archive page whose titles and links were escaped twice.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { decodeEntities, parseArchiveHtml } from "../scripts/archiveImport.js";
+import { canonicalUrl } from "../scripts/urls.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "archive", "double-escaped.html");
+
+test("decodeEntities undoes double escaping", () => {
+  assert.equal(decodeEntities("Epilogue&amp;#8217;s new dock"), "Epilogue’s new dock");
+  assert.equal(decodeEntities("?a=1&amp;amp;b=2"), "?a=1&b=2");
+  assert.equal(decodeEntities("A&amp;E"), "A&E");
+});
+
+test("double-escaped titles and links come out clean and canonical", async () => {
+  const { tabs } = parseArchiveHtml(await fs.readFile(FIXTURE, "utf8"));
+  assert.deepEqual(tabs.map(t => t.key), ["business", "work"]);
+
+  const [business, work] = tabs;
+  assert.equal(business.sources[2].title, "Turn your PC into a Super Nintendo with Epilogue’s new USB dock");
+  assert.ok(tabs.flatMap(t => t.sources).every(s => !/&(amp|#\d+);/.test(`${s.title} ${s.link}`)));
+
+  const fastCompany = work.sources[0].link;
+  assert.equal(fastCompany, "https://www.fastcompany.com/91467593/humanoid-robots-summit-uphill-battle?partner=rss&utm_source=rss&utm_medium=feed&utm_campaign=rss+fastcompany&utm_content=rss");
+  assert.equal(canonicalUrl(fastCompany), "https://www.fastcompany.com/91467593/humanoid-robots-summit-uphill-battle?partner=rss");
+});
@@ -0,0 +1,158 @@
+// Full-text enrichment: boilerplate stripping, robots.txt rules, and the
+// enricher's allow-list, robots checks (redirects included) and disk cache
+// against a local server.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { excerptOf, extractArticleText, createArticleEnricher, parseRobots, robotsAllows } from "../scripts/articles.js";
+import { freezeClock } from "../scripts/clock.js";
+import { buildPromptForTab } from "../scripts/prompts.js";
+import { ARTICLES_DIR, FIXTURE_NOW, startServer } from "./helpers.js";
+
+const FAST = { timeout: 5000, backoffMs: 1 };
+const DAY = 24 * 3600 * 1000;
+
+let newsHtml;
+let server;
+before(async () => {
+  freezeClock(FIXTURE_NOW);
+  newsHtml = await fs.readFile(path.join(ARTICLES_DIR, "news.html"), "utf8");
+  server = await startServer((req, res) => {
+    if (req.url === "/robots.txt") {
+      res.writeHead(200, { "content-type": "text/plain" });
+      return res.end("User-agent: *\nDisallow: /private/\n");
+    }
+    // /moved/<where>: off the allow-list (localhost), into /private/, or fine
+    const moved = { "/moved/elsewhere": `http://localhost:${req.socket.localPort}/2025/06/elsewhere`, "/moved/private": "/private/moved", "/moved/ok": "/2025/06/moved" }[req.url];
+    if (moved) {
+      res.writeHead(302, { location: moved });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": "text/html; charset=utf-8" });
+    res.end(newsHtml);
+  });
+});
+after(() => server.close());
+
+async function tmpDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "articles-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const item = (link, snippet = "Regulator opens inquiry.") => ({ title: "Inquiry", link, snippet, source: "example.test" });
+
+test("extractArticleText keeps the article's prose and drops the boilerplate", async () => {
+  const text = extractArticleText(newsHtml);
+  assert.deepEqual(text.split("\n\n"), [
+    "The Information Commissioner’s Office said on Monday it would examine how automated screening tools rank job applicants, after complaints from candidates.",
+    "The inquiry will look at whether employers using the tools can explain their decisions — and whether applicants were told software was involved.",
+    "Three vendors have been asked for documentation & test results. The regulator expects to report its findings in the autumn.",
+  ]);
+
+  // No prose paragraphs: the meta description stands in
+  const abstract = await fs.readFile(path.join(ARTICLES_DIR, "abstract.html"), "utf8");
+  assert.equal(extractArticleText(abstract), "We introduce a benchmark for long-context retrieval & reasoning in language models.");
+  assert.equal(extractArticleText("<html><body><nav>Home</nav></body></html>"), "");
+});
+
+test("excerptOf cuts at a sentence end when one is near the limit", () => {
+  const text = extractArticleText(newsHtml);
+  assert.equal(excerptOf("Short.", 100), "Short.");
+  const excerpt = excerptOf(text, 200);
+  assert.ok(excerpt.length <= 200);
+  assert.ok(excerpt.endsWith("candidates."));
+  assert.equal(excerptOf("word ".repeat(60), 100).length, 100);
+});
+
+test("robots.txt: our own group wins over *, and the longest rule wins", () => {
+  const robots = [
+    "User-agent: *",
+    "Disallow: /",
+    "",
+    "User-agent: NewsBriefAI",
+    "Disallow: /drafts/",
+    "Allow: /drafts/public/",
+    "Disallow: /*.pdf$",
+    "Disallow:",
+  ].join("\n");
+  const rules = parseRobots(robots);
+  assert.equal(robotsAllows(rules, "/2025/06/story"), true);
+  assert.equal(robotsAllows(rules, "/drafts/x"), false);
+  assert.equal(robotsAllows(rules, "/drafts/public/x"), true);
+  assert.equal(robotsAllows(rules, "/paper.pdf"), false);
+  assert.equal(robotsAllows(rules, "/paper.pdf?v=2"), true);
+
+  assert.equal(robotsAllows(parseRobots(robots, "otherbot"), "/2025/06/story"), false);
+  assert.equal(robotsAllows(parseRobots(""), "/anything"), true);
+});
+
+test("only thin snippets on allowed hosts and robots-permitted paths are fetched", async (t) => {
+  const enricher = createArticleEnricher({
+    settings: { allow: ["127.0.0.1"], excerptChars: 200 },
+    cacheDir: await tmpDir(t),
+    fetchOptions: FAST,
+  });
+  const port = new URL(server.origin).port;
+  const items = [
+    item(`${server.origin}/2025/06/inquiry?utm_source=rss`),
+    item(`${server.origin}/private/draft`),
+    item(`${server.origin}/2025/06/long`, "x".repeat(400)),
+    item(`http://localhost:${port}/2025/06/inquiry`),
+  ];
+  const count = await enricher.enrich(items);
+
+  assert.equal(count, 1);
+  assert.ok(items[0].excerpt.startsWith("The Information Commissioner’s Office"));
+  assert.ok(items[0].excerpt.length <= 200);
+  assert.deepEqual(items.slice(1).map(it => it.excerpt), [undefined, undefined, undefined]);
+  assert.deepEqual(server.requests.filter(r => r !== "/robots.txt"), ["/2025/06/inquiry"]);
+});
+
+test("every redirect hop is re-checked against the allow-list and robots.txt", async (t) => {
+  const enricher = createArticleEnricher({ settings: { allow: ["127.0.0.1"] }, cacheDir: await tmpDir(t), fetchOptions: FAST });
+  const texts = await Promise.all(["elsewhere", "private", "ok"].map(where => enricher.textFor(`${server.origin}/moved/${where}`)));
+
+  assert.deepEqual(texts.map(text => /^The Information Commissioner/.test(text || "")), [false, false, true]);
+  assert.ok(server.requests.includes("/2025/06/moved"));
+  assert.ok(!server.requests.includes("/2025/06/elsewhere"));
+  assert.ok(!server.requests.includes("/private/moved"));
+});
+
+test("extracted text is cached on disk until it is cacheDays old", async (t) => {
+  const cacheDir = await tmpDir(t);
+  const url = `${server.origin}/2025/06/cached`;
+  const open = () => createArticleEnricher({ settings: { allow: ["127.0.0.1"], cacheDays: 30 }, cacheDir, fetchOptions: FAST });
+  const fetches = () => server.requests.filter(r => r === "/2025/06/cached").length;
+
+  await open().textFor(url);
+  assert.equal(fetches(), 1);
+  assert.equal((await fs.readdir(cacheDir)).length, 1);
+
+  assert.match(await open().textFor(url), /^The Information Commissioner/);
+  assert.equal(fetches(), 1);
+
+  freezeClock(new Date(Date.parse(FIXTURE_NOW) + 31 * DAY).toISOString());
+  try {
+    await open().textFor(url);
+    assert.equal(fetches(), 2);
+  } finally {
+    freezeClock(FIXTURE_NOW);
+  }
+});
+
+test("the prompt shows excerpts only when an item has one", () => {
+  const plain = item("https://example.test/a");
+  const stories = (sources) => [{ outlets: 1, sources }];
+
+  const without = buildPromptForTab(stories([plain]));
+  assert.doesNotMatch(without, /Article excerpt:/);
+  assert.match(without, /RSS titles \+ snippets only/);
+
+  const withExcerpt = buildPromptForTab(stories([{ ...plain, excerpt: "Three vendors have been asked for documentation." }]));
+  assert.match(withExcerpt, /Snippet: Regulator opens inquiry\.\nArticle excerpt: Three vendors have been asked for documentation\./);
+  assert.match(withExcerpt, /supported by the provided snippets\/excerpts\/titles/);
+});
@@ -0,0 +1,208 @@
+// Review queue: draft edits (text, dropped/swapped/added sources and the
+// renumbering they cause), and stage → review server → publish end to end
+// against the stub feed server, checking only published sources become seen.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { freezeClock } from "../scripts/clock.js";
+import { generateCommand, publishCommand } from "../scripts/commands.js";
+import { EditError, applyEdits, createDraft, loadDraft, publishedEntries } from "../scripts/drafts.js";
+import { createReviewServer } from "../scripts/reviewServer.js";
+import { loadIndexTemplate } from "../scripts/render.js";
+import { outPaths } from "../scripts/site.js";
+import { openStore } from "../scripts/store.js";
+import { FIXTURE_NOW, briefJson, startFeedServer, stubLlm, testConfig } from "./helpers.js";
+
+const TEMPLATE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "templates", "index.template.html");
+const YMD = "2025-06-02";
+
+let server;
+before(async () => {
+  freezeClock(FIXTURE_NOW);
+  server = await startFeedServer();
+});
+after(() => server.close());
+
+const src = (n) => ({ title: `Story ${n}`, link: `https://s${n}.test/a`, source: `s${n}.test`, publishedAt: FIXTURE_NOW, score: n });
+const claim = (text, sources) => ({ text, sources });
+
+// Three sources: story a = [1, 2], story b = [3]; two candidates
+function briefDraft() {
+  return createDraft({
+    ymd: YMD,
+    payload: {
+      key: "news",
+      label: "News AI",
+      format: "brief",
+      failed: false,
+      freshnessUsed: 24,
+      oneLiner: "One.",
+      bullets: ["B1.", "B2."],
+      tags: [],
+      overview: null,
+      claims: {
+        oneLiner: claim("One.", [1]),
+        bullets: [claim("B1.", [1, 2]), claim("B2.", [3])],
+        explainer: [[claim("P1a.", [1]), claim("P1b.", [2])], [claim("P2.", [3])]],
+      },
+      stories: [
+        { key: "a", title: "Story 1", link: src(1).link, outlets: 2, size: 2, score: 1, sources: [1, 2], otherLinks: ["https://other.test/a"] },
+        { key: "b", title: "Story 3", link: src(3).link, outlets: 1, size: 1, score: 3, sources: [3], otherLinks: [] },
+      ],
+      sources: [src(1), src(2), src(3)],
+    },
+    explainerHtml: "<p>P1a. P1b.</p>",
+    candidates: [{ ...src(4), snippet: "four" }, { ...src(5), snippet: "five" }],
+  });
+}
+
+test("text edits keep the sources of the text they replace", () => {
+  const draft = applyEdits(briefDraft(), {
+    oneLiner: "  The  new one-liner. ",
+    bullets: ["", "B2 edited."],
+    explainer: ["P1 rewritten as one.", "P2."],
+  });
+  const { claims } = draft.payload;
+  assert.deepEqual(claims.oneLiner, claim("The new one-liner.", [1]));
+  assert.deepEqual(claims.bullets, [claim("B2 edited.", [3])]);
+  assert.deepEqual(claims.explainer, [[claim("P1 rewritten as one.", [1, 2])], [claim("P2.", [3])]]);
+  assert.equal(draft.payload.oneLiner, "The new one-liner.");
+  assert.deepEqual(draft.payload.bullets, ["B2 edited."]);
+  assert.match(draft.explainerHtml, /P1 rewritten as one\.<sup class="cite"><a href="https:\/\/s1\.test\/a"/);
+  assert.equal(draft.payload.edited, true);
+
+  assert.throws(() => applyEdits(briefDraft(), { oneLiner: " " }), EditError);
+  assert.equal(applyEdits(briefDraft(), {}).payload.edited, false);
+});
+
+test("dropping, swapping and adding sources renumbers every claim and story", () => {
+  const draft = applyEdits(briefDraft(), { sources: { 1: "drop", 3: "replace:1" }, add: ["0"] });
+  const p = draft.payload;
+
+  // 2 → 1, 3 swapped for candidate 1 (Story 5) → 2, candidate 0 (Story 4) added → 3
+  assert.deepEqual(p.sources.map(s => s.title), ["Story 2", "Story 5", "Story 4"]);
+  assert.ok(p.sources.every(s => !("snippet" in s)));
+  assert.deepEqual(p.claims.oneLiner.sources, []);
+  assert.deepEqual(p.claims.bullets.map(b => b.sources), [[1], [2]]);
+  assert.deepEqual(p.claims.explainer.map(para => para.map(c => c.sources)), [[[], [1]], [[2]]]);
+
+  // Story a lost its lead (now Story 2); b's lead was swapped; the added candidate is a story
+  assert.deepEqual(p.stories.map(s => [s.title, s.sources]), [["Story 2", [1]], ["Story 5", [2]], ["Story 4", [3]]]);
+  assert.equal(p.stories[1].link, src(5).link);
+  assert.deepEqual(p.stories[0].otherLinks, ["https://other.test/a"]);
+
+  // What left the brief is offered again
+  assert.deepEqual(draft.candidates.map(c => c.title), ["Story 1", "Story 3"]);
+
+  assert.throws(() => applyEdits(briefDraft(), { sources: { 1: "drop", 2: "drop", 3: "drop" } }), /at least one source/);
+  assert.throws(() => applyEdits(briefDraft(), { sources: { 1: "replace:0", 2: "replace:0" } }), /No candidate 0/);
+});
+
+test("digest edits: overview, headlines and one summary sentence per line", () => {
+  const draft = briefDraft();
+  draft.payload = {
+    ...draft.payload,
+    format: "digest",
+    claims: null,
+    stories: [
+      { ...draft.payload.stories[0], headline: claim("Head A", [1, 2]), summary: [claim("Sum A.", [1])] },
+      { ...draft.payload.stories[1], headline: claim("Head B", [3]), summary: [claim("Sum B.", [3])] },
+    ],
+  };
+  const edited = applyEdits(draft, { overview: "Overview.", headlines: ["Head A", "New B"], summaries: ["Sum A.\nAnother.", ""] });
+  const p = edited.payload;
+  assert.deepEqual(p.overview, claim("Overview.", [1, 2, 3]));
+  assert.equal(p.oneLiner, "Overview.");
+  assert.deepEqual(p.stories[1].headline, claim("New B", [3]));
+  assert.deepEqual(p.stories[0].summary, [claim("Sum A.", [1]), claim("Another.", [1, 2])]);
+  assert.deepEqual(p.stories[1].summary, []);
+  assert.throws(() => applyEdits(draft, { headlines: ["", "B"] }), /Story 1 needs a headline/);
+
+  // Dropping story b's only source drops the story
+  assert.deepEqual(applyEdits(draft, { sources: { 3: "drop" } }).payload.stories.map(s => s.key), ["a"]);
+});
+
+test("publishing marks seen what the draft kept, not what the editor dropped", () => {
+  const draft = applyEdits(briefDraft(), { sources: { 2: "drop" } });
+  assert.deepEqual(publishedEntries(draft).map(e => [e.link, e.story]), [
+    [src(1).link, "a"],
+    ["https://other.test/a", "a"],
+    [src(3).link, "b"],
+  ]);
+});
+
+test("stage → review → publish", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "drafts-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const config = testConfig([{ key: "news", primary: [server.url("fresh")], secondary: [server.url("wider")] }]);
+  const ctx = {
+    config,
+    paths: {
+      root: dir,
+      stateDir: dir,
+      dbPath: path.join(dir, "newsbrief.sqlite"),
+      template: TEMPLATE,
+      changelog: path.join(dir, "changelog.json"),
+      drafts: path.join(dir, "drafts"),
+    },
+    out: outPaths(path.join(dir, "public")),
+    dryRun: false,
+    llmByTab: new Map([["news", stubLlm(briefJson())]]),
+    recorder: null,
+    replay: null,
+    fetchOptions: { timeout: 5000 },
+  };
+  const seenFile = path.join(dir, config.tabsByPriority[0].seenFile);
+
+  assert.equal(await generateCommand(ctx, { date: YMD, stage: true }), 0);
+  const staged = await loadDraft(ctx.paths.drafts, YMD, "news");
+  assert.equal(staged.status, "pending");
+  assert.ok(staged.candidates.length > 0);
+  assert.ok(staged.candidates.every(c => !staged.payload.sources.some(s => s.link === c.link)));
+  assert.match(await fs.readFile(path.join(ctx.paths.drafts, YMD, "preview.html"), "utf8"), /data-tab="news"/);
+  // Nothing published yet: no pages, no seen cache, and the item store
+  // (briefs, items, feed cache + health) never opened for writing
+  await assert.rejects(fs.access(ctx.out.index));
+  await assert.rejects(fs.access(seenFile));
+  await assert.rejects(fs.access(ctx.paths.dbPath));
+
+  const review = createReviewServer({ root: ctx.paths.drafts, ymd: YMD, config, tpl: await loadIndexTemplate(TEMPLATE) });
+  await new Promise(resolve => review.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => review.close(resolve)));
+  const origin = `http://127.0.0.1:${review.address().port}`;
+
+  assert.match(await (await fetch(`${origin}/`)).text(), /<td class="status">pending<\/td>/);
+  const form = await (await fetch(`${origin}/tab/news`)).text();
+  assert.match(form, /name="source_1"/);
+
+  const dropped = staged.payload.sources[0].link;
+  const post = (body) => fetch(`${origin}/tab/news`, { method: "POST", body: new URLSearchParams(body), redirect: "manual" });
+  assert.equal((await post({ oneLiner: "", action: "save" })).status, 400);
+  const res = await post({ oneLiner: "Edited by hand.", source_1: "drop", action: "approve" });
+  assert.equal(res.status, 303);
+  const approved = await loadDraft(ctx.paths.drafts, YMD, "news");
+  assert.equal(approved.status, "approved");
+  assert.equal(approved.payload.oneLiner, "Edited by hand.");
+  assert.ok(approved.candidates.some(c => c.link === dropped));
+
+  assert.equal(await publishCommand(ctx, { date: YMD }), 0);
+  assert.equal((await loadDraft(ctx.paths.drafts, YMD, "news")).status, "published");
+  const tabsJson = JSON.parse(await fs.readFile(ctx.out.tabsJson, "utf8"));
+  assert.equal(tabsJson.tabs[0].oneLiner, "Edited by hand.");
+  assert.match(await fs.readFile(ctx.out.index, "utf8"), /Edited by hand\./);
+
+  const store = openStore(ctx.paths.dbPath, { readonly: true });
+  t.after(() => store.close());
+  assert.equal(store.briefsForDay(YMD)[0].payload.oneLiner, "Edited by hand.");
+  const seenLinks = store.seenEntries("news").map(e => e.link);
+  assert.ok(approved.payload.sources.every(s => seenLinks.includes(s.link)));
+  assert.ok(!seenLinks.includes(dropped));
+  assert.ok(!approved.candidates.some(c => seenLinks.includes(c.link)));
+
+  // Published drafts are final
+  assert.equal((await post({ action: "reject" })).status, 400);
+});
@@ -0,0 +1,176 @@
+// The feed fetch layer against local servers: redirects, conditional GET,
+// retries, the size cap, and lenient XML repair through the loader.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { fetchFeedBody, repairFeedXml } from "../scripts/feedFetch.js";
+import { createFeedLoader } from "../scripts/feeds.js";
+import { openStore } from "../scripts/store.js";
+import { FEEDS_DIR, startServer } from "./helpers.js";
+
+const FAST = { timeout: 5000, backoffMs: 1 };
+
+let freshXml;
+let other; // a second origin, for cross-server redirects
+let server;
+const flaky = new Map(); // path → failures left
+let notModified = 0; // 304s sent
+
+before(async () => {
+  freshXml = await fs.readFile(path.join(FEEDS_DIR, "fresh.xml"), "utf8");
+  other = await startServer((req, res) => {
+    res.writeHead(200, { "content-type": "application/rss+xml" });
+    res.end(freshXml);
+  });
+  server = await startServer(async (req, res) => {
+    const url = new URL(req.url, "http://x");
+    switch (url.pathname) {
+      case "/moved":
+        res.writeHead(301, { location: `${other.origin}/feed.xml` });
+        return res.end();
+      case "/relative":
+        res.writeHead(302, { location: "/cached" });
+        return res.end();
+      case "/to-https":
+        // Plain HTTP port, so the TLS handshake fails; what matters is that it is attempted
+        res.writeHead(301, { location: `https://127.0.0.1:${new URL(other.origin).port}/feed.xml` });
+        return res.end();
+      case "/loop":
+        res.writeHead(302, { location: "/loop" });
+        return res.end();
+      case "/cached":
+        if (req.headers["if-none-match"] === '"v1"') {
+          notModified += 1;
+          res.writeHead(304);
+          return res.end();
+        }
+        res.writeHead(200, { "content-type": "application/rss+xml", etag: '"v1"', "last-modified": "Mon, 02 Jun 2025 10:00:00 GMT" });
+        return res.end(freshXml);
+      case "/flaky": {
+        const left = flaky.get(req.url) ?? 0;
+        if (left > 0) {
+          flaky.set(req.url, left - 1);
+          res.writeHead(503, { "retry-after": "0" });
+          return res.end();
+        }
+        res.writeHead(200, { "content-type": "application/rss+xml" });
+        return res.end(freshXml);
+      }
+      case "/big":
+        res.writeHead(200, { "content-type": "application/rss+xml" });
+        return res.end("<rss>" + "x".repeat(4096) + "</rss>");
+      case "/gzip":
+      case "/gzip-cut": {
+        const gz = zlib.gzipSync(freshXml);
+        res.writeHead(200, { "content-type": "application/rss+xml", "content-encoding": "gzip", "content-length": gz.length });
+        if (url.pathname === "/gzip") return res.end(gz);
+        // Half the body, then the connection drops
+        res.write(gz.subarray(0, gz.length >> 1));
+        return setTimeout(() => res.socket.destroy(), 20);
+      }
+      case "/trickle": {
+        // A byte every 20ms: never idle long enough for the socket timeout
+        res.writeHead(200, { "content-type": "application/rss+xml" });
+        const tick = setInterval(() => res.write(" "), 20);
+        return res.on("close", () => clearInterval(tick));
+      }
+      case "/entities.xml":
+        res.writeHead(200, { "content-type": "application/rss+xml; charset=utf-8" });
+        return res.end(await fs.readFile(path.join(FEEDS_DIR, "entities.xml")));
+      default:
+        res.writeHead(404);
+        return res.end();
+    }
+  });
+});
+after(async () => {
+  await server.close();
+  await other.close();
+});
+
+test("redirects are followed across servers and to relative locations", async () => {
+  const moved = await fetchFeedBody(`${server.origin}/moved`, null, FAST);
+  assert.equal(moved.url, `${other.origin}/feed.xml`);
+  assert.equal(moved.body, freshXml);
+
+  const relative = await fetchFeedBody(`${server.origin}/relative`, null, FAST);
+  assert.equal(relative.url, `${server.origin}/cached`);
+
+  // http → https switches agents instead of failing with 'Protocol "https:" not supported'
+  await assert.rejects(fetchFeedBody(`${server.origin}/to-https`, null, { ...FAST, retries: 0 }), (e) => !/Protocol/.test(e.message));
+
+  await assert.rejects(fetchFeedBody(`${server.origin}/loop`, null, { ...FAST, maxRedirects: 3 }), /Too many redirects/);
+});
+
+test("validators are returned, and sending them back gets a 304", async () => {
+  const first = await fetchFeedBody(`${server.origin}/cached`, null, FAST);
+  assert.equal(first.etag, '"v1"');
+  assert.equal(first.lastModified, "Mon, 02 Jun 2025 10:00:00 GMT");
+
+  const second = await fetchFeedBody(`${server.origin}/cached`, { etag: first.etag, lastModified: first.lastModified }, FAST);
+  assert.equal(second.notModified, true);
+});
+
+test("transient errors are retried; client errors are not", async () => {
+  flaky.set("/flaky?n=2", 2);
+  const before = server.requests.length;
+  const res = await fetchFeedBody(`${server.origin}/flaky?n=2`, null, FAST);
+  assert.equal(res.body, freshXml);
+  assert.equal(server.requests.length - before, 3);
+
+  flaky.set("/flaky?n=5", 5);
+  await assert.rejects(fetchFeedBody(`${server.origin}/flaky?n=5`, null, { ...FAST, retries: 1 }), /Status code 503/);
+
+  const before404 = server.requests.length;
+  await assert.rejects(fetchFeedBody(`${server.origin}/missing`, null, FAST), /Status code 404/);
+  assert.equal(server.requests.length - before404, 1);
+});
+
+test("bodies over the size cap are refused", async () => {
+  await assert.rejects(fetchFeedBody(`${server.origin}/big`, null, { ...FAST, maxBytes: 1024 }), /larger than 1024 bytes/);
+});
+
+test("gzip bodies are decoded; a cut-off body or a slow trickle fails instead of hanging", async () => {
+  assert.equal((await fetchFeedBody(`${server.origin}/gzip`, null, FAST)).body, freshXml);
+
+  await assert.rejects(fetchFeedBody(`${server.origin}/gzip-cut`, null, { ...FAST, retries: 0 }), (e) => e.transient);
+
+  const started = Date.now();
+  await assert.rejects(fetchFeedBody(`${server.origin}/trickle`, null, { ...FAST, retries: 0, deadline: 300 }), /longer than 300ms/);
+  assert.ok(Date.now() - started < 3000);
+});
+
+test("repairFeedXml escapes bare ampersands and maps HTML entities, leaving CDATA alone", () => {
+  assert.equal(repairFeedXml("<t>AI & ML</t>"), "<t>AI &amp; ML</t>");
+  assert.equal(repairFeedXml("<l>?a=1&b=2</l>"), "<l>?a=1&amp;b=2</l>");
+  assert.equal(repairFeedXml("<t>1&nbsp;m &mdash; &amp; &#39; &#x2019;</t>"), "<t>1&#160;m &#8212; &amp; &#39; &#x2019;</t>");
+  assert.equal(repairFeedXml("<t><![CDATA[Q&A &nbsp;]]></t>"), "<t><![CDATA[Q&A &nbsp;]]></t>");
+  assert.equal(repairFeedXml("\n  <?xml version=\"1.0\"?><t>a\u0001b</t>"), "<?xml version=\"1.0\"?><t>ab</t>");
+  const clean = "<rss><t>fine &amp; dandy</t></rss>";
+  assert.equal(repairFeedXml(clean), clean);
+});
+
+test("the loader parses a malformed feed after repairing it", async () => {
+  const feeds = createFeedLoader({ fetchOptions: FAST });
+  const { items, error } = await feeds.load(`${server.origin}/entities.xml`);
+  assert.equal(error, null);
+  assert.deepEqual(items.map(it => it.title), ["AI & the enterprise: Copilot rollout hits 1 million seats", "Q&A: building LLM agents"]);
+  assert.equal(items[0].snippet, "Microsoft’s AI assistant reached a million paid seats — analysts said.");
+});
+
+test("the loader keeps the body for conditional GETs and reuses it on a 304", async () => {
+  const store = openStore(":memory:");
+  const url = `${server.origin}/cached`;
+  const first = await createFeedLoader({ store, fetchOptions: FAST }).load(url);
+  assert.equal(store.feedCache(url).etag, '"v1"');
+
+  const sent = notModified;
+  const second = await createFeedLoader({ store, fetchOptions: FAST }).load(url);
+  assert.equal(notModified, sent + 1);
+  assert.equal(second.error, null);
+  assert.deepEqual(second.items.map(it => it.link), first.items.map(it => it.link));
+  assert.equal(first.items.length, 4);
+});
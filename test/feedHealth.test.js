@@ -0,0 +1,153 @@
+// Feed health: error classes, the quarantine / re-probe / recovery cycle, and
+// the feed loader skipping quarantined feeds.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { freezeClock } from "../scripts/clock.js";
+import { applyFetch, classifyFeedError, createFeedHealth, emptyFeedHealth, feedState, healthReport, isDue } from "../scripts/feedHealth.js";
+import { createFeedLoader } from "../scripts/feeds.js";
+import { renderFeedHealthPage } from "../scripts/render.js";
+import { openStore } from "../scripts/store.js";
+import { FIXTURE_NOW, matchSnapshot, startFeedServer, testConfig } from "./helpers.js";
+
+const HOUR = 3600 * 1000;
+const T0 = Date.parse(FIXTURE_NOW);
+const SETTINGS = { quarantineAfter: 3, reprobeHours: 24, maxReprobeHours: 72 };
+
+let server;
+before(async () => {
+  freezeClock(FIXTURE_NOW);
+  server = await startFeedServer();
+});
+after(() => server.close());
+
+// Fold outcomes into a fresh record, one hour apart
+function replay(outcomes, settings = SETTINGS) {
+  let health = emptyFeedHealth("https://feed.test/rss");
+  const events = [];
+  outcomes.forEach((outcome, i) => {
+    const res = applyFetch(health, outcome, settings, T0 + i * HOUR);
+    health = res.health;
+    events.push(res.event);
+  });
+  return { health, events };
+}
+
+const fail = (error = "Status code 503") => ({ ok: false, error });
+const ok = (itemCount = 10) => ({ ok: true, itemCount, newestAt: new Date(T0 - 2 * HOUR) });
+
+test("classifyFeedError groups the errors feeds actually fail with", () => {
+  assert.equal(classifyFeedError('Protocol "http:" not supported. Expected "https:"'), "protocol");
+  assert.equal(classifyFeedError("Status code 404"), "http-4xx");
+  assert.equal(classifyFeedError("Status code 502"), "http-5xx");
+  assert.equal(classifyFeedError("Too many redirects"), "redirect");
+  assert.equal(classifyFeedError("Request timed out after 15000ms"), "timeout");
+  assert.equal(classifyFeedError("getaddrinfo ENOTFOUND feeds.example.test"), "dns");
+  assert.equal(classifyFeedError("read ECONNRESET"), "network");
+  assert.equal(classifyFeedError("Invalid character in entity name\nLine: 12"), "parse");
+  assert.equal(classifyFeedError("something odd"), "other");
+});
+
+test("a feed is quarantined after N failures in a row, and only then", () => {
+  const { health, events } = replay([fail(), fail(), ok(), fail(), fail()]);
+  assert.deepEqual(events, [null, null, null, null, null]);
+  assert.equal(feedState(health), "failing");
+  assert.equal(health.consecutiveFailures, 2);
+
+  const quarantined = replay([fail(), fail(), fail()]);
+  assert.deepEqual(quarantined.events, [null, null, "quarantined"]);
+  assert.equal(feedState(quarantined.health), "quarantined");
+  assert.equal(quarantined.health.errorClass, "http-5xx");
+  assert.equal(quarantined.health.reprobeAt, new Date(T0 + 2 * HOUR + 24 * HOUR).toISOString());
+});
+
+test("failed re-probes double the wait up to the cap", () => {
+  const { health, events } = replay([fail(), fail(), fail(), fail(), fail(), fail()]);
+  assert.deepEqual(events, [null, null, "quarantined", null, null, null]);
+  // 24h, 48h, 72h (capped), 72h
+  assert.equal(health.reprobeAt, new Date(T0 + 5 * HOUR + 72 * HOUR).toISOString());
+  assert.equal(health.quarantinedAt, new Date(T0 + 2 * HOUR).toISOString());
+  assert.equal(isDue(health, T0 + 6 * HOUR), false);
+  assert.equal(isDue(health, T0 + 77 * HOUR), true);
+});
+
+test("a successful re-probe lifts the quarantine", () => {
+  const { health, events } = replay([ok(4), fail(), fail(), fail(), ok(8)]);
+  assert.deepEqual(events, [null, null, null, "quarantined", "recovered"]);
+  assert.equal(feedState(health), "ok");
+  assert.equal(health.consecutiveFailures, 0);
+  assert.equal(health.reprobeAt, null);
+  assert.deepEqual(health.itemCounts, [4, 8]);
+});
+
+test("healthReport lists every configured feed, worst first", () => {
+  const config = testConfig([
+    { key: "news", primary: ["https://a.test/rss", "https://b.test/rss"], secondary: ["https://c.test/rss"] },
+  ]);
+  const quarantined = replay([fail(), fail(), fail()]).health;
+  const healthy = replay([ok(6), ok(10), ok(20)]).health;
+  const rows = healthReport([
+    { ...healthy, url: "https://a.test/rss" },
+    { ...quarantined, url: "https://b.test/rss" },
+  ], config, T0 + 3 * HOUR);
+
+  assert.deepEqual(rows.map(r => [r.host, r.state]), [["b.test", "quarantined"], ["c.test", "unknown"], ["a.test", "ok"]]);
+  const a = rows[2];
+  assert.deepEqual(a.tabs, ["news"]);
+  assert.equal(a.medianItems, 10);
+  assert.equal(a.lastSuccessAgeHours, 1);
+  assert.equal(a.newestItemAgeHours, 5);
+});
+
+test("the feed health page", async () => {
+  const config = testConfig([{ key: "news", primary: ["https://a.test/rss", "https://b.test/rss"] }]);
+  const rows = healthReport([
+    { ...replay([ok(6), ok(10)]).health, url: "https://a.test/rss" },
+    { ...replay([fail("Invalid character in entity name"), fail(), fail()]).health, url: "https://b.test/rss" },
+  ], config, T0 + 3 * HOUR);
+  await matchSnapshot("feed-health.html", renderFeedHealthPage(rows));
+});
+
+test("the loader records outcomes and skips quarantined feeds until they are due", async () => {
+  const store = openStore(":memory:");
+  const url = server.url("missing");
+  const settings = { quarantineAfter: 2, reprobeHours: 24, maxReprobeHours: 72 };
+  const run = async () => {
+    const feeds = createFeedLoader({ store, health: createFeedHealth({ store, settings }), fetchOptions: { timeout: 5000 } });
+    return { feeds, res: await feeds.load(url) };
+  };
+
+  await run();
+  const second = await run();
+  assert.match(second.res.error, /Status code 404/);
+  const [stored] = store.feedHealth();
+  assert.equal(stored.consecutiveFailures, 2);
+  assert.equal(feedState(stored), "quarantined");
+
+  const before = server.requests.length;
+  const third = await run();
+  assert.deepEqual(third.res, { items: [], error: null, skipped: true });
+  assert.ok(third.feeds.skipped.has(url));
+  assert.equal(third.feeds.errors.size, 0);
+  assert.equal(server.requests.length, before);
+
+  // Once the re-probe is due the feed is fetched again
+  freezeClock(new Date(T0 + 25 * HOUR).toISOString());
+  try {
+    const fourth = await run();
+    assert.equal(fourth.res.skipped, false);
+    assert.equal(server.requests.length, before + 1);
+  } finally {
+    freezeClock(FIXTURE_NOW);
+  }
+});
+
+test("a healthy feed's record follows its item counts", async () => {
+  const store = openStore(":memory:");
+  const feeds = createFeedLoader({ store, health: createFeedHealth({ store }), fetchOptions: { timeout: 5000 } });
+  const { items } = await feeds.load(server.url("fresh"));
+  const [stored] = store.feedHealth();
+  assert.equal(feedState(stored), "ok");
+  assert.deepEqual(stored.itemCounts, [items.length]);
+  assert.ok(stored.newestItemAt);
+});
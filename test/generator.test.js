@@ -0,0 +1,263 @@
+// The fallback ladder end to end: feeds served by the stub server, parsed,
+// scored and clustered by the real pipeline; only the model is stubbed.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { freezeClock } from "../scripts/clock.js";
+import { createEmbedder } from "../scripts/similarity.js";
+import { createFeedLoader } from "../scripts/feeds.js";
+import { createGenerator } from "../scripts/generator.js";
+import { createProvider } from "../scripts/llm.js";
+import { openStore } from "../scripts/store.js";
+import { FIXTURE_NOW, briefJson, startFeedServer, stubLlm, testConfig } from "./helpers.js";
+
+let server;
+before(async () => {
+  freezeClock(FIXTURE_NOW);
+  server = await startFeedServer();
+});
+after(() => server.close());
+
+// A dry-run generator over `tabs` ([{ key, primary: [names], secondary: [names] }])
+function setup(tabs, { llm = stubLlm(briefJson()), concurrency, grounding } = {}) {
+  const config = testConfig(tabs.map(t => ({
+    ...t,
+    primary: t.primary.map(server.url),
+    secondary: (t.secondary || []).map(server.url),
+  })), { ...(concurrency ? { concurrency } : {}), ...(grounding ? { grounding } : {}) });
+  const store = openStore(":memory:");
+  const embedder = createEmbedder();
+  const feeds = createFeedLoader({ embedder, store, fetchOptions: { timeout: 5000 } });
+  const generator = createGenerator({
+    config,
+    llmByTab: new Map(config.tabsByPriority.map(t => [t.key, llm])),
+    embedder,
+    feeds,
+    store,
+    seenPaths: Object.fromEntries(config.tabsByPriority.map(t => [t.key, `/nonexistent/${t.seenFile}`])),
+    dryRun: true,
+  });
+  const run = (key) => {
+    const tab = config.tabsByPriority.find(t => t.key === key);
+    return generator.generateOneTab({
+      tabKey: tab.key,
+      tabLabel: tab.label,
+      primaryFeeds: tab.primary,
+      secondaryFeeds: tab.secondary,
+      avoidKeys: new Set(),
+    });
+  };
+  return { config, store, feeds, generator, llm, run };
+}
+
+const ladder = (res) => ({
+  freshnessUsed: res.freshnessUsed,
+  usedSecondary: res.usedSecondary,
+  relaxedAI: res.relaxedAI,
+  offTopicAllowed: res.offTopicAllowed,
+});
+
+test("fresh primary coverage is used as is", async () => {
+  const { run, llm } = setup([{ key: "news", primary: ["fresh"], secondary: ["wider"] }]);
+  const res = await run("news");
+  assert.deepEqual(ladder(res), { freshnessUsed: 24, usedSecondary: false, relaxedAI: false, offTopicAllowed: false });
+  assert.equal(res.failed, false);
+  assert.deepEqual(new Set(res.items.map(it => it.source)), new Set(["alpha.test", "beta.test", "gamma.test"]));
+  assert.equal(res.noteText, "");
+  assert.equal(llm.calls.length, 1);
+  // Canonical links: tracking params are gone before anything sees them
+  assert.ok(res.items.every(it => !it.link.includes("utm_")));
+});
+
+test("thin primary coverage widens to the secondary pool first", async () => {
+  const { run } = setup([{ key: "news", primary: ["thin"], secondary: ["wider"] }]);
+  const res = await run("news");
+  assert.deepEqual(ladder(res), { freshnessUsed: 24, usedSecondary: true, relaxedAI: false, offTopicAllowed: false });
+  assert.equal(res.items.length, 4);
+  assert.match(res.noteText, /Wider sources used today/);
+});
+
+test("stale coverage widens the freshness window", async () => {
+  const { run } = setup([{ key: "news", primary: ["older"] }]);
+  const res = await run("news");
+  assert.deepEqual(ladder(res), { freshnessUsed: 36, usedSecondary: false, relaxedAI: false, offTopicAllowed: false });
+  assert.equal(res.items.length, 3);
+  assert.match(res.explainerHtml, /older than 24 hours/);
+});
+
+test("off-topic stories only get through as a last resort, and say so", async () => {
+  const { run } = setup([{ key: "news", primary: ["offtopic"] }]);
+  const res = await run("news");
+  assert.equal(res.offTopicAllowed, true);
+  assert.equal(res.relaxedAI, true);
+  assert.equal(res.offTopicLetThrough, 3);
+  assert.match(res.noteText, /3 off-topic items were included/);
+});
+
+test("no usable items at all throws; generateTabs turns that into a fallback panel", async () => {
+  const { run, generator, config, feeds, llm } = setup([{ key: "news", primary: ["missing"] }]);
+  await assert.rejects(run("news"), /No suitable items/);
+  assert.equal(llm.calls.length, 0);
+  assert.ok(feeds.errors.has(server.url("missing")));
+
+  const [panel] = await generator.generateTabs({ ymd: "2025-06-02", runId: null, tabs: config.tabsByPriority });
+  assert.equal(panel.failed, true);
+  assert.deepEqual(panel.tags, ["no-update"]);
+  assert.equal(panel.oneLiner, "News AI has no update today.");
+});
+
+test("invalid model output gets one repair round, then the tab fails", async () => {
+  const repaired = setup([{ key: "news", primary: ["fresh"] }], { llm: stubLlm(["not json", briefJson()]) });
+  const res = await repaired.run("news");
+  assert.equal(res.failed, false);
+  assert.equal(repaired.llm.calls.length, 2);
+  assert.match(repaired.llm.calls[1].prompt, /not json/);
+
+  const broken = setup([{ key: "news", primary: ["fresh"] }], { llm: stubLlm("still not json") });
+  await assert.rejects(broken.run("news"), /failed validation after repair/);
+  assert.equal(broken.llm.calls.length, 2);
+});
+
+test("grounding strip drops flagged sentences and swaps flagged bullets for a source title", async () => {
+  const unsupported = "Zyxcorp raised $9bn.";
+  const flaggedSentence = briefJson({
+    explainer: [[{ text: "OpenAI said the model is available today.", sources: [1] }, { text: unsupported, sources: [1] }]],
+  });
+  const stripped = await setup([{ key: "news", primary: ["fresh"] }], { llm: stubLlm(flaggedSentence), grounding: { action: "strip" } }).run("news");
+  assert.doesNotMatch(JSON.stringify(stripped.brief.explainer), /Zyxcorp/);
+  assert.match(stripped.noteText, /Some sentences were removed or replaced/);
+
+  // A flagged bullet and a flagged explainer sentence: the bullet count stays
+  // fixed (the cited item's title stands in) and the sentence still goes
+  const flaggedBoth = briefJson({
+    bullets: [{ text: unsupported, sources: [2] }, { text: "Others followed.", sources: [1] }, { text: "More is due.", sources: [] }],
+    explainer: [[{ text: "OpenAI said the model is available today.", sources: [1] }, { text: "Qwvbank lent £3bn.", sources: [1] }]],
+  });
+  const swapped = await setup([{ key: "news", primary: ["fresh"] }], { llm: stubLlm(flaggedBoth), grounding: { action: "strip" } }).run("news");
+  const [first, ...rest] = swapped.brief.bullets;
+  const cited = swapped.items[1];
+  assert.deepEqual(first, { text: `${cited.title} (${cited.source}).`, sources: [2] });
+  assert.deepEqual(rest.map(b => b.text), ["Others followed.", "More is due."]);
+  assert.deepEqual(swapped.brief.explainer, [[{ text: "OpenAI said the model is available today.", sources: [1] }]]);
+  assert.match(swapped.noteText, /Some sentences were removed or replaced/);
+});
+
+test("each feed is fetched once per run, across tabs and ladder steps", async () => {
+  const { generator, config } = setup([
+    { key: "first", primary: ["thin"], secondary: ["fresh", "wider"] },
+    { key: "second", primary: ["fresh"], secondary: ["wider"] },
+  ]);
+  const seenBefore = server.requests.length;
+  const results = await generator.generateTabs({ ymd: "2025-06-02", runId: null, tabs: config.tabsByPriority });
+  const fetched = server.requests.slice(seenBefore);
+  assert.deepEqual(fetched.sort(), ["/fresh.xml", "/thin.xml", "/wider.xml"]);
+
+  // Lower-priority tabs never repeat a story a higher one picked
+  const [first, second] = results;
+  const firstLinks = new Set(first.items.map(it => it.link));
+  assert.ok(second.items.every(it => !firstLinks.has(it.link)));
+});
+
+test("generateTabs records each tab's brief under the run", async () => {
+  const { generator, config, store } = setup([{ key: "news", primary: ["fresh"] }]);
+  const runId = store.startRun({ ymd: "2025-06-02", startedAt: FIXTURE_NOW });
+  await generator.generateTabs({ ymd: "2025-06-02", runId, tabs: config.tabsByPriority });
+  const [brief] = store.briefsForDay("2025-06-02");
+  assert.equal(brief.tab, "news");
+  assert.equal(brief.payload.key, "news");
+  assert.equal(brief.payload.sources.length, 4);
+});
+
+test("a digest tab gets one headline + summary per story in tabs.json", async () => {
+  const { run, generator } = setup([{ key: "news", format: "digest", primary: ["fresh"] }], { llm: createProvider({ provider: "extractive" }) });
+  const res = await run("news");
+  assert.equal(res.failed, false);
+  assert.equal(res.format, "digest");
+  assert.deepEqual(res.bullets, []);
+  assert.equal(res.explainerHtml, "");
+
+  const entry = generator.tabJsonEntry(res);
+  assert.equal(entry.format, "digest");
+  assert.equal(entry.claims, null);
+  assert.equal(entry.overview, null);
+  assert.equal(entry.oneLiner, entry.stories[0].headline.text);
+  for (const story of entry.stories) {
+    assert.equal(story.headline.text, story.title);
+    assert.ok(story.summary.length >= 1 && story.summary.length <= 2);
+    assert.ok(story.summary.every(c => c.sources.every(n => story.sources.includes(n))));
+  }
+});
+
+test("a digest that blends stories gets the repair round", async () => {
+  const llm = stubLlm(({ stories, prompt }) => {
+    const all = stories.flat();
+    const entries = stories.map((nums, i) => ({ headline: `Story ${i + 1}`, summary: [{ text: "Something happened.", sources: /PROBLEMS/.test(prompt) ? nums : all }] }));
+    return JSON.stringify({ stories: entries, tags: ["ai"] });
+  });
+  const { run } = setup([{ key: "news", format: "digest", primary: ["fresh"] }], { llm });
+  const res = await run("news");
+  assert.equal(llm.calls.length, 2);
+  assert.match(llm.calls[0].prompt, /never merge two stories/);
+  assert.equal(llm.calls[0].format, "digest");
+  assert.equal(res.stories.length, llm.calls[0].stories.length);
+});
+
+// Overlapping pools: every tab can see most of the same stories
+const OVERLAP = [
+  { key: "first", primary: ["thin"], secondary: ["fresh", "wider"] },
+  { key: "second", primary: ["fresh"], secondary: ["wider"] },
+  { key: "third", primary: ["wider"], secondary: ["fresh"] },
+];
+
+const picks = (results) => results.map(r => [r.tabKey, r.failed, r.items.map(it => it.link)]);
+
+// Reference: each tab run on its own, in priority order, against the briefs stored above it
+async function oneByOne(tabs, llm) {
+  const { generator, config, store } = setup(tabs, { llm });
+  const results = [];
+  for (const tab of config.tabsByPriority) {
+    const runId = store.startRun({ ymd: "2025-06-02", startedAt: FIXTURE_NOW });
+    results.push(...await generator.generateTabs({ ymd: "2025-06-02", runId, tabs: [tab] }));
+  }
+  return results;
+}
+
+test("parallel generation picks what one tab after another would", async () => {
+  const { generator, config } = setup(OVERLAP);
+  const results = await generator.generateTabs({ ymd: "2025-06-02", runId: null, tabs: config.tabsByPriority });
+  assert.deepEqual(picks(results), picks(await oneByOne(OVERLAP, stubLlm(briefJson()))));
+  assert.deepEqual(results.map(r => r.failed), [false, false, true]); // "third" finds nothing left
+});
+
+test("a failed brief releases its picks to the tabs below", async () => {
+  const llm = () => stubLlm(({ tabKey }) => (tabKey === "first" ? "not json" : briefJson()));
+  const { generator, config } = setup(OVERLAP, { llm: llm() });
+  const results = await generator.generateTabs({ ymd: "2025-06-02", runId: null, tabs: config.tabsByPriority });
+  assert.deepEqual(picks(results), picks(await oneByOne(OVERLAP, llm())));
+  assert.equal(results[0].failed, true);
+
+  // What "first" would have published goes to "second" instead
+  const healthy = setup(OVERLAP);
+  const [first] = await healthy.generator.generateTabs({ ymd: "2025-06-02", runId: null, tabs: healthy.config.tabsByPriority });
+  const secondLinks = new Set(results[1].items.map(it => it.link));
+  assert.ok(first.items.some(it => secondLinks.has(it.link)));
+});
+
+test("model calls run in parallel up to the configured cap", async () => {
+  let inFlight = 0;
+  let most = 0;
+  const llm = {
+    name: "stub",
+    model: "stub-1",
+    async complete() {
+      most = Math.max(most, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inFlight -= 1;
+      return briefJson();
+    },
+  };
+  const tabs = ["fresh", "wider", "older", "thin"].map((name, i) => ({ key: `tab${i}`, primary: [name] }));
+  const { generator, config } = setup(tabs, { llm, concurrency: { models: 2 } });
+  await generator.generateTabs({ ymd: "2025-06-02", runId: null, tabs: config.tabsByPriority });
+  assert.equal(most, 2);
+});
@@ -0,0 +1,148 @@
+// test/helpers.js
+// Shared test fixtures: stub HTTP servers (one for the RSS files in
+// test/fixtures/feeds), a small tab config pointing at it, a stub model and
+// file snapshots (UPDATE_SNAPSHOTS=1 rewrites them).
+
+import http from "http";
+import fs from "fs/promises";
+import path from "path";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { parseTabsConfig } from "../scripts/config.js";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+export const FEEDS_DIR = path.join(HERE, "fixtures", "feeds");
+export const ARTICLES_DIR = path.join(HERE, "fixtures", "articles");
+export const SNAPSHOTS_DIR = path.join(HERE, "snapshots");
+
+// Every feed fixture's dates are relative to this (freeze the clock at it)
+export const FIXTURE_NOW = "2025-06-02T12:00:00.000Z";
+
+/**
+ * Local HTTP server on a random port; handler(req, res) as for http.createServer.
+ * Returns { origin, requests (paths, in order), close() }.
+ */
+export async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    origin: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Serve test/fixtures/feeds/<name>.xml at /<name>.xml on a random local port
+ * (anything else is a 404). Returns { url(name), requests, close() }.
+ */
+export async function startFeedServer() {
+  const server = await startServer(async (req, res) => {
+    const name = path.basename(req.url);
+    try {
+      const body = await fs.readFile(path.join(FEEDS_DIR, name), "utf8");
+      res.writeHead(200, { "content-type": "application/rss+xml" });
+      res.end(body);
+    } catch {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  return { ...server, url: (name) => `${server.origin}/${name}.xml` };
+}
+
+/**
+ * Parsed tab config (scripts/config.js) for `tabs`: [{ key, primary, secondary? }],
+ * listed in dedupe priority order.
+ */
+export function testConfig(tabs, overrides = {}) {
+  return parseTabsConfig({
+    defaultTab: tabs[0].key,
+    llm: { provider: "extractive" },
+    grounding: { action: "off" },
+    ...overrides,
+    tabs: tabs.map((t, i) => ({
+      key: t.key,
+      label: t.label || `${t.key[0].toUpperCase()}${t.key.slice(1)} AI`,
+      description: t.description || `${t.key} AI news`,
+      intent: t.intent || `AI news for the ${t.key} tab`,
+      dedupePriority: i + 1,
+      feeds: { primary: t.primary, secondary: t.secondary || [] },
+      relevance: { keywords: t.keywords || ["ai"] },
+      ...(t.format ? { format: t.format } : {}),
+    })),
+  }, "test");
+}
+
+/**
+ * Provider (scripts/llm.js interface) that replies with `replies` in turn (the
+ * last one repeats); a function reply gets the call's arguments. Calls are
+ * kept in `calls`.
+ */
+export function stubLlm(replies) {
+  const queue = Array.isArray(replies) ? [...replies] : [replies];
+  const calls = [];
+  return {
+    name: "stub",
+    model: "stub-1",
+    calls,
+    async complete(args) {
+      calls.push(args);
+      const reply = queue.length > 1 ? queue.shift() : queue[0];
+      return typeof reply === "function" ? reply(args) : reply;
+    },
+  };
+}
+
+// A valid brief citing source 1 throughout
+export function briefJson(overrides = {}) {
+  return JSON.stringify({
+    oneLiner: { text: "OpenAI shipped a model.", sources: [1] },
+    bullets: [
+      { text: "It reaches enterprise customers.", sources: [1] },
+      { text: "Others followed.", sources: [1] },
+      { text: "More is due.", sources: [] },
+    ],
+    explainer: [[{ text: "OpenAI said the model is available today.", sources: [1] }]],
+    tags: ["OpenAI"],
+    ...overrides,
+  });
+}
+
+// A valid digest for two stories: sources 1-2 and 3
+export function digestJson(overrides = {}) {
+  return JSON.stringify({
+    stories: [
+      {
+        headline: "OpenAI ships a model",
+        summary: [
+          { text: "OpenAI shipped a model.", sources: [1, 2] },
+          { text: "It reaches enterprise customers.", sources: [1] },
+        ],
+      },
+      { headline: "Mistral opens an office", summary: [{ text: "Mistral opened an office.", sources: [3] }] },
+    ],
+    tags: ["OpenAI"],
+    ...overrides,
+  });
+}
+
+/**
+ * Compare `actual` with test/snapshots/<name>; UPDATE_SNAPSHOTS=1 (or a
+ * missing file) writes it instead.
+ */
+export async function matchSnapshot(name, actual) {
+  const file = path.join(SNAPSHOTS_DIR, name);
+  const expected = await fs.readFile(file, "utf8").catch(() => null);
+  if (expected == null || process.env.UPDATE_SNAPSHOTS === "1") {
+    await fs.mkdir(SNAPSHOTS_DIR, { recursive: true });
+    await fs.writeFile(file, actual, "utf8");
+    return;
+  }
+  assert.equal(actual, expected, `snapshot ${name} changed (UPDATE_SNAPSHOTS=1 to accept)`);
+}
@@ -0,0 +1,148 @@
+// Preview inspection end to end: two tabs over the stub feed server, each
+// candidate's outcome and reason, and re-running a tab with tweaked settings
+// through the preview server without writing the seen caches.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { freezeClock } from "../scripts/clock.js";
+import { openRun, seenPathsFor } from "../scripts/commands.js";
+import { tabSettings, withTabSettings } from "../scripts/inspect.js";
+import { createPreviewServer, createPreviewSession } from "../scripts/previewServer.js";
+import { loadIndexTemplate } from "../scripts/render.js";
+import { openStore } from "../scripts/store.js";
+import { FIXTURE_NOW, briefJson, startFeedServer, stubLlm, testConfig } from "./helpers.js";
+
+const TEMPLATE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "templates", "index.template.html");
+const YMD = "2025-06-02";
+const SEEN_LINK = "https://theta.test/stability-film";
+
+let server;
+before(async () => {
+  freezeClock(FIXTURE_NOW);
+  server = await startFeedServer();
+});
+after(() => server.close());
+
+// "first" takes the fresh feed; "second" has the same primary, so it has to
+// widen to its secondary pool (wider + older) to find anything of its own
+async function openSession(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "inspect-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const config = testConfig([
+    { key: "first", primary: [server.url("fresh")] },
+    { key: "second", primary: [server.url("fresh")], secondary: [server.url("wider"), server.url("older")] },
+  ]);
+  const ctx = {
+    config,
+    paths: { root: dir, stateDir: dir, dbPath: ":memory:" },
+    dryRun: true,
+    llmByTab: new Map(config.tabsByPriority.map(tab => [tab.key, stubLlm(briefJson())])),
+    recorder: null,
+    replay: null,
+    fetchOptions: { timeout: 5000 },
+  };
+  const store = openStore(":memory:");
+  t.after(() => store.close());
+  store.replaceSeen("second", [{ link: SEEN_LINK, title: null, firstSeen: FIXTURE_NOW, story: null }]);
+
+  const run = openRun(ctx, { store });
+  const session = await createPreviewSession({
+    config,
+    tabs: config.tabsByPriority,
+    ymd: YMD,
+    run,
+    llmByTab: ctx.llmByTab,
+    seenPaths: seenPathsFor(ctx),
+  });
+  return { config, store, session, dir };
+}
+
+test("every candidate gets its outcome and the reason for it", async (t) => {
+  const { session } = await openSession(t);
+
+  const first = await session.candidates("first");
+  const picked = first.filter(r => r.outcome === "picked");
+  assert.ok(picked.length >= 3);
+  assert.deepEqual(picked.map(r => r.sourceNumber), picked.map((_, i) => i + 1));
+  assert.equal(picked[0].window, 24);
+  assert.ok(picked.every(r => r.pool === "primary" && typeof r.score === "number" && r.scoreBreakdown));
+
+  const rows = await session.candidates("second");
+  const byLink = Object.fromEntries(rows.map(r => [r.link, r]));
+
+  // The shared primary feed went to the tab above
+  const dupe = byLink[picked[0].link];
+  assert.equal(dupe.outcome, "duplicate");
+  assert.equal(dupe.detail, "same link as the First AI tab");
+
+  assert.equal(byLink[SEEN_LINK].outcome, "seen");
+  const older = byLink["https://iota.test/cohere-translation"];
+  assert.equal(older.window, 36);
+  assert.equal(older.ageHours, 31);
+  assert.equal(older.outcome, "outside-window");
+  assert.equal(older.detail, "older than 24h");
+  assert.ok(rows.some(r => r.outcome === "picked" && r.pool === "secondary"));
+});
+
+test("a tab re-runs with tweaked settings and never writes the seen caches", async (t) => {
+  const { config, store, session, dir } = await openSession(t);
+  const tpl = await loadIndexTemplate(TEMPLATE);
+  const preview = createPreviewServer(session, { tpl, config });
+  await new Promise(resolve => preview.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => preview.close(resolve)));
+  const origin = `http://127.0.0.1:${preview.address().port}`;
+
+  const page = await (await fetch(`${origin}/tab/second`)).text();
+  assert.match(page, /same link as the First AI tab/);
+  assert.match(await (await fetch(`${origin}/page?tab=second`)).text(), /data-tab="second"/);
+
+  const settings = tabSettings(config, "second");
+  const form = (overrides) => new URLSearchParams({
+    keywords: settings.keywords.join("\n"),
+    negative: settings.negative.join("\n"),
+    topic: settings.topic,
+    weight: String(settings.weight),
+    threshold: String(settings.threshold),
+    format: settings.format,
+    ...Object.fromEntries(Object.entries(settings.scoring).map(([k, v]) => [k, String(v)])),
+    action: "rerun",
+    ...overrides,
+  });
+  const post = (body) => fetch(`${origin}/tab/second`, { method: "POST", body, redirect: "manual" });
+
+  const bad = await post(form({ threshold: "" }));
+  assert.equal(bad.status, 400);
+  assert.match(await bad.text(), /threshold must be a number/);
+
+  const energy = "https://eta.test/arxiv-energy";
+  const before = (await session.candidates("second")).find(r => r.link === energy).score;
+  const res = await post(form({ keywords: "energy\ntransformer", extractive: "on" }));
+  assert.equal(res.status, 303);
+  const entry = session.entries.get("second");
+  assert.equal(entry.reruns, 1);
+  assert.equal(entry.result.llm.provider, "extractive");
+  assert.ok((await session.candidates("second")).find(r => r.link === energy).score > before);
+
+  // Still only the one seeded entry; nothing exported
+  assert.deepEqual(store.seenEntries("second").map(e => e.link), [SEEN_LINK]);
+  assert.deepEqual(store.seenEntries("first"), []);
+  assert.deepEqual((await fs.readdir(dir)).filter(f => f.startsWith("seen.")), []);
+
+  // Reset goes back to the config's settings
+  assert.equal((await post(new URLSearchParams({ action: "reset" }))).status, 303);
+  assert.deepEqual(session.entries.get("second").settings, settings);
+});
+
+test("withTabSettings only changes the tweaked tab", () => {
+  const config = testConfig([{ key: "a", primary: ["https://a.test/feed"] }, { key: "b", primary: ["https://b.test/feed"] }]);
+  const tweaked = withTabSettings(config, "b", { ...tabSettings(config, "b"), keywords: ["robots"], format: "digest", threshold: 0.6 });
+  assert.deepEqual(tabSettings(tweaked, "b").keywords, ["robots"]);
+  assert.equal(tweaked.tabsByPriority[1].format, "digest");
+  assert.equal(tweaked.similarity.duplicateThreshold, 0.6);
+  assert.equal(tweaked.tabs[0], config.tabs[0]);
+  assert.throws(() => withTabSettings(config, "b", { ...tabSettings(config, "b"), keywords: [] }), /keywords can't be empty/);
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const { MetricsCollector } = require("../scripts/metricsCollector.cjs");
+
+// A started collector writing under a temp dir removed after test `t`
+async function collector(t) {
+  const outDir = await fs.mkdtemp(path.join(os.tmpdir(), "newsbrief-metrics-"));
+  t.after(() => fs.rm(outDir, { recursive: true, force: true }));
+  const metrics = new MetricsCollector({ repoRoot: outDir, outDir });
+  metrics.startRun({ ymd: "2025-06-02", startedAt: "2025-06-02T12:00:00.000Z" });
+  return { outDir, metrics };
+}
+
+const picked = (source, title, extra = {}) => ({ source, title, link: `https://${source}/${title.toLowerCase().replace(/\W+/g, "-")}`, ...extra });
+
+test("tab summaries add up into run totals", async (t) => {
+  const { metrics } = await collector(t);
+  metrics.recordTabSummary("security", {
+    label: "Security",
+    freshnessUsed: 24,
+    picked: [
+      picked("a.test", "Prompt injection hits AI agents", { aiStrict: true, offTopic: false }),
+      picked("b.test", "Deepfake fraud rises", { aiStrict: false, offTopic: false }),
+      picked("c.test", "Laptop deal", { aiStrict: false, offTopic: true }),
+    ],
+    offTopicLetThrough: 1,
+    citations: { claims: 6, uncited: 1 },
+    grounding: { action: "warn", checked: 6, grounded: 5, flaggedAfter: 1, unsupported: ["Acme"] },
+  });
+  metrics.recordTabSummary("ethics", {
+    label: "Ethics",
+    freshnessUsed: 48,
+    usedSecondary: true,
+    picked: [picked("a.test", "EU AI Act rules", { aiStrict: true, offTopic: false })],
+    citations: { claims: 5, uncited: 0 },
+  });
+  metrics.recordRssError();
+  metrics.recordRssError();
+
+  const run = metrics.finalizeRun({ runSuccess: true });
+  assert.equal(run.tabsTotal, 2);
+  assert.equal(run.tabsSucceeded, 2);
+  assert.equal(run.thinTabs, 1);
+  assert.equal(run.noUpdateTabs, 0);
+  assert.equal(run.pickedItemsTotal, 4);
+  assert.equal(run.aiStrictCount, 2);
+  assert.equal(run.offTopicCount, 1);
+  assert.equal(run.offTopicLetThrough, 1);
+  assert.equal(run.claimsTotal, 11);
+  assert.equal(run.uncitedClaims, 1);
+  assert.equal(run.groundingChecked, 6);
+  assert.equal(run.groundingGrounded, 5);
+  assert.equal(run.rssErrors, 2);
+  assert.equal(run.hostCount, 3);
+  assert.equal(run.runSuccess, 1);
+
+  const [security, ethics] = run.tabs;
+  assert.deepEqual(security.counts, { aiStrict: 1, offTopic: 1, dup: 0 });
+  assert.deepEqual(security.grounding.unsupported, ["Acme"]);
+  assert.equal(ethics.thin, true);
+  assert.equal(ethics.usedSecondary, true);
+  assert.equal(ethics.grounding, null);
+});
+
+test("failed and empty tabs count as no-update", async (t) => {
+  const { metrics } = await collector(t);
+  metrics.recordTabSummary("uk", { failed: true, picked: [] });
+  const run = metrics.finalizeRun({ runSuccess: false });
+  assert.equal(run.tabsSucceeded, 0);
+  assert.equal(run.noUpdateTabs, 1);
+  assert.equal(run.runSuccess, 0);
+  assert.equal(run.tabs[0].noUpdate, true);
+});
+
+test("the same link picked by two tabs is a cross-tab duplicate", async (t) => {
+  const { metrics } = await collector(t);
+  metrics.recordTabSummary("global", { picked: [picked("a.test", "OpenAI ships a model")] });
+  metrics.recordTabSummary("business", {
+    picked: [
+      { ...picked("a.test", "OpenAI ships a model"), link: "https://www.a.test/openai-ships-a-model/" },
+      picked("b.test", "Something else"),
+    ],
+  });
+  const run = metrics.finalizeRun();
+  assert.equal(run.dupCount, 1);
+  assert.deepEqual(run.tabs[1].items.map(it => it.dup), [true, false]);
+});
+
+test("AI/off-topic flags are computed when the caller doesn't pass them", async (t) => {
+  const { metrics } = await collector(t);
+  metrics.recordTabSummary("work", {
+    picked: [picked("a.test", "OpenAI launches Copilot rival"), picked("b.test", "Best headphones deal")],
+  });
+  const [tab] = metrics.finalizeRun().tabs;
+  assert.deepEqual(tab.items.map(it => [it.aiStrict, it.offTopic]), [[true, false], [false, true]]);
+});
+
+test("finalizeAndWrite writes the daily and latest files", async (t) => {
+  const { outDir, metrics } = await collector(t);
+  metrics.recordTabSummary("uk", { picked: [picked("a.test", "ICO fines AI firm")] });
+  const { dayPath, latestPath } = metrics.finalizeAndWrite({ runSuccess: true });
+
+  assert.equal(dayPath, path.join(outDir, "metrics", "metrics-2025-06-02.json"));
+  const day = JSON.parse(await fs.readFile(dayPath, "utf8"));
+  assert.equal(day.pickedItemsTotal, 1);
+  assert.deepEqual(JSON.parse(await fs.readFile(latestPath, "utf8")), day);
+});
@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractiveBrief } from "../scripts/llm.js";
+import { parseModelOutput, extractJsonObject, citationStats } from "../scripts/modelOutput.js";
+import { briefJson, digestJson } from "./helpers.js";
+
+test("plain JSON reply parses", () => {
+  const { brief, errors } = parseModelOutput(briefJson(), { sourceCount: 2 });
+  assert.deepEqual(errors, []);
+  assert.equal(brief.oneLiner.text, "OpenAI shipped a model.");
+  assert.equal(brief.bullets.length, 3);
+  assert.deepEqual(brief.tags, ["openai"]);
+});
+
+test("```json fences and a lead-in line are tolerated", () => {
+  const fenced = "```json\n" + briefJson() + "\n```";
+  assert.ok(parseModelOutput(fenced).brief);
+
+  const chatty = `Sure! Here is the brief you asked for:\n\n${briefJson()}\n\nLet me know if you need anything else.`;
+  assert.ok(parseModelOutput(chatty).brief);
+});
+
+test("claims are cleaned: whitespace collapsed, sources de-duplicated and sorted, TL;DR prefix dropped", () => {
+  const { brief } = parseModelOutput(briefJson({
+    oneLiner: { text: "TL;DR:  OpenAI   shipped\n a model.", sources: [2, 1, 2] },
+    tags: [" OpenAI ", "openai", "Enterprise"],
+  }), { sourceCount: 2 });
+  assert.deepEqual(brief.oneLiner, { text: "OpenAI shipped a model.", sources: [1, 2] });
+  assert.deepEqual(brief.tags, ["openai", "enterprise"]);
+});
+
+test("replies without a JSON object are rejected", () => {
+  assert.deepEqual(parseModelOutput("I can't help with that.").errors, ["reply does not contain a JSON object"]);
+  assert.deepEqual(parseModelOutput("").errors, ["reply does not contain a JSON object"]);
+  assert.equal(extractJsonObject("} nothing {"), null);
+});
+
+test("broken JSON is reported, not thrown", () => {
+  const { brief, errors } = parseModelOutput('{"oneLiner": {"text": "cut off', {});
+  assert.equal(brief, null);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /invalid JSON|does not contain/);
+
+  const trailing = parseModelOutput(briefJson().replace(/}$/, ",}"));
+  assert.equal(trailing.brief, null);
+  assert.match(trailing.errors[0], /^invalid JSON/);
+});
+
+test("off-schema replies list every problem", () => {
+  const { brief, errors } = parseModelOutput(JSON.stringify({
+    oneLiner: "just a string",
+    bullets: [{ text: "only one", sources: [1] }],
+    explainer: [],
+    tags: [],
+  }));
+  assert.equal(brief, null);
+  assert.ok(errors.length >= 4, errors.join("\n"));
+  assert.ok(errors.some(e => e.startsWith("brief.oneLiner")));
+  assert.ok(errors.some(e => e.startsWith("brief.bullets")));
+  assert.ok(errors.some(e => e.startsWith("brief.explainer")));
+  assert.ok(errors.some(e => e.startsWith("brief.tags")));
+});
+
+test("citations must point at a prompted source", () => {
+  const reply = briefJson({ oneLiner: { text: "OpenAI shipped a model.", sources: [1, 7] } });
+  const { brief, errors } = parseModelOutput(reply, { sourceCount: 3 });
+  assert.equal(brief, null);
+  assert.deepEqual(errors, ["brief.oneLiner.sources: source 7 does not exist (only 1–3)"]);
+
+  // Without a sourceCount only the schema is checked
+  assert.ok(parseModelOutput(reply).brief);
+});
+
+test("source numbers must be positive integers", () => {
+  const { errors } = parseModelOutput(briefJson({ oneLiner: { text: "x", sources: [0, "2"] } }));
+  assert.equal(errors.length, 2);
+});
+
+test("citationStats counts uncited claims", () => {
+  const { brief } = parseModelOutput(briefJson());
+  assert.deepEqual(citationStats(brief), { claims: 5, cited: 4, uncited: 1, uncitedTexts: ["More is due."] });
+  assert.deepEqual(citationStats(null), { claims: 0, cited: 0, uncited: 0, uncitedTexts: [] });
+});
+
+test("an extractive brief padded out to three bullets still cites every claim", () => {
+  const items = [
+    { title: "OpenAI ships a model", source: "alpha.test", snippet: "" },
+    { title: "OpenAI's model reaches customers", source: "beta.test", snippet: "" },
+  ];
+  const { brief, errors } = parseModelOutput(extractiveBrief({ tabKey: "news", items, stories: [[1, 2]] }), { sourceCount: 2 });
+  assert.deepEqual(errors, []);
+  assert.equal(brief.bullets.length, 3);
+  assert.deepEqual(brief.bullets.map(b => b.sources), [[1, 2], [1, 2], [1, 2]]);
+  assert.equal(citationStats(brief).uncited, 0);
+});
+
+test("a digest parses into one entry per story, headlines citing their story", () => {
+  const { brief, errors } = parseModelOutput(digestJson({ overview: { text: "Two launches.", sources: [3, 1] } }), { sourceCount: 3, format: "digest", stories: [[1, 2], [3]] });
+  assert.deepEqual(errors, []);
+  assert.equal(brief.format, "digest");
+  assert.deepEqual(brief.overview, { text: "Two launches.", sources: [1, 3] });
+  assert.deepEqual(brief.stories.map(s => s.headline), [
+    { text: "OpenAI ships a model", sources: [1, 2] },
+    { text: "Mistral opens an office", sources: [3] },
+  ]);
+  assert.equal(brief.stories[0].summary.length, 2);
+  // Headlines aren't claims the model cited, so they aren't counted
+  assert.deepEqual(citationStats(brief), { claims: 4, cited: 4, uncited: 0, uncitedTexts: [] });
+
+  assert.equal(parseModelOutput(digestJson(), { format: "digest", stories: [[1, 2], [3]] }).brief.overview, null);
+  // An explicit null is "no overview", not a validation error
+  const explicit = parseModelOutput(digestJson({ overview: null }), { sourceCount: 3, format: "digest", stories: [[1, 2], [3]] });
+  assert.deepEqual(explicit.errors, []);
+  assert.equal(explicit.brief.overview, null);
+  assert.match(parseModelOutput(digestJson({ overview: "Two launches." }), { format: "digest", stories: [[1, 2], [3]] }).errors.join(), /overview: expected object or null, got string/);
+});
+
+test("a digest must cover every story, each summary citing only its own", () => {
+  const stories = [[1, 2], [3]];
+  const short = parseModelOutput(digestJson({ stories: [{ headline: "One", summary: [{ text: "x", sources: [1] }] }] }), { format: "digest", stories });
+  assert.deepEqual(short.errors, ["brief.stories: expected 2 entries (one per story), got 1"]);
+
+  const blended = JSON.parse(digestJson());
+  blended.stories[0].summary[1].sources = [1, 3];
+  assert.deepEqual(parseModelOutput(JSON.stringify(blended), { format: "digest", stories }).errors, [
+    "brief.stories[0].summary[1].sources: source 3 is not part of story 1 (1, 2)",
+  ]);
+
+  const long = JSON.parse(digestJson());
+  long.stories[1].summary.push({ text: "a", sources: [3] }, { text: "b", sources: [3] });
+  assert.ok(parseModelOutput(JSON.stringify(long), { format: "digest", stories }).errors.some(e => e.startsWith("brief.stories[1].summary")));
+
+  // A brief is not a digest
+  assert.equal(parseModelOutput(briefJson(), { format: "digest", stories }).brief, null);
+});
@@ -0,0 +1,154 @@
+// HTML snapshots (test/snapshots/*.html). After an intended markup change:
+//   UPDATE_SNAPSHOTS=1 npm test
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  claimHtml, renderArchiveIndex, renderPanelHtml, storedPanelHtml, tabsNavHtml, toHtmlList, toSourcesLinks,
+} from "../scripts/render.js";
+import { matchSnapshot, testConfig } from "./helpers.js";
+
+const items = [
+  { title: "OpenAI ships GPT-5 model to enterprise developers", link: "https://alpha.test/news/openai-gpt5", source: "alpha.test" },
+  { title: "OpenAI's new model reaches enterprise <customers>", link: "https://beta.test/openai?a=1&b=2", source: "beta.test" },
+  { title: "Mistral opens LLM inference office in Paris", link: "https://gamma.test/mistral-paris", source: "gamma.test" },
+];
+
+const stories = [
+  { key: "alpha.test/news/openai-gpt5", outlets: 2, sources: [1, 2] },
+  { key: "gamma.test/mistral-paris", outlets: 1, sources: [3] },
+];
+
+const brief = {
+  oneLiner: { text: "OpenAI shipped GPT-5 to enterprise developers.", sources: [1, 2] },
+  bullets: [
+    { text: "Pricing starts at $2 per million tokens.", sources: [1] },
+    { text: "Mistral is hiring in Paris & London.", sources: [3] },
+    { text: "More launches are expected.", sources: [] },
+  ],
+};
+
+test("renderPanelHtml: default tab panel with citations and grouped sources", async () => {
+  const html = renderPanelHtml({
+    tabKey: "global",
+    oneLiner: brief.oneLiner,
+    bullets: brief.bullets,
+    explainerHtml: "<p>OpenAI said the model is available today.</p>",
+    sourcesLinks: toSourcesLinks(items, stories),
+    tagsHtml: '<span class="tag">openai</span> <span class="tag">mistral</span>',
+    noteText: "",
+    items,
+    defaultTab: "global",
+  });
+  await matchSnapshot("panel.html", html);
+});
+
+test("renderPanelHtml: hidden fallback panel with a note", async () => {
+  const html = renderPanelHtml({
+    tabKey: "uk",
+    oneLiner: "UK AI has no update today.",
+    bullets: ["Coverage may be thin within the current freshness window."],
+    explainerHtml: "<p>No suitable items were found.</p>",
+    sourcesLinks: toSourcesLinks([]),
+    tagsHtml: '<span class="tag">no-update</span>',
+    noteText: 'Wider sources used today "due to" limited coverage.',
+    items: [],
+    defaultTab: "global",
+  });
+  await matchSnapshot("panel-fallback.html", html);
+});
+
+test("storedPanelHtml renders a tabs.json entry the same way as a fresh result", () => {
+  const site = testConfig([{ key: "global", primary: ["https://feed.test/a"] }]);
+  const payload = {
+    key: "global",
+    oneLiner: brief.oneLiner.text,
+    bullets: brief.bullets.map(b => b.text),
+    claims: brief,
+    tags: ["openai", "mistral"],
+    noteText: "",
+    sources: items,
+    stories,
+  };
+  const stored = storedPanelHtml({ payload, explainerHtml: "<p>OpenAI said the model is available today.</p>" }, site);
+  const fresh = renderPanelHtml({
+    tabKey: "global",
+    oneLiner: brief.oneLiner,
+    bullets: brief.bullets,
+    explainerHtml: "<p>OpenAI said the model is available today.</p>",
+    sourcesLinks: toSourcesLinks(items, stories),
+    tagsHtml: '<span class="tag">openai</span> <span class="tag">mistral</span>',
+    noteText: "",
+    items,
+    defaultTab: "global",
+  });
+  assert.equal(stored, fresh);
+});
+
+const digestStories = [
+  {
+    ...stories[0],
+    link: items[0].link,
+    headline: { text: "OpenAI ships GPT-5 to enterprises", sources: [1, 2] },
+    summary: [
+      { text: "OpenAI shipped GPT-5 to enterprise developers.", sources: [1, 2] },
+      { text: "Pricing starts at $2 per million tokens.", sources: [1] },
+    ],
+  },
+  {
+    ...stories[1],
+    link: items[2].link,
+    headline: { text: "Mistral opens a Paris office", sources: [3] },
+    summary: [{ text: "Mistral is hiring in Paris & London.", sources: [3] }],
+  },
+];
+
+test("renderPanelHtml: digest panel with an overview and one entry per story", async () => {
+  const html = renderPanelHtml({
+    tabKey: "global",
+    format: "digest",
+    overview: { text: "Two model makers expanded.", sources: [1, 3] },
+    stories: digestStories,
+    sourcesLinks: toSourcesLinks(items, stories),
+    tagsHtml: '<span class="tag">openai</span>',
+    noteText: "",
+    items,
+    defaultTab: "global",
+  });
+  await matchSnapshot("panel-digest.html", html);
+
+  const plain = renderPanelHtml({ tabKey: "global", format: "digest", stories: digestStories, sourcesLinks: "", tagsHtml: "", items, defaultTab: "global" });
+  assert.doesNotMatch(plain, /class="tldr"/);
+});
+
+test("storedPanelHtml renders a digest entry from its stories", () => {
+  const site = testConfig([{ key: "global", primary: ["https://feed.test/a"] }]);
+  const payload = { key: "global", format: "digest", oneLiner: "Mistral opens a Paris office", bullets: [], claims: null, overview: null, tags: [], noteText: "", sources: items, stories: digestStories };
+  const stored = storedPanelHtml({ payload, explainerHtml: "" }, site);
+  assert.equal(stored, renderPanelHtml({
+    tabKey: "global", format: "digest", stories: digestStories, sourcesLinks: toSourcesLinks(items, digestStories), tagsHtml: "", noteText: "", items, defaultTab: "global",
+  }));
+  assert.equal((stored.match(/<li class="digest-story">/g) || []).length, 2);
+});
+
+test("claims escape text and cite only existing sources", () => {
+  assert.equal(claimHtml("<b>plain</b>", items), "&lt;b&gt;plain&lt;/b&gt;");
+  assert.equal(claimHtml({ text: "Nothing to cite", sources: [9] }, items), "Nothing to cite");
+  assert.match(toHtmlList([{ text: "A & B", sources: [2] }], items), /^<li>A &amp; B<sup class="cite"><a href="https:\/\/beta.test\/openai\?a=1&amp;b=2"/);
+});
+
+test("tabsNavHtml lists tabs in display order with the default selected", async () => {
+  const site = testConfig([
+    { key: "security", primary: ["https://feed.test/a"] },
+    { key: "uk", label: "UK AI", primary: ["https://feed.test/b"] },
+  ], { defaultTab: "uk" });
+  await matchSnapshot("tabs-nav.html", tabsNavHtml(site));
+});
+
+test("renderArchiveIndex: one link per day, in the order given (newest first)", async () => {
+  await matchSnapshot("archive-index.html", renderArchiveIndex(["2025-06-02.html", "2025-06-01.html", "2025-05-30.html"]));
+});
+
+test("renderArchiveIndex: empty archive", async () => {
+  await matchSnapshot("archive-index-empty.html", renderArchiveIndex([]));
+});
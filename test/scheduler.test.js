@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHostLimiter, createLimiter } from "../scripts/scheduler.js";
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run jobs [{ key, url }] through `run`, tracking the peak in flight overall and per key
+async function peaks(jobs, run) {
+  const active = new Map();
+  const peak = new Map();
+  let total = 0;
+  let peakTotal = 0;
+  await Promise.all(jobs.map(({ key, url }) => run(url, async () => {
+    active.set(key, (active.get(key) || 0) + 1);
+    peak.set(key, Math.max(peak.get(key) || 0, active.get(key)));
+    peakTotal = Math.max(peakTotal, ++total);
+    await tick();
+    active.set(key, active.get(key) - 1);
+    total -= 1;
+  })));
+  return { peak: Object.fromEntries(peak), peakTotal };
+}
+
+test("createLimiter keeps at most `max` jobs running and returns results in call order", async () => {
+  const limiter = createLimiter(2);
+  const { peakTotal } = await peaks([1, 2, 3, 4, 5].map(n => ({ key: "all", url: n })), (_, fn) => limiter.run(fn));
+  assert.equal(peakTotal, 2);
+
+  const results = await Promise.all([30, 10, 20].map(ms => limiter.run(async () => {
+    await tick(ms);
+    return ms;
+  })));
+  assert.deepEqual(results, [30, 10, 20]);
+  await assert.rejects(limiter.run(() => { throw new Error("boom"); }), /boom/);
+  assert.equal(limiter.active, 0);
+});
+
+test("createHostLimiter caps each host and the total", async () => {
+  const limiter = createHostLimiter({ total: 3, perHost: 1 });
+  const jobs = [
+    ...[1, 2, 3].map(n => ({ key: "a.test", url: `https://a.test/feed${n}` })),
+    ...[1, 2, 3].map(n => ({ key: "b.test", url: `http://b.test/rss?n=${n}` })),
+    ...[1, 2, 3].map(n => ({ key: `host${n}`, url: `https://host${n}.test/` })),
+  ];
+  const { peak, peakTotal } = await peaks(jobs, (url, fn) => limiter.run(url, fn));
+  assert.equal(peak["a.test"], 1);
+  assert.equal(peak["b.test"], 1);
+  assert.equal(peakTotal, 3);
+});
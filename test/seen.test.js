@@ -0,0 +1,56 @@
+// Seen cache (scripts/seen.js): expiry, re-marking a link that was published
+// again after its horizon, and migrating version 1 files.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { emptySeen, isSeen, markSeen, parseSeen, serializeSeen } from "../scripts/seen.js";
+import { canonicalUrl } from "../scripts/urls.js";
+import { normalizeTitle } from "../scripts/util.js";
+
+const DAY_MS = 24 * 3600 * 1000;
+const T0 = Date.parse("2025-06-01T12:00:00.000Z");
+const settings = { horizonDays: 30, titleHorizonDays: 7 };
+const item = { link: "https://alpha.test/a", title: "openai ships a model" };
+
+test("links block for horizonDays, titles for titleHorizonDays", () => {
+  const seen = emptySeen();
+  markSeen(seen, item, { tab: "news", now: T0, settings });
+  assert.ok(isSeen(seen, item, settings, T0 + 20 * DAY_MS));
+  assert.ok(!isSeen(seen, { link: null, title: item.title }, settings, T0 + 8 * DAY_MS));
+  assert.ok(!isSeen(seen, item, settings, T0 + 31 * DAY_MS));
+});
+
+test("re-marking keeps firstSeen within the horizon and restarts it after", () => {
+  const seen = emptySeen();
+  markSeen(seen, item, { tab: "news", story: "a", now: T0, settings });
+  markSeen(seen, item, { tab: "news", story: "a", now: T0 + 10 * DAY_MS, settings });
+  assert.equal(seen.byLink.get(item.link).firstSeen, new Date(T0).toISOString());
+
+  // Published again on day 31: blocked for another 30 days, under the new tab/story
+  const republished = T0 + 31 * DAY_MS;
+  markSeen(seen, item, { tab: "global", story: "b", now: republished, settings });
+  assert.ok(isSeen(seen, item, settings, republished + DAY_MS));
+  assert.ok(isSeen(seen, { link: null, title: item.title }, settings, republished + DAY_MS));
+  assert.deepEqual(seen.byLink.get(item.link), { ...item, firstSeen: new Date(republished).toISOString(), tab: "global", story: "b" });
+
+  // …and it survives a save/load
+  const reloaded = parseSeen(serializeSeen(seen, republished));
+  assert.ok(isSeen(reloaded, item, settings, republished + DAY_MS));
+});
+
+test("a version 1 file migrates with canonical links, normalised titles and firstSeen = now", () => {
+  const v1 = {
+    links: ["https://go.theregister.com/feed/www.theregister.com/2025/05/30/story/", "https://www.bbc.co.uk/news/articles/c0abc?at_medium=RSS"],
+    titles: ["  OpenAI   Ships A Model ", ""],
+  };
+  const seen = parseSeen(v1, { tab: "news", now: T0, normalizeTitle, normalizeLink: canonicalUrl });
+  const firstSeen = new Date(T0).toISOString();
+
+  assert.deepEqual(seen.entries, [
+    { link: "https://www.theregister.com/2025/05/30/story/", title: null, firstSeen, tab: "news", story: null },
+    { link: "https://www.bbc.com/news/articles/c0abc", title: null, firstSeen, tab: "news", story: null },
+    { link: null, title: "openai ships a model", firstSeen, tab: "news", story: null },
+  ]);
+  assert.ok(isSeen(seen, { link: "https://www.bbc.com/news/articles/c0abc", title: null }, settings, T0 + DAY_MS));
+  assert.ok(isSeen(seen, { link: null, title: "openai ships a model" }, settings, T0 + DAY_MS));
+});
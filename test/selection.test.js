@@ -0,0 +1,219 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEmbedder, itemText } from "../scripts/similarity.js";
+import { aiLoose, aiStrict, offTopic, makeCrossTabKey } from "../scripts/util.js";
+import {
+  MAX_ITEMS, clusterStories, explainPicks, meetsMinimum, pickItems, planSteps, selectStories, spreadAcrossHosts, storySources,
+} from "../scripts/selection.js";
+
+const THRESHOLD = 0.4;
+
+function item(source, title, extra = {}) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return { source, title, link: `https://${source}/${slug}`, snippet: "", publishedAt: null, _score: 1, ...extra };
+}
+
+// Ranked items → stories, the way generateOneTab builds them
+function storiesOf(items, embedder = createEmbedder()) {
+  embedder.observe(items.map(itemText));
+  const candidates = items.map(it => ({
+    ...it,
+    _vector: embedder.embed(itemText(it)),
+    _aiLoose: aiLoose(it),
+    _aiStrict: aiStrict(it),
+    _offTopic: offTopic(it),
+  }));
+  return { embedder, stories: clusterStories(candidates, { embedder, threshold: THRESHOLD }) };
+}
+
+function pick(stories, embedder, opts = {}) {
+  return pickItems({ stories, avoidKeys: new Set(), requireStrictAI: false, embedder, threshold: THRESHOLD, ...opts });
+}
+
+// --- spreadAcrossHosts ---------------------------------------------------------
+
+test("spreadAcrossHosts takes one item per host per round, in rank order", () => {
+  const items = [item("a.test", "A1"), item("a.test", "A2"), item("a.test", "A3"), item("b.test", "B1"), item("c.test", "C1")];
+  assert.deepEqual(spreadAcrossHosts(items, 4).map(it => it.title), ["A1", "B1", "C1", "A2"]);
+  assert.deepEqual(spreadAcrossHosts(items, 10).map(it => it.title), ["A1", "B1", "C1", "A2", "A3"]);
+  assert.deepEqual(spreadAcrossHosts([], 3), []);
+});
+
+// --- meetsMinimum --------------------------------------------------------------
+
+test("meetsMinimum needs three picks from three hosts", () => {
+  assert.equal(meetsMinimum([item("a.test", "1"), item("b.test", "2"), item("c.test", "3")]), true);
+  assert.equal(meetsMinimum([item("a.test", "1"), item("b.test", "2")]), false);
+  assert.equal(meetsMinimum([item("a.test", "1"), item("a.test", "2"), item("b.test", "3")]), false);
+  assert.equal(meetsMinimum([]), false);
+  assert.equal(meetsMinimum(null), false);
+});
+
+test("meetsMinimum counts every outlet of a story", () => {
+  const story = (host, ...others) => ({ source: host, members: [host, ...others].map(h => item(h, `story from ${host}`)) });
+  assert.equal(meetsMinimum([story("a.test", "b.test"), story("a.test"), story("a.test", "c.test")]), true);
+  assert.equal(meetsMinimum([story("a.test"), story("a.test"), story("a.test")]), false);
+});
+
+// --- clusterStories ----------------------------------------------------------
+
+test("near-duplicate coverage becomes one story ranked by outlets", () => {
+  const { stories } = storiesOf([
+    item("a.test", "Paris startup Mistral opens LLM inference office", { _score: 2 }),
+    item("b.test", "OpenAI ships new GPT model to enterprise developers", { _score: 1.5 }),
+    item("c.test", "OpenAI ships GPT model to enterprise developers", { _score: 1 }),
+  ]);
+  assert.equal(stories.length, 2);
+  const merged = stories.find(s => s.members.length === 2);
+  assert.equal(merged.outlets, 2);
+  assert.deepEqual(storySources(merged).map(it => it.source), ["b.test", "c.test"]);
+  assert.equal(merged._aiLoose, true);
+  assert.equal(merged._aiStrict, true);
+});
+
+test("coverageBoost lifts stories covered by more outlets", () => {
+  const items = [
+    item("a.test", "Paris startup Mistral opens LLM inference office", { _score: 2 }),
+    item("b.test", "OpenAI ships new GPT model to enterprise developers", { _score: 1.5 }),
+    item("c.test", "OpenAI ships GPT model to enterprise developers", { _score: 1 }),
+  ];
+  const embedder = createEmbedder();
+  embedder.observe(items.map(itemText));
+  const candidates = items.map(it => ({ ...it, _vector: embedder.embed(itemText(it)) }));
+
+  const plain = clusterStories(candidates, { embedder, threshold: THRESHOLD });
+  assert.equal(plain[0].leader.source, "a.test");
+  const boosted = clusterStories(candidates, { embedder, threshold: THRESHOLD, coverageBoost: 1 });
+  assert.equal(boosted[0].leader.source, "b.test");
+  assert.equal(boosted[0].score, 2.5);
+});
+
+// --- pickItems -----------------------------------------------------------------
+
+test("pickItems spreads picks across hosts and caps them at MAX_ITEMS", () => {
+  const items = [];
+  const topics = ["robotics", "chips", "translation", "vaccines", "weather", "courts", "energy", "farming", "shipping"];
+  for (const [i, topic] of topics.entries()) items.push(item(i < 6 ? "a.test" : `h${i}.test`, `AI model for ${topic} launched`));
+  const { stories, embedder } = storiesOf(items);
+
+  const picks = pick(stories, embedder);
+  assert.equal(picks.length, MAX_ITEMS);
+  assert.deepEqual(picks.slice(0, 4).map(p => p.source), ["a.test", "h6.test", "h7.test", "h8.test"]);
+});
+
+test("pickItems skips stories other tabs published, by link, title or similarity", () => {
+  const items = [
+    item("a.test", "OpenAI ships GPT model to enterprise developers"),
+    item("b.test", "Anthropic Claude evaluated in hospital triage"),
+    item("c.test", "DeepMind Gemini controls warehouse robots"),
+  ];
+  const { stories, embedder } = storiesOf(items);
+
+  const byLink = pick(stories, embedder, { avoidKeys: new Set([makeCrossTabKey(items[0])]) });
+  assert.deepEqual(byLink.map(p => p.source), ["b.test", "c.test"]);
+
+  const byTitle = pick(stories, embedder, { avoidKeys: new Set(["title:anthropic claude evaluated in hospital triage"]) });
+  assert.deepEqual(byTitle.map(p => p.source), ["a.test", "c.test"]);
+
+  const elsewhere = item("z.test", "DeepMind Gemini controls robots in warehouses");
+  const bySimilarity = pick(stories, embedder, { avoidStories: [elsewhere] });
+  assert.deepEqual(bySimilarity.map(p => p.source), ["a.test", "b.test"]);
+});
+
+test("pickItems applies the strict-AI filter and only tops up with off-topic stories", () => {
+  const { stories, embedder } = storiesOf([
+    item("a.test", "OpenAI ships GPT model to enterprise developers"),
+    item("b.test", "Council approves new cycle lanes"),
+    item("c.test", "Best laptop deal this week"),
+    item("d.test", "Headphones review: the quietest pair"),
+  ]);
+
+  assert.deepEqual(pick(stories, embedder, { requireStrictAI: true }).map(p => p.source), ["a.test"]);
+  assert.deepEqual(pick(stories, embedder).map(p => p.source), ["a.test", "b.test"]);
+
+  const topped = pick(stories, embedder, { offTopicQuota: 1 });
+  assert.deepEqual(topped.map(p => p.source), ["a.test", "b.test", "c.test"]);
+  assert.equal(topped[2]._offTopic, true);
+});
+
+test("explainPicks gives each story pickItems passed over its reason", () => {
+  const items = [
+    item("a.test", "OpenAI ships GPT model to enterprise developers"),
+    item("b.test", "Anthropic Claude evaluated in hospital triage"),
+    item("c.test", "DeepMind Gemini controls warehouse robots"),
+    item("d.test", "Council approves new cycle lanes"),
+    item("e.test", "Best laptop deal this week"),
+  ];
+  const { stories, embedder } = storiesOf(items);
+  const elsewhere = item("z.test", "DeepMind Gemini controls robots in warehouses");
+  const opts = {
+    stories,
+    avoidKeys: new Set([makeCrossTabKey(items[1])]),
+    avoidStories: [elsewhere],
+    requireStrictAI: true,
+    embedder,
+    threshold: THRESHOLD,
+  };
+  const picks = pickItems(opts);
+  const why = explainPicks({ ...opts, picks });
+  const bySource = Object.fromEntries(stories.map(s => [s.source, why.get(s)]));
+
+  assert.deepEqual(bySource["a.test"], { outcome: "picked" });
+  assert.deepEqual(bySource["b.test"], { outcome: "duplicate", reason: "duplicate", key: makeCrossTabKey(items[1]) });
+  assert.equal(bySource["c.test"].outcome, "near-duplicate");
+  assert.equal(bySource["c.test"].item, elsewhere);
+  assert.ok(bySource["c.test"].similarity >= THRESHOLD);
+  assert.equal(bySource["d.test"].outcome, "not-strict-ai");
+
+  // Eligible but left out: off-topic without a quota, or out of slots
+  const relaxed = { ...opts, avoidKeys: new Set(), avoidStories: [], requireStrictAI: false };
+  const few = pickItems(relaxed).slice(0, 1);
+  const relaxedWhy = explainPicks({ ...relaxed, picks: few });
+  assert.deepEqual(stories.map(s => relaxedWhy.get(s).outcome).sort(), ["off-topic", "picked", "ranked-out", "ranked-out", "ranked-out"]);
+});
+
+// --- selectStories (the ladder, with canned stories per step) ----------------
+
+test("planSteps widens the pool before the window", () => {
+  assert.deepEqual(planSteps(["p"], ["s"]).map(s => `${s.hours}:${s.feeds.join("+")}`), [
+    "24:p", "24:p+s", "36:p", "36:p+s", "48:p", "48:p+s",
+  ]);
+});
+
+test("selectStories stops at the first step that meets the minimum", async () => {
+  const thin = storiesOf([item("a.test", "OpenAI ships GPT model")]);
+  const full = storiesOf([
+    item("a.test", "OpenAI ships GPT model"),
+    item("b.test", "Anthropic Claude evaluated in hospitals"),
+    item("c.test", "DeepMind Gemini robots in warehouses"),
+  ]);
+  const asked = [];
+  const { picks, meta } = await selectStories({
+    steps: planSteps(["p"], ["s"]),
+    storiesFor: async (step) => {
+      asked.push(`${step.hours}:${step.usedSecondary}`);
+      return step.hours >= 36 ? full.stories : thin.stories;
+    },
+    avoidKeys: new Set(),
+    embedder: full.embedder,
+    threshold: THRESHOLD,
+  });
+  assert.deepEqual(asked, ["24:false", "24:true", "36:false"]);
+  assert.equal(picks.length, 3);
+  assert.deepEqual(meta, { freshnessUsed: 36, usedSecondary: false, relaxedAI: false, offTopicAllowed: false });
+});
+
+test("selectStories falls back to the step with the most picks", async () => {
+  const one = storiesOf([item("a.test", "OpenAI ships GPT model")]);
+  const two = storiesOf([item("a.test", "OpenAI ships GPT model"), item("b.test", "Claude evaluated in hospitals")]);
+  const { picks, meta } = await selectStories({
+    steps: planSteps(["p"], ["s"]),
+    storiesFor: async (step) => (step.hours === 48 && step.usedSecondary ? two.stories : one.stories),
+    avoidKeys: new Set(),
+    embedder: two.embedder,
+    threshold: THRESHOLD,
+  });
+  assert.equal(picks.length, 2);
+  assert.equal(meta.freshnessUsed, 48);
+  assert.equal(meta.usedSecondary, true);
+});
@@ -0,0 +1,133 @@
+// Subscription feeds (scripts/syndication.js): per-tab RSS/Atom/JSON Feed
+// snapshots, the site-wide one-entry-per-day feed, and renderSite writing
+// every file from the stored briefs. Both XML feeds must read back through
+// rss-parser, the parser the generator itself fetches feeds with.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import Parser from "rss-parser";
+import { outPaths, renderSite } from "../scripts/site.js";
+import { openStore } from "../scripts/store.js";
+import { feedFiles, renderFeeds } from "../scripts/syndication.js";
+import { matchSnapshot, testConfig } from "./helpers.js";
+
+const sources = [
+  { title: "OpenAI ships GPT-5 to <enterprise> developers", link: "https://alpha.test/news/openai?a=1&b=2", source: "alpha.test" },
+  { title: "Mistral opens an office in Paris", link: "https://gamma.test/mistral-paris", source: "gamma.test" },
+];
+
+function brief(tab, { oneLiner = `${tab}: OpenAI shipped GPT-5.`, failed = false, format = "brief" } = {}) {
+  return {
+    tab,
+    payload: {
+      key: tab,
+      label: `${tab[0].toUpperCase()}${tab.slice(1)} AI`,
+      failed,
+      format,
+      oneLiner,
+      bullets: ["Pricing starts at $2.", "Mistral is hiring."],
+      tags: ["openai"],
+      overview: format === "digest" ? { text: "Two launches.", sources: [1, 2] } : null,
+      claims: format === "digest" ? null : {
+        oneLiner: { text: oneLiner, sources: [1] },
+        bullets: [{ text: "Pricing starts at $2.", sources: [1] }, { text: "Mistral is hiring.", sources: [2] }],
+        explainer: [],
+      },
+      stories: format === "digest" ? [
+        { key: "a", title: sources[0].title, link: sources[0].link, outlets: 1, sources: [1], headline: { text: "OpenAI ships GPT-5", sources: [1] }, summary: [{ text: "It is out.", sources: [1] }] },
+      ] : [],
+      sources,
+    },
+    explainerHtml: failed ? "<p>No suitable items were found.</p>" : "<p>OpenAI said the model is available today.</p>",
+  };
+}
+
+const site = (overrides = {}) => testConfig(
+  [{ key: "news", primary: ["https://feed.test/a"] }, { key: "security", primary: ["https://feed.test/b"], format: "digest" }],
+  overrides,
+);
+
+const days = [
+  { ymd: "2025-06-01", generatedAt: "2025-06-01T07:00:00.000Z", briefs: [brief("news"), brief("security", { format: "digest" })] },
+  { ymd: "2025-06-02", generatedAt: "2025-06-02T07:00:00.000Z", briefs: [brief("news", { failed: true }), brief("security", { format: "digest" })] },
+  { ymd: "2025-06-03", generatedAt: "2025-06-03T07:00:00.000Z", briefs: [brief("news", { failed: true })] },
+];
+
+test("a tab's feeds: one entry per day it published, in all three formats", async () => {
+  const feeds = renderFeeds(days, site({ syndication: { siteUrl: "https://brief.test/" } }));
+  const files = feedFiles("news");
+  await matchSnapshot("feed-news.xml", feeds[files.rss]);
+  await matchSnapshot("feed-news.atom.xml", feeds[files.atom]);
+  await matchSnapshot("feed-news.json", feeds[files.json]);
+
+  const parser = new Parser();
+  const rss = await parser.parseString(feeds[files.rss]);
+  assert.deepEqual(rss.items.map(i => i.link), ["https://brief.test/archive/2025-06-01.html#news"]);
+  assert.match(rss.items[0]["content:encoded"], /<a href="https:\/\/alpha\.test\/news\/openai\?a=1&amp;b=2">/);
+  const atom = await parser.parseString(feeds[files.atom]);
+  assert.equal(atom.items[0].id, "https://brief.test/archive/2025-06-01.html#news");
+  assert.equal(atom.items[0].title, "News AI — 1 June 2025");
+
+  const json = JSON.parse(feeds[files.json]);
+  assert.equal(json.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(json.feed_url, "https://brief.test/feeds/news.json");
+});
+
+test("the site feed has one entry per day with every tab that didn't fail", () => {
+  const feeds = renderFeeds(days, site({ syndication: { siteUrl: "https://brief.test" } }));
+  const json = JSON.parse(feeds["feed.json"]);
+
+  // Newest first; 2025-06-03 only has a failed tab, so it has no entry
+  assert.deepEqual(json.items.map(i => i.id), ["https://brief.test/archive/2025-06-02.html", "https://brief.test/archive/2025-06-01.html"]);
+  assert.equal(json.home_page_url, "https://brief.test/");
+  const [june2, june1] = json.items;
+  assert.doesNotMatch(june2.content_html, /News AI|No suitable items/);
+  assert.match(june2.content_html, /<h2>Security AI<\/h2>[\s\S]*OpenAI ships GPT-5/);
+  assert.match(june1.content_html, /<h2>News AI<\/h2>[\s\S]*<h2>Security AI<\/h2>/);
+  // The default tab's one-liner leads
+  assert.equal(june1.summary, "news: OpenAI shipped GPT-5.");
+
+  // Only the newest day kept: every feed is still written, just empty
+  const latest = renderFeeds(days, site({ syndication: { siteUrl: "https://brief.test", days: 1 } }));
+  assert.equal(Object.keys(latest).length, 9);
+  assert.equal(JSON.parse(latest["feed.json"]).items.length, 0);
+
+  // Relative ids are invalid in all three formats
+  assert.throws(() => renderFeeds(days, site()), /siteUrl/);
+});
+
+test("renderSite writes the feeds from the stored briefs", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "syndication-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const store = openStore(":memory:");
+  t.after(() => store.close());
+  const config = site({ syndication: { siteUrl: "https://brief.test" } });
+  for (const day of days.slice(0, 2)) {
+    const runId = store.startRun({ ymd: day.ymd, startedAt: day.generatedAt });
+    for (const b of day.briefs) store.recordTab({ runId, ymd: day.ymd, tab: b.tab, result: { failed: b.payload.failed, explainerHtml: b.explainerHtml }, payload: b.payload });
+  }
+
+  const out = outPaths(dir);
+  const tpl = "<html><head></head><body>{{TABS_NAV}}{{TAB_PANELS}}{{TABS_ASSETS}}</body></html>";
+  await renderSite({ store, config, out, tpl, changelogPath: path.join(dir, "changelog.json") });
+
+  const written = (await fs.readdir(path.join(dir, "feeds"))).sort();
+  assert.deepEqual(written, ["news.atom.xml", "news.json", "news.xml", "security.atom.xml", "security.json", "security.xml"]);
+  assert.equal(await fs.readFile(path.join(dir, "feed.xml"), "utf8"), renderFeeds(days.slice(0, 2), config)["feed.xml"]);
+  const atom = await new Parser().parseString(await fs.readFile(path.join(dir, "atom.xml"), "utf8"));
+  assert.equal(atom.items.length, 2);
+  assert.match(await fs.readFile(out.index, "utf8"), /<link rel="alternate" type="application\/rss\+xml"[^>]*href="\/feed\.xml" \/>/);
+  // A tab entry's #<key> lands on that tab's panel
+  assert.match(await fs.readFile(path.join(out.archiveDir, "2025-06-01.html"), "utf8"), /<section class="brief-panel" id="news" data-tab="news"/);
+
+  // Without a site URL: no feeds, and no page points at them
+  const bare = path.join(dir, "bare");
+  await renderSite({ store, config: site(), out: outPaths(bare), tpl, changelogPath: path.join(dir, "changelog.json") });
+  await assert.rejects(fs.access(path.join(bare, "feed.xml")));
+  await assert.rejects(fs.access(path.join(bare, "feeds")));
+  assert.doesNotMatch(await fs.readFile(path.join(bare, "index.html"), "utf8"), /feed\.xml/);
+  assert.doesNotMatch(await fs.readFile(path.join(bare, "about.html"), "utf8"), /feed\.xml/);
+});
@@ -0,0 +1,59 @@
+// URL canonicaliser (scripts/urls.js): redirectors, tracking params, host
+// aliases and AMP variants, plus pages that only look like AMP ones.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalUrl, publisherHost } from "../scripts/urls.js";
+
+test("feed redirectors unwrap to the publisher's URL and host", () => {
+  const wrapped = "https://go.theregister.com/feed/www.theregister.com/2025/06/01/openai_model/";
+  assert.equal(canonicalUrl(wrapped), "https://www.theregister.com/2025/06/01/openai_model/");
+  assert.equal(publisherHost(wrapped), "theregister.com");
+});
+
+test("BBC links lose at_* params and fold onto bbc.com", () => {
+  assert.equal(
+    canonicalUrl("https://www.bbc.co.uk/news/articles/c0abc123?at_medium=RSS&at_campaign=rss"),
+    "https://www.bbc.com/news/articles/c0abc123",
+  );
+  assert.equal(canonicalUrl("https://m.bbc.co.uk/news/technology-123#comments"), "https://www.bbc.com/news/technology-123");
+  assert.equal(publisherHost("https://bbc.co.uk/news/technology-123"), "bbc.com");
+});
+
+test("tracking params go, feed-source params only when they say so", () => {
+  assert.equal(canonicalUrl("https://Example.com:443/a?utm_source=rss&fbclid=x&id=7"), "https://example.com/a?id=7");
+  assert.equal(canonicalUrl("https://example.com/a?src=rss"), "https://example.com/a");
+  assert.equal(canonicalUrl("https://example.com/a?src=homepage"), "https://example.com/a?src=homepage");
+});
+
+test("known publishers' AMP pages fold onto the article", () => {
+  const article = "https://www.bbc.com/news/articles/c0abc123";
+  assert.equal(canonicalUrl("https://www.bbc.co.uk/news/articles/c0abc123.amp"), article);
+  assert.equal(canonicalUrl("https://www-bbc-co-uk.cdn.ampproject.org/c/s/www.bbc.co.uk/news/articles/c0abc123.amp"), article);
+  assert.equal(canonicalUrl("https://amp.theguardian.com/technology/2025/jun/01/story"), "https://www.theguardian.com/technology/2025/jun/01/story");
+  assert.equal(canonicalUrl("https://www.theregister.com/AMP/2025/06/01/story/"), "https://www.theregister.com/2025/06/01/story/");
+  assert.equal(canonicalUrl("https://techcrunch.com/2025/06/01/story/amp/"), "https://techcrunch.com/2025/06/01/story/");
+});
+
+test("pages from an AMP cache get the generic AMP forms folded", () => {
+  assert.equal(canonicalUrl("https://example-com.cdn.ampproject.org/c/s/example.com/news/story/amp/?amp=1"), "https://example.com/news/story/");
+  assert.equal(canonicalUrl("https://example-com.cdn.ampproject.org/c/example.com/story.amp.html"), "https://example.com/story.html");
+});
+
+test("AMP-looking URLs elsewhere are left alone", () => {
+  for (const url of [
+    "https://example.com/tags/amp/",
+    "https://example.com/amp/guide",
+    "https://example.com/story.amp?amp=1",
+    "https://amp.example.com/story",
+    "https://www.bbc.com/news/amp-guitar-sales",
+  ]) {
+    assert.equal(canonicalUrl(url), url);
+  }
+});
+
+test("unparseable and non-http input comes back trimmed", () => {
+  assert.equal(canonicalUrl("  not a url "), "not a url");
+  assert.equal(canonicalUrl("mailto:desk@example.com"), "mailto:desk@example.com");
+  assert.equal(publisherHost("not a url"), "");
+});